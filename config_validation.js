@@ -0,0 +1,613 @@
+/**
+ * Configuration Validation Utilities
+ * =====================================
+ *
+ * Purpose:
+ * This module validates the JSON configuration files in test_data before any test
+ * uses them. A typo in a budget key, a missing network condition field or a wrong
+ * value type is reported once, at startup, with the file name and the path of the
+ * offending value, instead of failing much later with undefined thresholds.
+ *
+ * Validated Files:
+ * - env.json / env.template.json: <name>_urls, <name>_groups, <name>_auth, <name>_discovery
+ * - treshholds.json: global budgets, resource budgets, group budgets, regression budgets,
+ *   history retention
+ *   and the third-party allowlist and blocking experiments
+ * - network_conditions.json: network condition profiles (throttling, CPU, device and budgets)
+ * - metrics_schema.json: metric metadata used for reporting and regression direction
+ *
+ * Key Functions:
+ * - validateConfig: Validates parsed configuration data and returns all errors
+ * - assertValidConfig: Validates a configuration file and throws a ConfigValidationError
+ * - validateAllConfigs: Validates every configuration file in test_data
+ *
+ * Usage:
+ * loadConfig in utils.js validates known files automatically. The whole test_data
+ * directory can be checked with `npm run validate-config`.
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DATA_DIRECTORY = path.join(__dirname, 'test_data');
+
+const CATEGORY_KEYS = ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'];
+const METRIC_BUDGET_KEYS = [
+  'first-contentful-paint',
+  'largest-contentful-paint',
+  'cumulative-layout-shift',
+  'total-blocking-time',
+  'speed-index',
+  'interactive'
+];
+const SEO_AUDIT_KEYS = [
+  'document-title',
+  'meta-description',
+  'viewport',
+  'link-text',
+  'image-alt',
+  'is-crawlable',
+  'robots-txt',
+  'http-status-code'
+];
+const ACCESSIBILITY_AUDIT_KEYS = [
+  'image-alt',
+  'color-contrast',
+  'aria-allowed-attr',
+  'aria-required-attr',
+  'aria-roles',
+  'label',
+  'document-title',
+  'html-has-lang',
+  'tabindex',
+  'video-caption',
+  'keyboard-nav-score',
+  'screen-reader-score',
+  'focus-visible'
+];
+const CORE_METRIC_KEYS = [
+  'performance',
+  'firstContentfulPaint',
+  'largestContentfulPaint',
+  'totalBlockingTime',
+  'cumulativeLayoutShift',
+  'speedIndex',
+  'timeToInteractive'
+];
+
+/**
+ * Error thrown when a configuration file does not match its schema
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {string} filePath - Path of the invalid file
+   * @param {Array<{path: string, message: string}>} errors - Validation errors
+   */
+  constructor(filePath, errors) {
+    const fileName = path.relative(process.cwd(), filePath) || filePath;
+    super(
+      `Invalid configuration in ${fileName}:\n` +
+      errors.map(error => `  - ${error.path || '(root)'}: ${error.message}`).join('\n')
+    );
+    this.name = 'ConfigValidationError';
+    this.filePath = filePath;
+    this.errors = errors;
+  }
+}
+
+// Schema building blocks
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const ratio = { type: 'number', minimum: 0, maximum: 1 };
+const nonNegative = { type: 'number', minimum: 0 };
+const positiveInteger = { type: 'integer', minimum: 1 };
+const url = { type: 'url' };
+const regex = { type: 'regex' };
+
+/**
+ * Create an object schema with known keys
+ *
+ * @param {Object} properties - Schemas of the known keys
+ * @param {Array<string>} [required=[]] - Keys that must be present
+ * @returns {Object} - Object schema (unknown keys are errors)
+ */
+function object(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Create a schema for an object with the same schema for every key
+ *
+ * @param {Object} values - Schema of every value
+ * @param {Array<string>} [keys] - Allowed keys (any key when omitted)
+ * @returns {Object} - Map schema
+ */
+function map(values, keys) {
+  return { type: 'map', values, keys };
+}
+
+// Optional budgets that network-adjusted thresholds do not use
+const OPTIONAL_METRIC_BUDGET_KEYS = ['interaction-to-next-paint'];
+
+const performanceBudgetProperties = Object.fromEntries([
+  ...[...METRIC_BUDGET_KEYS, ...OPTIONAL_METRIC_BUDGET_KEYS].map(key => [key, nonNegative]),
+  ...CATEGORY_KEYS.map(key => [key, score])
+]);
+const seoBudgetProperties = {
+  'seo-score': score,
+  ...Object.fromEntries(SEO_AUDIT_KEYS.map(key => [key, ratio]))
+};
+const accessibilityBudgetProperties = {
+  'accessibility-score': score,
+  ...Object.fromEntries(ACCESSIBILITY_AUDIT_KEYS.map(key => [key, ratio]))
+};
+const categoryThresholdProperties = Object.fromEntries(CATEGORY_KEYS.map(key => [key, score]));
+const RESOURCE_BUDGET_KEYS = [
+  'total', 'document', 'script', 'stylesheet', 'image', 'media', 'font', 'other', 'first-party', 'third-party'
+];
+const resourceBudget = object({ bytes: nonNegative, requests: { type: 'integer', minimum: 0 } });
+
+/**
+ * Build the treshholds.json schema
+ *
+ * Regression tolerances are keyed by metric names, which come from metrics_schema.json.
+ *
+ * @param {Array<string>} metricKeys - Metric names known to metrics_schema.json
+ * @returns {Object} - Schema
+ */
+function buildThresholdsSchema(metricKeys) {
+  return object({
+    performanceBudgets: object(performanceBudgetProperties, [...METRIC_BUDGET_KEYS, ...CATEGORY_KEYS]),
+    seo_budgets: object(seoBudgetProperties, ['seo-score']),
+    accessibility_budgets: object(accessibilityBudgetProperties, ['accessibility-score']),
+    performance_analysis: object(categoryThresholdProperties, CATEGORY_KEYS),
+    resource_budgets: map(resourceBudget, RESOURCE_BUDGET_KEYS),
+    third_party: object({
+      failOnUnlistedOrigins: { type: 'boolean' },
+      allowlist: { type: 'array', items: { type: 'string' } },
+      blockingExperiments: {
+        type: 'array',
+        items: object({
+          name: { type: 'string' },
+          urlPatterns: { type: 'array', items: { type: 'string' }, minItems: 1 }
+        }, ['name', 'urlPatterns']),
+        uniqueBy: 'name'
+      }
+    }),
+    regression_budgets: object({
+      enabled: { type: 'boolean' },
+      baselineRuns: positiveInteger,
+      minimumRuns: positiveInteger,
+      action: { type: 'string', enum: ['fail', 'warn'] },
+      tolerances: map(object({
+        percent: nonNegative,
+        absolute: nonNegative,
+        action: { type: 'string', enum: ['fail', 'warn'] }
+      }), metricKeys)
+    }, ['tolerances']),
+    history_retention: object({
+      maxEntries: positiveInteger,
+      maxGlobalEntries: positiveInteger,
+      maxAgeDays: positiveInteger
+    }),
+    group_budgets: map(object({
+      performanceBudgets: object(performanceBudgetProperties),
+      seo_budgets: object(seoBudgetProperties),
+      accessibility_budgets: object(accessibilityBudgetProperties),
+      performance_analysis: object(categoryThresholdProperties),
+      resource_budgets: map(resourceBudget, RESOURCE_BUDGET_KEYS)
+    }))
+  }, ['performanceBudgets', 'seo_budgets', 'accessibility_budgets', 'performance_analysis']);
+}
+
+// Budgets that network profiles scale (see getNetworkAdjustedThresholds in utils.js)
+const NETWORK_SCALED_BUDGET_KEYS = ['performance', ...METRIC_BUDGET_KEYS];
+
+const networkConditionsSchema = object({
+  networkConditions: {
+    type: 'array',
+    minItems: 1,
+    uniqueBy: 'name',
+    items: object({
+      name: { type: 'string' },
+      rttMs: nonNegative,
+      throughputKbps: { type: 'number', minimum: 1 },
+      uploadThroughputKbps: { type: 'number', minimum: 1 },
+      cpuSlowdownMultiplier: { type: 'number', minimum: 1 },
+      throttlingMethod: { type: 'string', enum: ['simulate', 'devtools', 'cdp'] },
+      device: { type: 'string' },
+      mobile: { type: 'boolean' },
+      budgetScaling: map({ type: 'number', minimum: 0 }, NETWORK_SCALED_BUDGET_KEYS),
+      budgets: object(performanceBudgetProperties),
+      description: { type: 'string' }
+    }, ['name', 'rttMs', 'throughputKbps'])
+  }
+}, ['networkConditions']);
+
+const metricMetadata = object({
+  description: { type: 'string' },
+  unit: { type: 'string' },
+  higherIsBetter: { type: 'boolean' }
+}, ['description', 'unit', 'higherIsBetter']);
+
+const metricsSchemaSchema = object({
+  coreMetrics: { ...map(metricMetadata), requiredKeys: CORE_METRIC_KEYS },
+  additionalMetrics: map(metricMetadata)
+}, ['coreMetrics']);
+
+// env.json sections are named <environment>_<section>
+const ENV_SECTION_SCHEMAS = {
+  urls: map(url),
+  groups: map({
+    anyOf: [
+      { type: 'array', items: { type: 'string' } },
+      object({ pages: { type: 'array', items: { type: 'string' } }, patterns: { type: 'array', items: regex } })
+    ],
+    description: 'a list of page names or an object with pages and/or patterns'
+  }),
+  auth: object({
+    enabled: { type: 'boolean' },
+    storageState: { type: 'string' },
+    cookies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          value: { type: 'string' },
+          domain: { type: 'string' },
+          url,
+          path: { type: 'string' },
+          expires: { type: 'number' },
+          httpOnly: { type: 'boolean' },
+          secure: { type: 'boolean' },
+          sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] }
+        },
+        required: ['name', 'value']
+      }
+    },
+    headers: map({ type: 'string' }),
+    login: object({
+      url: { type: 'string' },
+      script: { type: 'string' },
+      steps: { type: 'array', items: { type: 'object', open: true } },
+      waitForUrl: { type: 'string' },
+      successSelector: { type: 'string' },
+      maxAgeMinutes: nonNegative
+    })
+  }),
+  discovery: object({
+    enabled: { type: 'boolean' },
+    startUrl: url,
+    source: { type: 'string', enum: ['auto', 'sitemap', 'crawl'] },
+    maxDepth: { type: 'integer', minimum: 0 },
+    maxPages: positiveInteger,
+    maxCrawlPages: positiveInteger,
+    include: { type: 'array', items: regex },
+    exclude: { type: 'array', items: regex },
+    samplePerTemplate: { type: 'boolean' },
+    templates: map(regex),
+    maxAgeMinutes: nonNegative
+  }, ['startUrl'])
+};
+
+/**
+ * Describe the type of a value for error messages
+ *
+ * @param {*} value - Any value
+ * @returns {string} - Type description
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Join a parent path and a key
+ *
+ * @param {string} parent - Parent path
+ * @param {string|number} key - Key or array index
+ * @returns {string} - Path such as "performanceBudgets.speed-index" or "networkConditions[1].rttMs"
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : String(key);
+}
+
+/**
+ * Validate a value against a schema and collect all errors
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} valuePath - Path of the value
+ * @param {Array<Object>} errors - Collected errors ({ path, message })
+ */
+function validateValue(value, schema, valuePath, errors) {
+  const fail = message => errors.push({ path: valuePath, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateValue(value, option, valuePath, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) fail(`expected ${schema.description}`);
+    return;
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return fail(`expected a number, got ${describeType(value)}`);
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) fail(`expected an integer, got ${value}`);
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}, got ${value}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}, got ${value}`);
+      return;
+
+    case 'string':
+      if (typeof value !== 'string') return fail(`expected a string, got ${describeType(value)}`);
+      if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}, got "${value}"`);
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail(`expected true or false, got ${describeType(value)}`);
+      return;
+
+    case 'url':
+      if (typeof value !== 'string') return fail(`expected a URL string, got ${describeType(value)}`);
+      try {
+        const parsed = new URL(value);
+        if (!['http:', 'https:'].includes(parsed.protocol)) fail(`expected an http(s) URL, got "${value}"`);
+      } catch {
+        fail(`expected an absolute URL, got "${value}"`);
+      }
+      return;
+
+    case 'regex':
+      if (typeof value !== 'string') return fail(`expected a regular expression string, got ${describeType(value)}`);
+      try {
+        new RegExp(value);
+      } catch (error) {
+        fail(`invalid regular expression: ${error.message}`);
+      }
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail(`expected an array, got ${describeType(value)}`);
+      if (schema.minItems && value.length < schema.minItems) fail(`must contain at least ${schema.minItems} item(s)`);
+      value.forEach((item, index) => validateValue(item, schema.items, joinPath(valuePath, index), errors));
+      if (schema.uniqueBy) {
+        const seen = new Set();
+        value.forEach((item, index) => {
+          const key = item && item[schema.uniqueBy];
+          if (seen.has(key)) {
+            errors.push({ path: joinPath(joinPath(valuePath, index), schema.uniqueBy), message: `duplicate value "${key}"` });
+          }
+          seen.add(key);
+        });
+      }
+      return;
+
+    case 'object':
+    case 'map': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`expected an object, got ${describeType(value)}`);
+      }
+      if (schema.open) return;
+
+      if (schema.type === 'object') {
+        const known = Object.keys(schema.properties);
+        (schema.required || []).forEach(key => {
+          if (value[key] === undefined) errors.push({ path: joinPath(valuePath, key), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, item]) => {
+          if (!known.includes(key)) {
+            errors.push({ path: joinPath(valuePath, key), message: `unknown key (allowed: ${known.join(', ')})` });
+          } else {
+            validateValue(item, schema.properties[key], joinPath(valuePath, key), errors);
+          }
+        });
+      } else {
+        (schema.requiredKeys || []).forEach(key => {
+          if (value[key] === undefined) errors.push({ path: joinPath(valuePath, key), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, item]) => {
+          if (schema.keys && !schema.keys.includes(key)) {
+            errors.push({ path: joinPath(valuePath, key), message: `unknown key (allowed: ${schema.keys.join(', ')})` });
+          } else {
+            validateValue(item, schema.values, joinPath(valuePath, key), errors);
+          }
+        });
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Validate env.json (or env.template.json)
+ *
+ * Every top-level key must be an environment section named <environment>_urls,
+ * <environment>_groups, <environment>_auth or <environment>_discovery.
+ *
+ * @param {Object} config - Parsed env.json
+ * @param {Array<Object>} errors - Collected errors
+ */
+function validateEnvConfig(config, errors) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    errors.push({ path: '', message: `expected an object, got ${describeType(config)}` });
+    return;
+  }
+
+  const sections = Object.keys(ENV_SECTION_SCHEMAS);
+  Object.entries(config).forEach(([key, value]) => {
+    const match = key.match(new RegExp(`^(.+)_(${sections.join('|')})$`));
+    if (!match) {
+      errors.push({
+        path: key,
+        message: `unknown key (expected <environment>_${sections.join(', <environment>_')})`
+      });
+      return;
+    }
+    validateValue(value, ENV_SECTION_SCHEMAS[match[2]], key, errors);
+  });
+}
+
+/**
+ * Cross-field checks that a schema cannot express
+ *
+ * @param {string} fileName - Base name of the configuration file
+ * @param {Object} config - Parsed configuration
+ * @param {Array<Object>} errors - Collected errors
+ */
+function validateConsistency(fileName, config, errors) {
+  if (fileName === 'treshholds.json' && config.regression_budgets) {
+    const { baselineRuns, minimumRuns } = config.regression_budgets;
+    if (Number.isInteger(baselineRuns) && Number.isInteger(minimumRuns) && minimumRuns > baselineRuns) {
+      errors.push({
+        path: 'regression_budgets.minimumRuns',
+        message: `must not be greater than baselineRuns (${baselineRuns}), got ${minimumRuns}`
+      });
+    }
+  }
+
+  if (fileName === 'treshholds.json' && config.history_retention && config.regression_budgets) {
+    const { maxEntries } = config.history_retention;
+    const { baselineRuns = 5 } = config.regression_budgets;
+    if (Number.isInteger(maxEntries) && Number.isInteger(baselineRuns) && maxEntries < baselineRuns) {
+      errors.push({
+        path: 'history_retention.maxEntries',
+        message: `must keep at least the regression baseline (baselineRuns ${baselineRuns}), got ${maxEntries}`
+      });
+    }
+    const { maxGlobalEntries } = config.history_retention;
+    if (Number.isInteger(maxGlobalEntries) && Number.isInteger(maxEntries) && maxGlobalEntries < maxEntries) {
+      errors.push({
+        path: 'history_retention.maxGlobalEntries',
+        message: `must keep at least maxEntries (${maxEntries}), got ${maxGlobalEntries}`
+      });
+    }
+  }
+
+  if (fileName === 'network_conditions.json' && Array.isArray(config.networkConditions)) {
+    const { devices } = require('playwright');
+    const deviceProfiles = require('./e2e/config/device-profiles');
+    config.networkConditions.forEach((condition, index) => {
+      if (typeof condition.device === 'string' && !deviceProfiles[condition.device] && !devices[condition.device]) {
+        errors.push({
+          path: `networkConditions[${index}].device`,
+          message: `unknown device "${condition.device}" (not in device-profiles.js or Playwright's device list)`
+        });
+      }
+      if (condition.budgetScaling === undefined && condition.budgets === undefined) {
+        errors.push({
+          path: `networkConditions[${index}]`,
+          message: 'must define budgetScaling or budgets (thresholds for this network condition)'
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Load the metric names known to metrics_schema.json next to a configuration file
+ *
+ * @param {string} directory - Directory of the configuration file
+ * @returns {Array<string>|undefined} - Metric names, or undefined when the schema is missing
+ */
+function loadMetricKeys(directory) {
+  const schemaPath = path.join(directory, 'metrics_schema.json');
+  if (!fs.existsSync(schemaPath)) {
+    return undefined;
+  }
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  return [...Object.keys(schema.coreMetrics || {}), ...Object.keys(schema.additionalMetrics || {})];
+}
+
+/**
+ * Validate parsed configuration data
+ *
+ * @param {string} filePath - Path of the configuration file (its base name selects the schema)
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<{path: string, message: string}>|null} - Errors, or null when the file has no schema
+ */
+function validateConfig(filePath, config) {
+  const fileName = path.basename(filePath);
+  const errors = [];
+
+  if (fileName === 'env.json' || fileName === 'env.template.json') {
+    validateEnvConfig(config, errors);
+  } else if (fileName === 'treshholds.json') {
+    validateValue(config, buildThresholdsSchema(loadMetricKeys(path.dirname(filePath))), '', errors);
+  } else if (fileName === 'network_conditions.json') {
+    validateValue(config, networkConditionsSchema, '', errors);
+  } else if (fileName === 'metrics_schema.json') {
+    validateValue(config, metricsSchemaSchema, '', errors);
+  } else {
+    return null;
+  }
+
+  validateConsistency(fileName, config, errors);
+  return errors;
+}
+
+/**
+ * Validate a configuration file and throw when it is invalid
+ *
+ * @param {string} filePath - Path of the configuration file
+ * @param {Object} config - Parsed configuration
+ * @throws {ConfigValidationError} - If the configuration does not match its schema
+ */
+function assertValidConfig(filePath, config) {
+  const errors = validateConfig(filePath, config);
+  if (errors && errors.length > 0) {
+    throw new ConfigValidationError(filePath, errors);
+  }
+}
+
+/**
+ * Validate every known configuration file in a directory
+ *
+ * @param {string} [directory] - Directory to check (defaults to test_data)
+ * @returns {Array<ConfigValidationError>} - Errors per invalid file (empty when all are valid)
+ */
+function validateAllConfigs(directory = TEST_DATA_DIRECTORY) {
+  const files = ['env.json', 'env.template.json', 'treshholds.json', 'network_conditions.json', 'metrics_schema.json'];
+  const failures = [];
+
+  files
+    .map(file => path.join(directory, file))
+    .filter(filePath => fs.existsSync(filePath))
+    .forEach(filePath => {
+      try {
+        assertValidConfig(filePath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        console.log(`✅ ${path.relative(process.cwd(), filePath)}`);
+      } catch (error) {
+        failures.push(error);
+      }
+    });
+
+  return failures;
+}
+
+module.exports = {
+  ConfigValidationError,
+  validateConfig,
+  assertValidConfig,
+  validateAllConfigs
+};
+
+// Allow validating all configuration files from the command line
+if (require.main === module) {
+  const failures = validateAllConfigs(process.argv[2]);
+  failures.forEach(error => console.error(`❌ ${error.message}`));
+  process.exit(failures.length > 0 ? 1 : 0);
+}
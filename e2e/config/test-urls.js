@@ -6,49 +6,34 @@
  */
 
 const path = require('path');
-const { loadConfig } = require('../../utils');
-
-// Load URLs from env.json
+const {
+  loadEnvironmentUrls,
+  resolveTestEnvironment,
+  loadPageGroups,
+  buildPagesToTest
+} = require('../../utils');
+
+// Load URLs for the target environment (TEST_ENV, defaults to prod) from env.json
 const envPath = path.join(__dirname, '..', '..', 'test_data', 'env.json');
-const urls = loadConfig(envPath, 'prod_urls');
-
-if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
-  throw new Error(
-    `Invalid or missing URL configuration. Expected an object map at property "prod_urls" in ${envPath}. ` +
-    `Example: {"prod_urls": {"homepage": "https://example.com/", "about": "https://example.com/about"}}. ` +
-    `Create/repair test_data/env.json (you can copy from test_data/env.template.json).`
-  );
-}
-
-// Group URLs by type for easier test organization
-const groupDefs = {
-  main: ['homepage', 'about', 'contact'],
-    content: ['....', '...', '...', '.....-...'],
-    process: ['....']
-};
+const environment = resolveTestEnvironment().name;
+const urls = loadEnvironmentUrls(envPath);
 
-const buildUrlGroups = (source, defs, { strict = false } = {}) =>
-  Object.fromEntries(
-    Object.entries(defs).map(([groupName, keys]) => [
-      groupName,
-      Object.fromEntries(
-        keys.map((key) => {
-          if (strict && source[key] == null) {
-            throw new Error(`Missing URL for key: ${key}`);
-          }
-          return [key, source[key]];
-        })
-      )
-    ])
-  );
+// Page groups (landing, article, lesson, checkout, ...) of the target environment
+const groups = loadPageGroups(envPath);
 
-const urlGroups = buildUrlGroups(urls, groupDefs);
+// Convert the URLs object to an array of objects with name, url and group properties
+const pagesToTest = buildPagesToTest(urls, groups);
 
-// Convert the URLs object to an array of objects with name and url properties
-const pagesToTest = Object.entries(urls).map(([name, url]) => ({ name, url }));
+// Group URLs by page group for easier test organization
+const urlGroups = pagesToTest.reduce((result, pageConfig) => {
+  result[pageConfig.group] = { ...result[pageConfig.group], [pageConfig.name]: pageConfig.url };
+  return result;
+}, {});
 
 module.exports = {
+  environment,
   urls,
+  groups,
   urlGroups,
   pagesToTest
 };
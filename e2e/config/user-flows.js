@@ -0,0 +1,71 @@
+/**
+ * User Flow Journeys Configuration
+ * ===============================
+ *
+ * This module describes the multi-step journeys audited by the user flow tests.
+ * Each journey is an ordered list of Playwright steps:
+ *
+ * - navigation: { type: 'navigation', name, url } or { type: 'navigation', name, action }
+ *   where action triggers the page load (for example submitting a form)
+ * - timespan: { type: 'timespan', name, action } measures the interaction in action
+ * - snapshot: { type: 'snapshot', name } audits the current page state
+ *
+ * A step may define its own category thresholds with `thresholds`. Journeys are only
+ * run when all URL keys they need exist in the target environment (TEST_ENV).
+ */
+
+const { urls } = require('./test-urls');
+
+const journeys = [
+  {
+    name: 'homepage-browse',
+    description: 'Open the homepage, scroll through the content and inspect the result',
+    requiredUrls: ['homepage'],
+    steps: [
+      { type: 'navigation', name: 'Open homepage', url: urls.homepage },
+      {
+        type: 'timespan',
+        name: 'Scroll through page',
+        action: async (page) => {
+          for (let i = 0; i < 5; i++) {
+            await page.mouse.wheel(0, 800);
+            await page.waitForTimeout(500);
+          }
+        }
+      },
+      { type: 'snapshot', name: 'Scrolled page' }
+    ]
+  },
+  {
+    name: 'homepage-to-about',
+    description: 'Navigate from the homepage to the about page by clicking a link',
+    requiredUrls: ['homepage', 'about'],
+    steps: [
+      { type: 'navigation', name: 'Open homepage', url: urls.homepage },
+      {
+        type: 'navigation',
+        name: 'Click about link',
+        action: async (page) => {
+          const aboutPath = new URL(urls.about).pathname;
+          const link = page.locator(`a[href="${urls.about}"], a[href="${aboutPath}"]`).first();
+          if (await link.count() > 0) {
+            await link.click();
+          } else {
+            await page.goto(urls.about);
+          }
+        }
+      },
+      { type: 'snapshot', name: 'About page' }
+    ]
+  }
+];
+
+// Only keep the journeys whose pages exist in the selected environment
+const availableJourneys = journeys.filter(journey =>
+  journey.requiredUrls.every(key => urls[key])
+);
+
+module.exports = {
+  journeys,
+  availableJourneys
+};
@@ -7,63 +7,11 @@
  * running audits, and processing accessibility results.
  */
 
-const { playAudit } = require('playwright-lighthouse');
-const path = require('path');
-const fs = require('fs');
-const { 
-  findAvailablePort, 
-  launchBrowserWithDebugPort, 
-  configurePlayAudit,
-  extractMetricsFromLighthouse
-} = require('../../utils');
-
-/**
- * Run a Lighthouse audit with the specified options
- * 
- * @param {Object} page - Playwright page object
- * @param {number} debugPort - Chrome debugging port
- * @param {Object} config - Audit configuration
- * @returns {Promise<Object>} - Lighthouse audit results
- */
-async function runLighthouseAudit(page, debugPort, config) {
-  const auditOptions = configurePlayAudit({
-    page,
-    debugPort,
-    thresholds: config.thresholds,
-    reportName: config.reportName,
-    reportsDirectory: config.reportsDirectory,
-    mobile: config.mobile || false,
-    categories: config.categories || ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'],
-    extraSettings: config.extraSettings || { maxWaitForLoad: 30000 }
-  });
-  
-  return playAudit(auditOptions);
-}
-
-/**
- * Setup browser for Lighthouse audit
- * 
- * @returns {Promise<Object>} - Object containing browser, context, page, and debugPort
- */
-async function setupBrowserForAudit() {
-  const debugPort = await findAvailablePort();
-  const { browser } = await launchBrowserWithDebugPort(debugPort);
-  const context = await browser.newContext();
-  const page = await context.newPage();
-  
-  return { browser, context, page, debugPort };
-}
-
-/**
- * Save audit report to file
- * 
- * @param {string} reportPath - Path to save the report
- * @param {Object} reportData - Report data to save
- */
-function saveAuditReport(reportPath, reportData) {
-  fs.writeFileSync(reportPath, JSON.stringify(reportData, null, 2));
-  console.log(`\nReport saved to: ${reportPath}`);
-}
+const {
+  runLighthouseAudit,
+  setupBrowserForAudit,
+  saveAuditReport
+} = require('./audit-session');
 
 /**
  * Extract accessibility-specific metrics from Lighthouse results
@@ -173,6 +121,26 @@ function extractAccessibilityMetrics(lhr) {
   };
 }
 
+/**
+ * Check accessibility audit scores against the per-audit accessibility budgets
+ * 
+ * Budgets are the audit entries of `accessibility_budgets` (with the page group's
+ * overrides), as minimum scores from 0 to 1; `accessibility-score` is the category
+ * threshold of the audit itself and is skipped. Audits that did not run or have no
+ * score (not applicable), and the budgets of the Playwright checks such as
+ * `keyboard-nav-score`, pass.
+ * 
+ * @param {Object} accessibilityMetrics - Result of extractAccessibilityMetrics
+ * @param {Object} accessibilityBudgets - Accessibility budgets, e.g. { 'image-alt': 1, 'color-contrast': 0.9 }
+ * @returns {Array} - Missed budgets ({ audit, title, score, budget }), empty when all pass
+ */
+function checkAccessibilityBudgets(accessibilityMetrics, accessibilityBudgets = {}) {
+  return Object.entries(accessibilityBudgets)
+    .filter(([audit]) => audit !== 'accessibility-score')
+    .filter(([audit, budget]) => typeof accessibilityMetrics[audit]?.score === 'number' && accessibilityMetrics[audit].score < budget)
+    .map(([audit, budget]) => ({ audit, title: accessibilityMetrics[audit].title, score: accessibilityMetrics[audit].score, budget }));
+}
+
 /**
  * Generates accessibility recommendations based on audit results
  * 
@@ -394,13 +362,378 @@ async function testFormAccessibility(page) {
   });
 }
 
+/**
+ * Calculate the relative luminance of an RGB color
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @returns {number} - Relative luminance value
+ */
+function calculateLuminance(r, g, b) {
+  // Convert RGB values to sRGB
+  const sR = r / 255;
+  const sG = g / 255;
+  const sB = b / 255;
+  
+  // Convert sRGB to linear RGB
+  const R = sR <= 0.03928 ? sR / 12.92 : Math.pow((sR + 0.055) / 1.055, 2.4);
+  const G = sG <= 0.03928 ? sG / 12.92 : Math.pow((sG + 0.055) / 1.055, 2.4);
+  const B = sB <= 0.03928 ? sB / 12.92 : Math.pow((sB + 0.055) / 1.055, 2.4);
+  
+  // Calculate luminance
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * Calculate contrast ratio between two colors
+ * @param {Object} color1 - First color {r, g, b}
+ * @param {Object} color2 - Second color {r, g, b}
+ * @returns {number} - Contrast ratio
+ */
+function calculateContrastRatio(color1, color2) {
+  const luminance1 = calculateLuminance(color1.r, color1.g, color1.b);
+  const luminance2 = calculateLuminance(color2.r, color2.g, color2.b);
+  
+  const lighter = Math.max(luminance1, luminance2);
+  const darker = Math.min(luminance1, luminance2);
+  
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Collect visible text elements with their text and effective background colors
+ * 
+ * Walks the text nodes of the page, resolves the first non-transparent ancestor
+ * background and classifies the text as large (24px, or 18.67px bold) per WCAG.
+ * At most 100 elements are collected.
+ * 
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Array>} - Text elements ({ text, element, textColor, bgColor, fontSize, fontWeight, isLargeText })
+ */
+async function collectTextElementColors(page) {
+  return page.evaluate(() => {
+    // Helper function to parse RGB/RGBA color string
+    function parseColor(color) {
+      if (!color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') {
+        return { r: 255, g: 255, b: 255, a: 0 }; // Default transparent color
+      }
+      
+      const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([0-9.]+))?\)/);
+      if (rgbMatch) {
+        return {
+          r: parseInt(rgbMatch[1], 10),
+          g: parseInt(rgbMatch[2], 10),
+          b: parseInt(rgbMatch[3], 10),
+          a: rgbMatch[4] ? parseFloat(rgbMatch[4]) : 1
+        };
+      }
+      
+      // For non-RGB colors, create a temporary element to get computed RGB
+      const tempEl = document.createElement('div');
+      tempEl.style.color = color;
+      document.body.appendChild(tempEl);
+      const computedColor = window.getComputedStyle(tempEl).color;
+      document.body.removeChild(tempEl);
+      
+      // Try parsing the computed color
+      const computedMatch = computedColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([0-9.]+))?\)/);
+      if (computedMatch) {
+        return {
+          r: parseInt(computedMatch[1], 10),
+          g: parseInt(computedMatch[2], 10),
+          b: parseInt(computedMatch[3], 10),
+          a: computedMatch[4] ? parseFloat(computedMatch[4]) : 1
+        };
+      }
+      
+      // Fallback
+      return { r: 0, g: 0, b: 0, a: 1 };
+    }
+    
+    // Helper to check if element is visible
+    function isVisible(element) {
+      const style = window.getComputedStyle(element);
+      return style.display !== 'none' && 
+             style.visibility !== 'hidden' && 
+             parseFloat(style.opacity) > 0 &&
+             element.offsetWidth > 0 &&
+             element.offsetHeight > 0;
+    }
+    
+    // Helper to get font size in pixels
+    function getFontSizeInPixels(element) {
+      const fontSize = window.getComputedStyle(element).fontSize;
+      if (fontSize.endsWith('px')) {
+        return parseFloat(fontSize);
+      }
+      // For non-pixel units, create a temporary element to get computed size
+      const tempEl = document.createElement('div');
+      tempEl.style.fontSize = fontSize;
+      document.body.appendChild(tempEl);
+      const computedSize = parseFloat(window.getComputedStyle(tempEl).fontSize);
+      document.body.removeChild(tempEl);
+      return computedSize;
+    }
+    
+    // Helper to get background color, checking ancestors if needed
+    function getEffectiveBackgroundColor(element) {
+      let current = element;
+      let bgColor;
+      
+      while (current && current !== document.body) {
+        bgColor = window.getComputedStyle(current).backgroundColor;
+        if (bgColor !== 'rgba(0, 0, 0, 0)' && bgColor !== 'transparent') {
+          return parseColor(bgColor);
+        }
+        current = current.parentElement;
+      }
+      
+      // If we reach here, use body or html background
+      bgColor = window.getComputedStyle(document.body).backgroundColor;
+      if (bgColor === 'rgba(0, 0, 0, 0)' || bgColor === 'transparent') {
+        bgColor = window.getComputedStyle(document.documentElement).backgroundColor;
+      }
+      
+      // If still transparent, assume white
+      if (bgColor === 'rgba(0, 0, 0, 0)' || bgColor === 'transparent') {
+        return { r: 255, g: 255, b: 255, a: 1 };
+      }
+      
+      return parseColor(bgColor);
+    }
+    
+    // Find all text elements
+    const textNodes = [];
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: function(node) {
+          // Skip empty text nodes and script/style content
+          if (!node.textContent.trim() || 
+              ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.parentElement.tagName)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      }
+    );
+    
+    // Collect text nodes
+    const elements = [];
+    const processedElements = new Set();
+    
+    while (walker.nextNode()) {
+      const textNode = walker.currentNode;
+      const parentElement = textNode.parentElement;
+      
+      // Skip if we've already processed this element or it's not visible
+      if (processedElements.has(parentElement) || !isVisible(parentElement)) {
+        continue;
+      }
+      
+      processedElements.add(parentElement);
+      
+      // Get text content
+      const text = textNode.textContent.trim();
+      if (!text) continue;
+      
+      // Get styles
+      const style = window.getComputedStyle(parentElement);
+      const textColor = parseColor(style.color);
+      const bgColor = getEffectiveBackgroundColor(parentElement);
+      const fontSize = getFontSizeInPixels(parentElement);
+      const fontWeight = style.fontWeight;
+      
+      // Determine if text is "large" according to WCAG
+      // Large text is defined as 18pt (24px) or 14pt (18.67px) bold
+      const isLargeText = fontSize >= 24 || (fontSize >= 18.67 && parseInt(fontWeight) >= 700);
+      
+      elements.push({
+        text: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
+        element: parentElement.tagName.toLowerCase(),
+        textColor,
+        bgColor,
+        fontSize,
+        fontWeight,
+        isLargeText
+      });
+      
+      // Limit to 100 elements to avoid performance issues
+      if (elements.length >= 100) break;
+    }
+    
+    return elements;
+  });
+}
+
+/**
+ * Check text elements against the WCAG contrast requirements
+ * 
+ * @param {Array} textElements - Text elements from collectTextElementColors
+ * @returns {Array} - Text elements with contrastRatio, passesAA, passesAAA and wcagLevel
+ */
+function checkContrastCompliance(textElements) {
+  return textElements.map(el => {
+    const contrastRatio = calculateContrastRatio(el.textColor, el.bgColor);
+    
+    // Determine WCAG compliance levels
+    const passesAA = el.isLargeText ? contrastRatio >= 3 : contrastRatio >= 4.5;
+    const passesAAA = el.isLargeText ? contrastRatio >= 4.5 : contrastRatio >= 7;
+    
+    return {
+      ...el,
+      contrastRatio: contrastRatio.toFixed(2),
+      passesAA,
+      passesAAA,
+      wcagLevel: passesAAA ? 'AAA' : (passesAA ? 'AA' : 'Fail')
+    };
+  });
+}
+
+/**
+ * Tab through the page and detect keyboard traps
+ * 
+ * Presses Tab up to maxTabPresses times and records the focused elements. When
+ * focus stays on the same element for more than three consecutive presses, the
+ * element is reported as a potential keyboard trap (WCAG 2.1.2).
+ * 
+ * @param {Object} page - Playwright page object
+ * @param {number} maxTabPresses - Maximum number of Tab presses
+ * @returns {Promise<Object>} - { focusedElements, potentialKeyboardTrap, keyboardTrapElement }
+ */
+async function detectKeyboardTrap(page, maxTabPresses) {
+  await page.keyboard.press('Tab');
+  
+  const focusedElements = [];
+  let previousElement = null;
+  let potentialKeyboardTrap = false;
+  let consecutiveSameElementCount = 0;
+  let keyboardTrapElement = null;
+  
+  for (let i = 0; i < maxTabPresses; i++) {
+    // Get the currently focused element
+    const focusedElement = await page.evaluate(() => {
+      const active = document.activeElement;
+      if (!active || active === document.body) return null;
+      
+      return {
+        tagName: active.tagName.toLowerCase(),
+        type: active.getAttribute('type'),
+        role: active.getAttribute('role'),
+        text: active.textContent.trim().substring(0, 50),
+        id: active.id,
+        className: active.className,
+        tabIndex: active.getAttribute('tabindex')
+      };
+    });
+    
+    if (focusedElement) {
+      // Check if we're stuck on the same element (potential keyboard trap)
+      if (previousElement && 
+          previousElement.tagName === focusedElement.tagName && 
+          previousElement.text === focusedElement.text &&
+          previousElement.id === focusedElement.id) {
+        consecutiveSameElementCount++;
+        if (consecutiveSameElementCount > 3) {
+          potentialKeyboardTrap = true;
+          keyboardTrapElement = focusedElement;
+          
+          // Get more detailed selector for the trapped element
+          const trapElementDetails = await page.evaluate(() => {
+            const active = document.activeElement;
+            if (!active || active === document.body) return null;
+            
+            // Try to get a CSS selector for the element
+            let selector = '';
+            
+            // Add tag
+            selector += active.tagName.toLowerCase();
+            
+            // Add id if available
+            if (active.id) {
+              selector += `#${active.id}`;
+            }
+            
+            // Add some classes if available
+            if (active.className && typeof active.className === 'string') {
+              const classes = active.className.split(' ')
+                .filter(c => c.trim() !== '')
+                .slice(0, 2); // Take at most 2 classes to keep selector reasonable
+              
+              if (classes.length > 0) {
+                selector += '.' + classes.join('.');
+              }
+            }
+            
+            // Try to get parent context
+            let parent = active.parentElement;
+            let parentInfo = '';
+            if (parent) {
+              parentInfo = parent.tagName.toLowerCase();
+              if (parent.id) parentInfo += `#${parent.id}`;
+            }
+            
+            // Get computed styles that might be relevant
+            const styles = window.getComputedStyle(active);
+            const position = styles.position;
+            const display = styles.display;
+            const visibility = styles.visibility;
+            
+            return {
+              selector,
+              parentInfo,
+              position,
+              display,
+              visibility,
+              outerHTML: active.outerHTML.substring(0, 300) // Limit length
+            };
+          });
+          
+          console.warn('Potential keyboard trap detected!');
+          console.warn(`Trapped element: ${focusedElement.tagName}${focusedElement.id ? '#'+focusedElement.id : ''}`);
+          if (trapElementDetails) {
+            console.warn(`Selector: ${trapElementDetails.selector}`);
+            console.warn(`Parent: ${trapElementDetails.parentInfo}`);
+            console.warn(`CSS properties: position=${trapElementDetails.position}, display=${trapElementDetails.display}`);
+            console.warn(`Element HTML: ${trapElementDetails.outerHTML}`);
+          }
+          
+          break;
+        }
+      } else {
+        consecutiveSameElementCount = 0;
+      }
+      
+      focusedElements.push(focusedElement);
+      previousElement = focusedElement;
+    }
+    
+    // Press Tab to move to the next element
+    await page.keyboard.press('Tab');
+    await page.waitForTimeout(100); // Small delay to ensure focus changes
+  }
+  
+  return {
+    focusedElements,
+    potentialKeyboardTrap,
+    keyboardTrapElement
+  };
+}
+
 module.exports = {
   runLighthouseAudit,
   setupBrowserForAudit,
   saveAuditReport,
   extractAccessibilityMetrics,
+  checkAccessibilityBudgets,
   generateAccessibilityRecommendations,
   logAccessibilityRecommendations,
   testKeyboardNavigation,
-  testFormAccessibility
+  testFormAccessibility,
+  calculateLuminance,
+  calculateContrastRatio,
+  collectTextElementColors,
+  checkContrastCompliance,
+  detectKeyboardTrap
 };
@@ -7,65 +7,11 @@
  * running audits, and processing audit results.
  */
 
-const { playAudit } = require('playwright-lighthouse');
-const path = require('path');
-const fs = require('fs');
-const { 
-  findAvailablePort, 
-  launchBrowserWithDebugPort, 
-  configurePlayAudit,
-  extractMetricsFromLighthouse,
-  extractWebVitals,
-  extractOpportunitiesAndDiagnostics
-} = require('../../utils');
-
-/**
- * Run a Lighthouse audit with the specified options
- * 
- * @param {Object} page - Playwright page object
- * @param {number} debugPort - Chrome debugging port
- * @param {Object} config - Audit configuration
- * @returns {Promise<Object>} - Lighthouse audit results
- */
-async function runLighthouseAudit(page, debugPort, config) {
-  const auditOptions = configurePlayAudit({
-    page,
-    debugPort,
-    thresholds: config.thresholds,
-    reportName: config.reportName,
-    reportsDirectory: config.reportsDirectory,
-    mobile: config.mobile || false,
-    categories: config.categories || ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'],
-    extraSettings: config.extraSettings || { maxWaitForLoad: 30000 }
-  });
-  
-  return playAudit(auditOptions);
-}
-
-/**
- * Setup browser for Lighthouse audit
- * 
- * @returns {Promise<Object>} - Object containing browser, context, page, and debugPort
- */
-async function setupBrowserForAudit() {
-  const debugPort = await findAvailablePort();
-  const { browser } = await launchBrowserWithDebugPort(debugPort);
-  const context = await browser.newContext();
-  const page = await context.newPage();
-  
-  return { browser, context, page, debugPort };
-}
-
-/**
- * Save audit report to file
- * 
- * @param {string} reportPath - Path to save the report
- * @param {Object} reportData - Report data to save
- */
-function saveAuditReport(reportPath, reportData) {
-  fs.writeFileSync(reportPath, JSON.stringify(reportData, null, 2));
-  console.log(`\nReport saved to: ${reportPath}`);
-}
+const {
+  runLighthouseAudit,
+  setupBrowserForAudit,
+  saveAuditReport
+} = require('./audit-session');
 
 /**
  * Extract SEO-specific metrics from Lighthouse results
@@ -167,6 +113,25 @@ function extractSeoMetrics(lhr) {
   };
 }
 
+/**
+ * Check SEO audit scores against the per-audit SEO budgets
+ * 
+ * Budgets are the audit entries of `seo_budgets` (with the page group's overrides),
+ * as minimum scores from 0 to 1; `seo-score` is the category threshold of the audit
+ * itself and is skipped. Audits that did not run or have no score (not applicable)
+ * pass.
+ * 
+ * @param {Object} seoMetrics - Result of extractSeoMetrics
+ * @param {Object} seoBudgets - SEO budgets, e.g. { 'is-crawlable': 1, 'link-text': 0.8 }
+ * @returns {Array} - Missed budgets ({ audit, title, score, budget }), empty when all pass
+ */
+function checkSeoBudgets(seoMetrics, seoBudgets = {}) {
+  return Object.entries(seoBudgets)
+    .filter(([audit]) => audit !== 'seo-score')
+    .filter(([audit, budget]) => typeof seoMetrics[audit]?.score === 'number' && seoMetrics[audit].score < budget)
+    .map(([audit, budget]) => ({ audit, title: seoMetrics[audit].title, score: seoMetrics[audit].score, budget }));
+}
+
 /**
  * Generates SEO recommendations based on audit results
  * 
@@ -301,6 +266,7 @@ module.exports = {
   setupBrowserForAudit,
   saveAuditReport,
   extractSeoMetrics,
+  checkSeoBudgets,
   generateSeoRecommendations,
   logSeoRecommendations
 };
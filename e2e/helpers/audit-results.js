@@ -0,0 +1,157 @@
+/**
+ * Audit Results Attachments
+ * =========================
+ *
+ * This module passes the structured results of an audit from a spec to the per-spec
+ * HTML reporter, so the report shows what was measured and not only pass/fail.
+ *
+ * A spec attaches its results to the running test as a JSON attachment named
+ * `audit-results`:
+ *
+ *   await attachAuditResults({
+ *     url: pageConfig.url,
+ *     metrics,
+ *     recommendations,
+ *     reports: lighthouseReportLinks(reports, [{ label: 'Detailed report', path: reportPath }])
+ *   });
+ *
+ * The reporter reads it back with readAuditResults in onTestEnd, and
+ * generateHtmlReport renders the metrics, scores, recommendations and report links
+ * inline. The attachment also shows up in Playwright's own HTML report.
+ *
+ * The results are normalized when attached:
+ * - metrics: flat numbers (objects with a `value`, like the detailed core metrics, are unwrapped)
+ * - recommendations: { title, priority, description } from the recommendation shapes the
+ *   helpers produce (accessibility/SEO: priority, title, description; performance:
+ *   category, severity, suggestions)
+ * - reports: { label, path } with absolute paths, which the reporter makes relative
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_RESULTS_ATTACHMENT = 'audit-results';
+
+/**
+ * Flatten metrics to numbers
+ *
+ * @param {Object} [metrics] - Metrics by name, as numbers or { value } objects
+ * @returns {Object} - Numeric metrics by name
+ */
+function normalizeMetrics(metrics = {}) {
+  return Object.fromEntries(Object.entries(metrics)
+    .map(([name, value]) => [name, value !== null && typeof value === 'object' ? value.value : value])
+    .filter(([, value]) => typeof value === 'number' && Number.isFinite(value)));
+}
+
+/**
+ * Bring recommendations of the different helpers into one shape
+ *
+ * @param {Array<Object|string>} [recommendations] - Recommendations of any helper
+ * @returns {Array<Object>} - { title, priority, description } per recommendation
+ */
+function normalizeRecommendations(recommendations = []) {
+  return recommendations.map(recommendation => {
+    if (typeof recommendation === 'string') {
+      return { title: recommendation, priority: null, description: null };
+    }
+    return {
+      title: recommendation.title || recommendation.category || 'Recommendation',
+      priority: recommendation.priority || recommendation.severity || null,
+      description: recommendation.description ||
+        (Array.isArray(recommendation.suggestions) ? recommendation.suggestions.join('; ') : null)
+    };
+  });
+}
+
+/**
+ * Build the report links of a Lighthouse audit
+ *
+ * @param {Array<Object>} [reports] - Report paths per run from runSampledAudit/runAuditSession
+ * @param {Array<Object>} [extraReports] - Further { label, path } links, e.g. the spec's own JSON report
+ * @returns {Array<Object>} - { label, path } per report
+ */
+function lighthouseReportLinks(reports = [], extraReports = []) {
+  const lighthouseReports = reports
+    .filter(report => report.html)
+    .map(report => ({
+      label: reports.length > 1
+        ? `Lighthouse report (run ${report.run}${report.representative ? ', representative' : ''})`
+        : 'Lighthouse report',
+      path: report.html
+    }));
+  return [...lighthouseReports, ...extraReports];
+}
+
+/**
+ * Turn the regressions of a regression check into recommendations
+ *
+ * @param {Object} regressionCheck - Result of detectMetricRegressions
+ * @returns {Array<Object>} - One recommendation per failed or warned metric
+ */
+function regressionRecommendations(regressionCheck) {
+  return [...regressionCheck.failures, ...regressionCheck.warnings].map(regression => ({
+    title: `${regression.metric} regressed: ${Number(regression.current.toFixed(3))} vs. baseline ${Number(regression.baseline.toFixed(3))}`,
+    priority: regression.severity,
+    description: `${regression.deltaPercent.toFixed(1)}% change, ${Number(regression.allowed.toFixed(3))} allowed`
+  }));
+}
+
+/**
+ * Attach the structured results of an audit to the running test
+ *
+ * @param {Object} results - Audit results
+ * @param {string} [results.url] - Audited URL
+ * @param {Object} [results.metrics] - Metrics by name
+ * @param {Object} [results.scores] - Category scores (0-100) by category
+ * @param {Array<Object|string>} [results.recommendations] - Recommendations
+ * @param {Array<Object>} [results.reports] - { label, path } links to the written reports
+ * @param {Object} [testInfo] - Playwright TestInfo (defaults to the running test)
+ * @returns {Promise<Object>} - The normalized results that were attached
+ */
+async function attachAuditResults(results, testInfo) {
+  const info = testInfo || require('@playwright/test').test.info();
+  const normalized = {
+    ...(results.url ? { url: results.url } : {}),
+    metrics: normalizeMetrics(results.metrics),
+    ...(results.scores ? { scores: normalizeMetrics(results.scores) } : {}),
+    recommendations: normalizeRecommendations(results.recommendations),
+    reports: (results.reports || [])
+      .filter(report => report && report.path)
+      .map(report => ({ label: report.label || path.basename(report.path), path: path.resolve(report.path) }))
+  };
+
+  await info.attach(AUDIT_RESULTS_ATTACHMENT, {
+    body: JSON.stringify(normalized, null, 2),
+    contentType: 'application/json'
+  });
+  return normalized;
+}
+
+/**
+ * Read the audit results of a finished test
+ *
+ * @param {Object} result - Playwright TestResult (reporter API)
+ * @returns {Object|null} - The attached audit results, or null when the test attached none
+ */
+function readAuditResults(result) {
+  const attachment = (result.attachments || []).find(item => item.name === AUDIT_RESULTS_ATTACHMENT);
+  if (!attachment) {
+    return null;
+  }
+
+  try {
+    const body = attachment.body || (attachment.path ? fs.readFileSync(attachment.path) : null);
+    return body ? JSON.parse(body.toString('utf8')) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  AUDIT_RESULTS_ATTACHMENT,
+  lighthouseReportLinks,
+  regressionRecommendations,
+  attachAuditResults,
+  readAuditResults
+};
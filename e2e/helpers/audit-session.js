@@ -0,0 +1,267 @@
+/**
+ * Lighthouse Audit Session
+ * =======================
+ *
+ * This module provides the single shared way to run Lighthouse audits in
+ * Playwright tests. An audit session takes care of port allocation, browser
+ * launch, navigation, the audit itself (including multi-run sampling) and
+ * guaranteed cleanup, so a spec only chooses what to audit and how.
+ *
+ * Typical usage:
+ *
+ *   const { lhr, metrics } = await runAuditSession({
+ *     url: pageConfig.url,
+ *     reportName: `${pageConfig.name}-audit`,
+ *     reportsDirectory,
+ *     categories: ['performance'],
+ *     mobile: true,
+ *     networkSettings: { rttMs: 150, throughputKbps: 1600 }
+ *   });
+ *
+ * With `blockedUrlPatterns` (e.g. ['*.hotjar.com/*']) matching requests are blocked
+ * both while Playwright loads the page and during the Lighthouse audit, so a page can
+ * be measured without selected scripts.
+ *
+ * With `captureTrace: true` (or CAPTURE_TRACE=1) the performance trace is saved next
+ * to the reports and the result contains a summary of the main-thread long tasks.
+ */
+
+const fs = require('fs');
+const {
+  findAvailablePort,
+  launchBrowserWithDebugPort,
+  navigateWithRetry,
+  getDeviceContextOptions,
+  configurePlayAudit,
+  getAuditRunCount,
+  runSampledAudit
+} = require('../../utils');
+const {
+  getAuthContextOptions,
+  getAuthLighthouseSettings,
+  applyAuthToBrowser
+} = require('./auth');
+const { getRunContext } = require('./run-metadata');
+
+const DEFAULT_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'];
+
+/**
+ * Convert a Lighthouse URL pattern into a regular expression
+ *
+ * Patterns use the syntax of Chrome's blocked URLs, which Lighthouse passes on:
+ * `*` matches any characters and the pattern may match anywhere in the URL, so
+ * 'hotjar.com' blocks the same requests in the Playwright route as in the audit.
+ *
+ * @param {string} pattern - URL pattern such as '*.hotjar.com/*'
+ * @returns {RegExp} - Regular expression matching URLs that contain the pattern
+ */
+function urlPatternToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(source);
+}
+
+/**
+ * Open a browser session that Lighthouse can connect to
+ *
+ * Finds a free debugging port, launches Chromium with it and opens a context and
+ * a page. When the target environment has an auth setup, the context starts with
+ * the auth session and its cookies are shared with the tab Lighthouse opens.
+ * Requests matching blockedUrlPatterns are aborted in the context. With a device
+ * the context emulates its viewport, pixel ratio and touch. The user agent of the
+ * device is left to Lighthouse (emulatedUserAgent, see configurePlayAudit):
+ * playAudit refuses to run when navigator.userAgent names a browser other than
+ * Chrome, such as the Mobile Safari of the iPhone and iPad profiles.
+ * The returned close() function is safe to call more than once and never
+ * throws, so it can always be used in a finally block.
+ *
+ * @param {Object} [options] - Session options
+ * @param {Object} [options.contextOptions] - Options passed to browser.newContext()
+ * @param {boolean} [options.auth=true] - Whether to apply the environment's auth session
+ * @param {string[]} [options.blockedUrlPatterns=[]] - URL patterns of requests to block
+ * @param {string} [options.device] - Device profile to emulate (see getDeviceProfile in utils.js)
+ * @returns {Promise<Object>} - Object containing browser, context, page, debugPort and close()
+ */
+async function openAuditSession(options = {}) {
+  const { contextOptions = {}, auth = true, blockedUrlPatterns = [], device } = options;
+
+  const requestedPort = await findAvailablePort();
+  const { browser, debugPort } = await launchBrowserWithDebugPort(requestedPort);
+
+  // Without the user agent, Lighthouse applies it during the audit
+  const { userAgent, ...deviceContextOptions } = getDeviceContextOptions(device);
+
+  let context;
+  let page;
+  try {
+    if (auth) {
+      await applyAuthToBrowser(browser);
+    }
+    context = await browser.newContext({
+      ...(auth ? getAuthContextOptions() : {}),
+      ...deviceContextOptions,
+      ...contextOptions
+    });
+    for (const pattern of blockedUrlPatterns) {
+      await context.route(urlPatternToRegExp(pattern), route => route.abort('blockedbyclient'));
+    }
+    page = await context.newPage();
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+
+  let closed = false;
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    try {
+      if (page && !page.isClosed()) await page.close();
+      await context.close();
+    } catch (error) {
+      console.warn(`Error closing audit session context: ${error.message}`);
+    } finally {
+      await browser.close().catch(error => console.warn(`Error closing audit browser: ${error.message}`));
+    }
+  };
+
+  return { browser, context, page, debugPort, close };
+}
+
+/**
+ * Run a callback inside an audit session and always clean up afterwards
+ *
+ * @param {Function} callback - Async function receiving the session object
+ * @param {Object} [options] - Session options (see openAuditSession)
+ * @returns {Promise<*>} - Whatever the callback returns
+ */
+async function withAuditSession(callback, options = {}) {
+  const session = await openAuditSession(options);
+  try {
+    return await callback(session);
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Run a Lighthouse audit on an already opened page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {number} debugPort - Chrome debugging port
+ * @param {Object} config - Audit configuration
+ * @param {Object} [config.thresholds] - Category thresholds
+ * @param {string} config.reportName - Name for the report files
+ * @param {string} config.reportsDirectory - Directory to save reports
+ * @param {boolean} [config.mobile=false] - Whether to use mobile emulation
+ * @param {string} [config.device] - Device profile to emulate (overrides mobile, see getDeviceProfile in utils.js)
+ * @param {string[]} [config.categories] - Categories to include in the audit
+ * @param {Object} [config.networkSettings] - Network throttling settings
+ * @param {Object} [config.extraSettings] - Additional Lighthouse settings
+ * @param {string[]} [config.blockedUrlPatterns] - URL patterns of requests to block during the audit
+ * @param {number} [config.runs=1] - Number of Lighthouse runs to aggregate
+ * @param {Function} [config.extractMetrics] - Metrics extractor applied to every run
+ * @param {boolean} [config.captureTrace] - Save the performance trace next to the reports (defaults to CAPTURE_TRACE)
+ * @param {boolean} [config.ignoreError=false] - Do not throw when a threshold is not met (the errors are returned)
+ * @returns {Promise<Object>} - Object containing lhr, lhrs, metrics, aggregate, traces, longTasks, reports and errors
+ */
+async function runLighthouseAudit(page, debugPort, config) {
+  const auditOptions = {
+    ...configurePlayAudit({
+      page,
+      debugPort,
+      thresholds: config.thresholds,
+      reportName: config.reportName,
+      reportsDirectory: config.reportsDirectory,
+      networkSettings: config.networkSettings,
+      mobile: config.mobile || false,
+      device: config.device,
+      categories: config.categories || DEFAULT_CATEGORIES,
+      extraSettings: {
+        ...(config.extraSettings || { maxWaitForLoad: 30000 }),
+        ...getAuthLighthouseSettings()
+      },
+      blockedUrlPatterns: config.blockedUrlPatterns
+    }),
+    ignoreError: config.ignoreError === true
+  };
+
+  return runSampledAudit(auditOptions, {
+    runs: config.runs || 1,
+    captureTrace: config.captureTrace,
+    ...(config.extractMetrics ? { extractMetrics: config.extractMetrics } : {})
+  });
+}
+
+/**
+ * Run a complete audit session for a single URL
+ *
+ * Launches a browser, navigates to the URL, runs the Lighthouse audit with the
+ * requested categories, device mode and network settings, and closes everything
+ * again, also when navigation or the audit fails.
+ *
+ * @param {Object} options - Audit options (see runLighthouseAudit for audit settings)
+ * @param {string} options.url - URL to audit
+ * @param {number} [options.runs] - Number of runs (defaults to LIGHTHOUSE_RUNS)
+ * @param {Function} [options.navigate] - Custom navigation (page, url) => Promise, defaults to navigateWithRetry
+ * @param {Object} [options.contextOptions] - Options passed to browser.newContext()
+ * @param {boolean} [options.auth=true] - Whether to apply the environment's auth session
+ * @param {string[]} [options.blockedUrlPatterns] - URL patterns of requests to block while loading and auditing
+ * @returns {Promise<Object>} - Object containing lhr, lhrs, metrics, aggregate, traces, longTasks, reports, errors and debugPort
+ */
+async function runAuditSession(options) {
+  const { url, navigate = navigateWithRetry, contextOptions, auth, ...auditConfig } = options;
+  const { blockedUrlPatterns, device } = auditConfig;
+
+  return withAuditSession(async ({ page, debugPort }) => {
+    console.log(`Using debugging port ${debugPort} for ${url}`);
+    await navigate(page, url);
+
+    console.log(`Starting Lighthouse audit (${(auditConfig.categories || DEFAULT_CATEGORIES).join(', ')})...`);
+    const result = await runLighthouseAudit(page, debugPort, {
+      ...auditConfig,
+      runs: auditConfig.runs || getAuditRunCount()
+    });
+
+    return { ...result, debugPort };
+  }, { contextOptions, auth, blockedUrlPatterns, device });
+}
+
+/**
+ * Setup browser for Lighthouse audit
+ *
+ * Kept for specs that drive the page themselves between navigation and audit.
+ * The caller is responsible for closing the browser (or calling close()).
+ *
+ * @param {Object} [options] - Session options (see openAuditSession), e.g. { device }
+ * @returns {Promise<Object>} - Object containing browser, context, page, debugPort and close()
+ */
+async function setupBrowserForAudit(options = {}) {
+  return openAuditSession(options);
+}
+
+/**
+ * Save audit report to file
+ *
+ * Reports without a `runContext` get the context of the current run, so every
+ * saved report records the commit, versions and configuration it came from.
+ *
+ * @param {string} reportPath - Path to save the report
+ * @param {Object} reportData - Report data to save
+ */
+function saveAuditReport(reportPath, reportData) {
+  const report = reportData.runContext ? reportData : { ...reportData, runContext: getRunContext() };
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  console.log(`\nReport saved to: ${reportPath}`);
+}
+
+module.exports = {
+  openAuditSession,
+  withAuditSession,
+  runAuditSession,
+  runLighthouseAudit,
+  setupBrowserForAudit,
+  saveAuditReport
+};
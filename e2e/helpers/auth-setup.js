@@ -0,0 +1,22 @@
+/**
+ * Playwright Global Setup: Configuration and Authentication
+ * ========================================================
+ *
+ * Runs once per test run, before any spec starts:
+ * 1. Validates the test_data configuration files, so a broken file stops the run
+ *    with one clear message instead of failing inside individual specs
+ * 2. Prepares the auth session of the target environment. Without a `<name>_auth`
+ *    section in env.json this step does nothing.
+ */
+
+const { validateAllConfigs } = require('../../config_validation');
+const { prepareAuthState } = require('./auth');
+
+module.exports = async function globalSetup() {
+  const failures = validateAllConfigs();
+  if (failures.length > 0) {
+    throw new Error(failures.map(error => error.message).join('\n'));
+  }
+
+  await prepareAuthState();
+};
@@ -0,0 +1,343 @@
+/**
+ * Authentication Session Helpers
+ * =============================
+ *
+ * This module lets every spec category audit pages behind a login. The auth setup
+ * for an environment lives next to its URLs in env.json, as `<name>_auth` (e.g.
+ * `prod_auth` for TEST_ENV=prod), and can combine:
+ *
+ * - storageState: an existing Playwright storage state file
+ * - cookies: cookies to inject (Playwright cookie format)
+ * - headers: extra HTTP headers sent with every request
+ * - login: a scripted login that runs once per test run (JSON steps or a script module)
+ *
+ * Values may reference environment variables as `${NAME}`, so secrets never have
+ * to be committed. The global setup resolves all of this into one storage state file
+ * per environment (getAuthStatePath) that is used by:
+ *
+ * - the Playwright `page` fixture (storageState and extraHTTPHeaders in playwright.config.js)
+ * - audit sessions (browser context options)
+ * - the tab Lighthouse opens in the default browser context (cookies via CDP, headers
+ *   via the extraHeaders setting)
+ *
+ * Note: the Lighthouse tab only receives cookies and headers. Auth that relies on
+ * localStorage works in Playwright specs and user flows, which audit the session page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { chromium } = require('playwright');
+const { loadConfig, resolveTestEnvironment } = require('../../utils');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const ENV_PATH = path.join(PROJECT_ROOT, 'test_data', 'env.json');
+const AUTH_STATE_DIRECTORY = path.join(PROJECT_ROOT, '.auth');
+
+// Reuse a scripted login for this long before logging in again
+const DEFAULT_MAX_AGE_MINUTES = 60;
+
+/**
+ * Replace ${NAME} placeholders with environment variables
+ *
+ * @param {*} value - Config value (strings, arrays and objects are resolved recursively)
+ * @returns {*} - Value with placeholders replaced
+ * @throws {Error} - If a referenced environment variable is not set
+ */
+function resolvePlaceholders(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Auth configuration references environment variable ${name}, but it is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolvePlaceholders);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolvePlaceholders(item)]));
+  }
+  return value;
+}
+
+/**
+ * Load the auth configuration of the target environment
+ *
+ * @param {string} [envPath] - Path to env.json
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {object|null} - Resolved auth configuration, or null when the environment has none
+ */
+function loadAuthConfig(envPath = ENV_PATH, environment) {
+  // Without env.json there is nothing to authenticate against
+  if (!fs.existsSync(envPath)) {
+    return null;
+  }
+
+  const { name } = resolveTestEnvironment(environment);
+  const property = `${name}_auth`;
+  const envConfig = loadConfig(envPath);
+  const authConfig = envConfig[property];
+
+  if (!authConfig || authConfig.enabled === false) {
+    return null;
+  }
+  if (typeof authConfig !== 'object' || Array.isArray(authConfig)) {
+    throw new Error(`Invalid auth configuration at property "${property}" in ${envPath}. Expected an object.`);
+  }
+
+  return resolvePlaceholders(authConfig);
+}
+
+/**
+ * Get the path of the storage state file of an environment
+ *
+ * Every environment has its own file, so a session of one environment is never
+ * replayed against another.
+ *
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {string} - Path of the storage state file
+ */
+function getAuthStatePath(environment) {
+  return path.join(AUTH_STATE_DIRECTORY, `storage-state-${resolveTestEnvironment(environment).name}.json`);
+}
+
+/**
+ * Get the path of the file recording which auth configuration a storage state was made with
+ *
+ * @param {string} statePath - Path of the storage state file
+ * @returns {string} - Path of the metadata file next to it
+ */
+function getAuthStateMetaPath(statePath) {
+  return statePath.replace(/\.json$/, '.meta.json');
+}
+
+/**
+ * Hash an auth configuration
+ *
+ * The configuration is hashed with its placeholders resolved, so a changed secret
+ * (e.g. a new password in an environment variable) changes the hash as well.
+ *
+ * @param {object} authConfig - Resolved auth configuration
+ * @returns {string} - First 12 characters of the SHA-256 of the configuration
+ */
+function hashAuthConfig(authConfig) {
+  return crypto.createHash('sha256').update(JSON.stringify(authConfig)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Run a scripted login and return the resulting storage state
+ *
+ * The login either runs a script module exporting `async (page, loginConfig) => {}`
+ * or a list of JSON steps: { goto }, { fill, value }, { click }, { press, key },
+ * { waitFor } and { waitForUrl }.
+ *
+ * @param {object} browser - Playwright browser instance
+ * @param {object} login - Login configuration
+ * @param {object} contextOptions - Context options (storage state, headers) to start from
+ * @returns {Promise<object>} - Playwright storage state after login
+ */
+async function runScriptedLogin(browser, login, contextOptions) {
+  const context = await browser.newContext(contextOptions);
+  const page = await context.newPage();
+
+  try {
+    if (login.url) {
+      await page.goto(login.url, { waitUntil: 'domcontentloaded' });
+    }
+
+    if (login.script) {
+      const loginScript = require(path.resolve(PROJECT_ROOT, login.script));
+      await loginScript(page, login);
+    } else {
+      for (const step of login.steps || []) {
+        if (step.goto) await page.goto(step.goto, { waitUntil: 'domcontentloaded' });
+        else if (step.fill) await page.fill(step.fill, String(step.value ?? ''));
+        else if (step.click) await page.click(step.click);
+        else if (step.press) await page.press(step.press, step.key);
+        else if (step.waitFor) await page.waitForSelector(step.waitFor);
+        else if (step.waitForUrl) await page.waitForURL(step.waitForUrl);
+        else throw new Error(`Unknown login step: ${JSON.stringify(step)}`);
+      }
+    }
+
+    if (login.waitForUrl) {
+      await page.waitForURL(login.waitForUrl);
+    }
+    if (login.successSelector) {
+      await page.waitForSelector(login.successSelector);
+    }
+
+    return await context.storageState();
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Check whether a previously saved storage state can be reused
+ *
+ * @param {object} authConfig - Auth configuration
+ * @param {string} statePath - Path of the storage state file
+ * @returns {boolean} - True when the state file is younger than maxAgeMinutes and was
+ *   made with the same auth configuration
+ */
+function isAuthStateFresh(authConfig, statePath) {
+  const metaPath = getAuthStateMetaPath(statePath);
+  if (!fs.existsSync(statePath) || !fs.existsSync(metaPath)) {
+    return false;
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (error) {
+    return false;
+  }
+  if (meta.configHash !== hashAuthConfig(authConfig)) {
+    return false;
+  }
+
+  const maxAgeMinutes = authConfig.login.maxAgeMinutes ?? DEFAULT_MAX_AGE_MINUTES;
+  const ageMinutes = (Date.now() - fs.statSync(statePath).mtimeMs) / 60000;
+  return ageMinutes < maxAgeMinutes;
+}
+
+/**
+ * Resolve the auth configuration into a single storage state file
+ *
+ * Runs once per test run from the Playwright global setup. Merges the configured
+ * storage state file, injected cookies and (when configured) the result of the
+ * scripted login, and writes it to the environment's storage state file. The hash
+ * of the auth configuration is saved next to it, so a scripted login is only reused
+ * while the configuration is unchanged.
+ *
+ * @param {object} [authConfig] - Auth configuration (defaults to the target environment's)
+ * @returns {Promise<string|null>} - Path of the storage state file, or null without auth
+ */
+async function prepareAuthState(authConfig = loadAuthConfig()) {
+  if (!authConfig) {
+    return null;
+  }
+
+  const statePath = getAuthStatePath();
+  if (authConfig.login && isAuthStateFresh(authConfig, statePath)) {
+    console.log(`Reusing auth session from ${statePath}`);
+    return statePath;
+  }
+
+  let storageState = { cookies: [], origins: [] };
+  if (authConfig.storageState) {
+    const statePath = path.resolve(PROJECT_ROOT, authConfig.storageState);
+    if (!fs.existsSync(statePath)) {
+      throw new Error(`Auth storage state file not found: ${statePath}`);
+    }
+    storageState = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  }
+  storageState.cookies = [...(storageState.cookies || []), ...(authConfig.cookies || [])];
+
+  if (authConfig.login) {
+    console.log('Running scripted login...');
+    const browser = await chromium.launch();
+    try {
+      storageState = await runScriptedLogin(browser, authConfig.login, {
+        storageState,
+        extraHTTPHeaders: authConfig.headers
+      });
+    } finally {
+      await browser.close();
+    }
+  }
+
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(storageState, null, 2));
+  fs.writeFileSync(getAuthStateMetaPath(statePath), JSON.stringify({
+    environment: resolveTestEnvironment().name,
+    configHash: hashAuthConfig(authConfig),
+    createdAt: new Date().toISOString()
+  }, null, 2));
+  console.log(`Auth session saved to ${statePath}`);
+  return statePath;
+}
+
+/**
+ * Load the storage state written by prepareAuthState
+ *
+ * @returns {object|null} - Storage state, or null when no auth session was prepared
+ */
+function loadAuthState() {
+  const statePath = getAuthStatePath();
+  if (!loadAuthConfig() || !fs.existsSync(statePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+/**
+ * Get browser context options for the auth session
+ *
+ * Used by playwright.config.js for the `page` fixture and by audit sessions.
+ *
+ * @returns {object} - Context options ({ storageState, extraHTTPHeaders }), empty without auth
+ */
+function getAuthContextOptions() {
+  const authConfig = loadAuthConfig();
+  if (!authConfig) {
+    return {};
+  }
+  return {
+    storageState: getAuthStatePath(),
+    ...(authConfig.headers ? { extraHTTPHeaders: authConfig.headers } : {})
+  };
+}
+
+/**
+ * Get Lighthouse settings for the auth session
+ *
+ * @returns {object} - Lighthouse settings ({ extraHeaders }), empty without auth headers
+ */
+function getAuthLighthouseSettings() {
+  const authConfig = loadAuthConfig();
+  return authConfig && authConfig.headers ? { extraHeaders: authConfig.headers } : {};
+}
+
+/**
+ * Share the auth cookies with the tab Lighthouse opens
+ *
+ * Lighthouse connects through the debugging port and audits a new tab in the
+ * browser's default context, which Playwright contexts do not share cookies with.
+ * The cookies are therefore written into the default context over CDP.
+ *
+ * @param {object} browser - Playwright browser launched with a debugging port
+ * @returns {Promise<number>} - Number of cookies applied
+ */
+async function applyAuthToBrowser(browser) {
+  const storageState = loadAuthState();
+  if (!storageState || !storageState.cookies || storageState.cookies.length === 0) {
+    return 0;
+  }
+
+  const session = await browser.newBrowserCDPSession();
+  try {
+    await session.send('Storage.setCookies', {
+      cookies: storageState.cookies.map(cookie => ({
+        ...cookie,
+        ...(cookie.expires === -1 ? { expires: undefined } : {})
+      }))
+    });
+  } finally {
+    await session.detach();
+  }
+  return storageState.cookies.length;
+}
+
+module.exports = {
+  getAuthStatePath,
+  loadAuthConfig,
+  prepareAuthState,
+  loadAuthState,
+  getAuthContextOptions,
+  getAuthLighthouseSettings,
+  applyAuthToBrowser
+};
@@ -0,0 +1,204 @@
+/**
+ * Filmstrip of a Page Load
+ * ========================
+ *
+ * This module turns the screenshots Lighthouse takes during a page load
+ * (`screenshot-thumbnails` and `final-screenshot`) into a filmstrip that can be
+ * looked at next to the detailed performance report:
+ *
+ * - every frame and the final screenshot are written as image files into
+ *   `<name>-filmstrip/` in the reports directory
+ * - `<name>-filmstrip/index.html` shows the frames side by side, with the FCP and
+ *   LCP markers overlaid on the first frame that shows them
+ * - saveFilmstrip returns a small summary with the relative file paths, so the
+ *   JSON report never contains the image data
+ *
+ * The markers use the observed FCP and LCP (measured in the trace the screenshots
+ * come from). With simulated throttling the reported metric values are estimates
+ * for a slower device and network, which do not line up with the screenshots, so
+ * both values are kept in the summary.
+ *
+ * Typical usage:
+ *
+ *   const filmstrip = saveFilmstrip(lhr, reportsDirectory, `${pageName}-detailed`);
+ *   const report = generateDetailedReport(lhr, pageConfig, { filmstrip });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRunContext, describeRunContext } = require('./run-metadata');
+
+// Markers overlaid on the filmstrip: metric key, label, metric audit and observed timing
+const FILMSTRIP_MARKERS = [
+  { key: 'firstContentfulPaint', label: 'FCP', auditId: 'first-contentful-paint', observed: 'observedFirstContentfulPaint' },
+  { key: 'largestContentfulPaint', label: 'LCP', auditId: 'largest-contentful-paint', observed: 'observedLargestContentfulPaint' }
+];
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+/**
+ * Decode a data URL into its image bytes and file extension
+ *
+ * @param {string} dataUrl - Data URL such as data:image/jpeg;base64,...
+ * @returns {{buffer: Buffer, extension: string}|null} - Image bytes, or null for anything but a base64 image
+ */
+function decodeImageDataUrl(dataUrl) {
+  const match = /^data:(image\/[a-z]+);base64,(.*)$/s.exec(dataUrl || '');
+  if (!match) {
+    return null;
+  }
+  return { buffer: Buffer.from(match[2], 'base64'), extension: IMAGE_EXTENSIONS[match[1]] || 'img' };
+}
+
+/**
+ * Extract the filmstrip frames and markers of a Lighthouse result
+ *
+ * @param {Object} lhr - Lighthouse result object
+ * @returns {Object|null} - { frames, finalScreenshot, markers } with image data URLs, or null without screenshots
+ */
+function extractFilmstrip(lhr) {
+  const thumbnails = lhr.audits?.['screenshot-thumbnails']?.details?.items || [];
+  const finalScreenshot = lhr.audits?.['final-screenshot']?.details;
+  if (thumbnails.length === 0 && !finalScreenshot?.data) {
+    return null;
+  }
+
+  const frames = thumbnails.map(item => ({ timing: item.timing, data: item.data, markers: [] }));
+  const observedTimings = lhr.audits?.metrics?.details?.items?.[0] || {};
+
+  const markers = {};
+  FILMSTRIP_MARKERS.forEach(({ key, label, auditId, observed }) => {
+    const reported = lhr.audits?.[auditId]?.numericValue;
+    const timing = observedTimings[observed] ?? reported;
+    if (typeof timing !== 'number') {
+      return;
+    }
+
+    // The first frame taken at or after the paint shows it
+    let frameIndex = frames.findIndex(frame => frame.timing >= timing);
+    if (frameIndex === -1) {
+      frameIndex = frames.length - 1;
+    }
+    if (frameIndex >= 0) {
+      frames[frameIndex].markers.push(label);
+    }
+    markers[key] = {
+      label,
+      timing: Math.round(timing),
+      reported: typeof reported === 'number' ? Math.round(reported) : null,
+      frame: frameIndex >= 0 ? frameIndex : null
+    };
+  });
+
+  return {
+    frames,
+    finalScreenshot: finalScreenshot?.data ? { timing: finalScreenshot.timing, data: finalScreenshot.data } : null,
+    markers
+  };
+}
+
+/**
+ * Build the HTML page that shows a filmstrip
+ *
+ * @param {Object} filmstrip - Saved filmstrip (frames and final screenshot with file names)
+ * @param {string} title - Page title
+ * @param {Object} runContext - Run context of the audit (getRunContext)
+ * @returns {string} - HTML document
+ */
+function renderFilmstripHtml(filmstrip, title, runContext) {
+  const frameHtml = frame => `
+    <figure class="${frame.markers.length > 0 ? 'marked' : ''}">
+      ${frame.markers.map(marker => `<span class="marker">${marker}</span>`).join('')}
+      <img src="${path.basename(frame.file)}" alt="Frame at ${frame.timing} ms">
+      <figcaption>${frame.timing} ms</figcaption>
+    </figure>`;
+
+  const markerText = Object.values(filmstrip.markers)
+    .map(marker => `${marker.label} ${marker.timing} ms${marker.reported !== null && marker.reported !== marker.timing ? ` (reported ${marker.reported} ms)` : ''}`)
+    .join(' · ');
+
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const escapedTitle = escape(title);
+  const contextText = describeRunContext(runContext).map(([label, value]) => `${label}: ${escape(value)}`).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapedTitle}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 24px; color: #202124; }
+    .strip { display: flex; gap: 8px; overflow-x: auto; align-items: flex-start; }
+    figure { position: relative; margin: 0; padding: 4px; border: 2px solid #dadce0; border-radius: 4px; }
+    figure.marked { border-color: #1a73e8; }
+    figure img { display: block; max-height: 240px; }
+    figcaption { text-align: center; font-size: 12px; margin-top: 4px; }
+    .marker { position: absolute; top: 8px; left: 8px; background: #1a73e8; color: #fff; font-size: 12px; font-weight: bold; padding: 2px 6px; border-radius: 3px; }
+    .marker + .marker { top: 32px; }
+    .context { font-size: 12px; color: #5f6368; }
+  </style>
+</head>
+<body>
+  <h1>${escapedTitle}</h1>
+  <p>${markerText}</p>
+  <p class="context">${contextText}</p>
+  <div class="strip">${filmstrip.frames.filter(frame => frame.file).map(frameHtml).join('')}${filmstrip.finalScreenshot ? frameHtml({ ...filmstrip.finalScreenshot, markers: ['Final'] }) : ''}
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Save the filmstrip of a Lighthouse result as image files with an HTML overview
+ *
+ * @param {Object} lhr - Lighthouse result object
+ * @param {string} reportsDirectory - Directory of the report the filmstrip belongs to
+ * @param {string} name - Base name; files are written to `<name>-filmstrip/`
+ * @returns {Object|null} - { directory, html, frames, finalScreenshot, markers } with paths relative to reportsDirectory, or null without screenshots
+ */
+function saveFilmstrip(lhr, reportsDirectory, name) {
+  const filmstrip = extractFilmstrip(lhr);
+  if (!filmstrip) {
+    return null;
+  }
+
+  const directoryName = `${name}-filmstrip`;
+  const directory = path.join(reportsDirectory, directoryName);
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.mkdirSync(directory, { recursive: true });
+
+  const writeImage = (dataUrl, fileName) => {
+    const image = decodeImageDataUrl(dataUrl);
+    if (!image) return null;
+    const file = `${fileName}.${image.extension}`;
+    fs.writeFileSync(path.join(directory, file), image.buffer);
+    return path.join(directoryName, file);
+  };
+
+  const frames = filmstrip.frames
+    .map((frame, index) => ({
+      timing: frame.timing,
+      file: writeImage(frame.data, `frame-${String(index + 1).padStart(2, '0')}-${frame.timing}ms`),
+      markers: frame.markers
+    }));
+  const finalScreenshot = filmstrip.finalScreenshot
+    ? { timing: filmstrip.finalScreenshot.timing, file: writeImage(filmstrip.finalScreenshot.data, 'final') }
+    : null;
+
+  const saved = {
+    directory: directoryName,
+    html: path.join(directoryName, 'index.html'),
+    frames,
+    finalScreenshot: finalScreenshot?.file ? finalScreenshot : null,
+    markers: filmstrip.markers
+  };
+  fs.writeFileSync(path.join(reportsDirectory, saved.html), renderFilmstripHtml(saved, `Filmstrip: ${lhr.finalDisplayedUrl || lhr.finalUrl || name}`, getRunContext(lhr)));
+
+  return saved;
+}
+
+module.exports = {
+  extractFilmstrip,
+  saveFilmstrip
+};
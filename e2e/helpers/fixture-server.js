@@ -0,0 +1,90 @@
+/**
+ * Fixture Site Server
+ * ==================
+ *
+ * Serves the local fixture pages in e2e/fixtures/site over HTTP, so the helper
+ * self-tests run without live URLs. Every page contains known defects (bad contrast,
+ * missing alt text, heading skips, keyboard traps, broken JSON-LD).
+ *
+ * The self-test project starts this server through the `webServer` option in
+ * playwright.config.js. It can also be started by hand to inspect the pages:
+ *
+ *   node e2e/helpers/fixture-server.js [port]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURE_SITE_DIRECTORY = path.join(__dirname, '..', 'fixtures', 'site');
+const FIXTURE_SERVER_PORT = Number(process.env.FIXTURE_PORT) || 4173;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Create the static file server for the fixture site
+ *
+ * @param {string} [rootDirectory] - Directory to serve (defaults to e2e/fixtures/site)
+ * @returns {http.Server} - Server that is not listening yet
+ */
+function createFixtureServer(rootDirectory = FIXTURE_SITE_DIRECTORY) {
+  return http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const relativePath = decodeURIComponent(pathname).replace(/\/$/, '/index.html');
+    const filePath = path.join(rootDirectory, path.normalize(relativePath));
+
+    // Never serve files outside the fixture directory
+    if (!filePath.startsWith(rootDirectory + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+    });
+    fs.createReadStream(filePath).pipe(response);
+  });
+}
+
+/**
+ * Start the fixture server
+ *
+ * @param {number} [port] - Port to listen on (0 picks a free port)
+ * @returns {Promise<{server: http.Server, baseUrl: string}>} - Listening server and its base URL
+ */
+function startFixtureServer(port = FIXTURE_SERVER_PORT) {
+  const server = createFixtureServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+module.exports = {
+  FIXTURE_SITE_DIRECTORY,
+  FIXTURE_SERVER_PORT,
+  createFixtureServer,
+  startFixtureServer
+};
+
+// Allow starting the server from the command line (used by playwright.config.js)
+if (require.main === module) {
+  startFixtureServer(Number(process.argv[2]) || FIXTURE_SERVER_PORT)
+    .then(({ baseUrl }) => console.log(`Fixture site available at ${baseUrl}`))
+    .catch(error => {
+      console.error(`Could not start fixture server: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -9,6 +9,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getRunContext, describeRunContext } = require('./run-metadata');
+const { readAuditResults } = require('./audit-results');
 
 /**
  * Test result data structure
@@ -16,7 +18,9 @@ const path = require('path');
  * @property {string} title - Test title
  * @property {string} status - Test status (passed, failed, skipped)
  * @property {string} [error] - Error message if test failed
+ * @property {string} [group] - Page group of the tested page (page-group annotation)
  * @property {Object} [metadata] - Additional test metadata
+ * @property {Object} [audit] - Audit results the test attached (see audit-results.js)
  */
 
 /**
@@ -28,6 +32,89 @@ const path = require('path');
  * @property {Object} stats - Test statistics
  */
 
+/**
+ * Get the page group of a Playwright test from its page-group annotation
+ * @param {Object} test - Playwright test case
+ * @returns {string|undefined} - Page group name
+ */
+function getTestGroup(test) {
+  const annotation = (test.annotations || []).find(item => item.type === 'page-group');
+  return annotation ? annotation.description : undefined;
+}
+
+/**
+ * Roll test results up by page group
+ * @param {TestResult[]} results - Test results
+ * @returns {Array<Object>} - Per-group totals ({ group, total, passed, failed, skipped, passRate })
+ */
+function summarizeByGroup(results) {
+  const groups = new Map();
+  results.filter(result => result.group).forEach(result => {
+    if (!groups.has(result.group)) {
+      groups.set(result.group, { group: result.group, total: 0, passed: 0, failed: 0, skipped: 0 });
+    }
+    const summary = groups.get(result.group);
+    summary.total++;
+    if (summary[result.status] !== undefined) summary[result.status]++;
+  });
+
+  return Array.from(groups.values()).map(summary => ({
+    ...summary,
+    passRate: Math.round((summary.passed / summary.total) * 100)
+  }));
+}
+
+/**
+ * Generate the HTML of the audit results a test attached
+ * @param {Object} audit - Audit results (metrics, scores, recommendations, reports)
+ * @param {string} outputDir - Output directory of the report, report links are relative to it
+ * @returns {string} - HTML for the audit results
+ */
+function generateAuditResultsHtml(audit, outputDir) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const format = value => (Number.isInteger(value) ? value : Number(value.toFixed(3)));
+  const values = {
+    ...Object.fromEntries(Object.entries(audit.scores || {}).map(([category, score]) => [`${category} score`, score])),
+    ...(audit.metrics || {})
+  };
+  const reports = audit.reports || [];
+  const recommendations = audit.recommendations || [];
+
+  return `
+    <div class="audit-results">
+      ${audit.url ? `<div class="metadata-item"><span class="metadata-label">url:</span> ${escape(audit.url)}</div>` : ''}
+      ${Object.keys(values).length > 0 ? `
+        <table class="group-table audit-metrics">
+          <tbody>
+            ${Object.entries(values).map(([name, value]) => `
+              <tr><th>${escape(name)}</th><td>${format(value)}</td></tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      ${recommendations.length > 0 ? `
+        <h4>Recommendations</h4>
+        <ul class="audit-recommendations">
+          ${recommendations.map(recommendation => `
+            <li>
+              <strong>${escape(recommendation.title)}</strong>
+              ${recommendation.priority ? `<span class="priority">${escape(recommendation.priority)}</span>` : ''}
+              ${recommendation.description ? `<div>${escape(recommendation.description)}</div>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      ${reports.length > 0 ? `
+        <div class="audit-reports">
+          ${reports.map(report => `
+            <a href="${escape(path.relative(outputDir, report.path).split(path.sep).join('/'))}">${escape(report.label)}</a>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
 /**
  * Generate HTML report for a test file
  * @param {TestFileResult} fileResult - Test file result
@@ -54,6 +141,9 @@ function generateHtmlReport(fileResult, outputDir) {
   const failedTests = fileResult.results.filter(r => r.status === 'failed').length;
   const skippedTests = fileResult.results.filter(r => r.status === 'skipped').length;
   const passRate = totalTests > 0 ? Math.round((passedTests / totalTests) * 100) : 0;
+  const groupSummaries = summarizeByGroup(fileResult.results);
+  const runContext = describeRunContext(getRunContext());
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
   // Generate HTML content
   const html = `
@@ -275,6 +365,25 @@ function generateHtmlReport(fileResult, outputDir) {
       overflow-x: auto;
     }
     
+    .group-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.875rem;
+    }
+    
+    .group-table th,
+    .group-table td {
+      text-align: left;
+      padding: 0.5rem 0.75rem;
+      border-bottom: 1px solid var(--gray-200);
+    }
+    
+    .group-table th {
+      color: var(--gray-600);
+      font-weight: 500;
+      background-color: var(--gray-100);
+    }
+    
     .metadata {
       margin-top: 0.5rem;
       font-size: 0.875rem;
@@ -290,6 +399,43 @@ function generateHtmlReport(fileResult, outputDir) {
       color: var(--gray-600);
     }
     
+    .audit-results {
+      margin-top: 0.75rem;
+      font-size: 0.875rem;
+    }
+    
+    .audit-results h4 {
+      margin: 0.75rem 0 0.25rem;
+      font-size: 0.875rem;
+    }
+    
+    .audit-metrics {
+      max-width: 480px;
+      margin-top: 0.5rem;
+    }
+    
+    .audit-recommendations {
+      padding-left: 1.25rem;
+    }
+    
+    .audit-recommendations .priority {
+      margin-left: 0.5rem;
+      font-size: 0.75rem;
+      color: var(--gray-500);
+      text-transform: uppercase;
+    }
+    
+    .audit-reports {
+      margin-top: 0.75rem;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.75rem;
+    }
+    
+    .audit-reports a {
+      color: var(--primary);
+    }
+    
     footer {
       text-align: center;
       padding: 2rem 1rem;
@@ -363,6 +509,40 @@ function generateHtmlReport(fileResult, outputDir) {
       </div>
     </section>
     
+    ${groupSummaries.length > 0 ? `
+    <section class="test-results">
+      <h2>Results by Page Group</h2>
+      <table class="group-table">
+        <thead>
+          <tr><th>Group</th><th>Total</th><th>Passed</th><th>Failed</th><th>Skipped</th><th>Pass Rate</th></tr>
+        </thead>
+        <tbody>
+          ${groupSummaries.map(summary => `
+            <tr>
+              <td>${summary.group}</td>
+              <td>${summary.total}</td>
+              <td>${summary.passed}</td>
+              <td>${summary.failed}</td>
+              <td>${summary.skipped}</td>
+              <td><span class="status ${summary.passRate === 100 ? 'pass' : (summary.passRate >= 80 ? 'warn' : 'fail')}">${summary.passRate}%</span></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </section>
+    ` : ''}
+    
+    <section class="test-results">
+      <h2>Run Context</h2>
+      <table class="group-table">
+        <tbody>
+          ${runContext.map(([label, value]) => `
+            <tr><th>${label}</th><td>${escape(value)}</td></tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </section>
+    
     <section class="test-results">
       <h2>Test Results</h2>
       ${fileResult.results.map(test => `
@@ -381,6 +561,7 @@ function generateHtmlReport(fileResult, outputDir) {
               `).join('')}
             </div>
           ` : ''}
+          ${test.audit ? generateAuditResultsHtml(test.audit, outputDir) : ''}
         </div>
       `).join('')}
     </section>
@@ -450,13 +631,16 @@ function createHtmlReporter() {
       const fileResult = testResults.get(filePath);
       
       // Create test result object
+      const group = getTestGroup(test);
       const testResult = {
         title: test.title,
         status: result.status,
         duration: result.duration,
+        group,
         metadata: {
           duration: `${result.duration}ms`,
-          retries: result.retry
+          retries: result.retry,
+          ...(group ? { group } : {})
         }
       };
       
@@ -465,6 +649,12 @@ function createHtmlReporter() {
         testResult.error = result.error.message || 'Unknown error';
       }
       
+      // Add the audit results the test attached
+      const audit = readAuditResults(result);
+      if (audit) {
+        testResult.audit = audit;
+      }
+      
       // Add test result to file results
       fileResult.results.push(testResult);
       
@@ -493,5 +683,7 @@ function createHtmlReporter() {
 
 module.exports = {
   generateHtmlReport,
-  createHtmlReporter
+  createHtmlReporter,
+  getTestGroup,
+  summarizeByGroup
 };
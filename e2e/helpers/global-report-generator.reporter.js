@@ -3,10 +3,16 @@
  * ==========================================
  * 
  * This file implements a Playwright reporter that generates HTML reports
- * for each test spec file.
+ * for each test spec file, and the trend dashboard of the metrics history
+ * next to them. Audit specs attach their results (audit-results.js), which
+ * the per-spec reports show inline. The run summary (lighthouse-reports/run-summary.html) links
+ * all of them with the Lighthouse reports of the run.
  */
 
-const { generateHtmlReport } = require('./global-report-generator');
+const { generateHtmlReport, getTestGroup } = require('./global-report-generator');
+const { generateTrendDashboard } = require('./trend-dashboard');
+const { generateRunSummary } = require('./run-summary');
+const { readAuditResults } = require('./audit-results');
 const path = require('path');
 
 class HtmlReporter {
@@ -17,6 +23,8 @@ class HtmlReporter {
 
     onBegin(config, suite) {
         console.log('Starting tests with per-spec HTML reporting...');
+        // Lighthouse reports written from now on belong to this run
+        this.startTime = Date.now();
     }
 
     onTestBegin(test) {
@@ -41,13 +49,16 @@ class HtmlReporter {
         const fileResult = this.testResults.get(filePath);
 
         // Create test result object
+        const group = getTestGroup(test);
         const testResult = {
             title: test.title,
             status: result.status,
             duration: result.duration,
+            group,
             metadata: {
                 duration: `${result.duration}ms`,
-                retries: result.retry
+                retries: result.retry,
+                ...(group ? { group } : {})
             }
         };
 
@@ -56,6 +67,12 @@ class HtmlReporter {
             testResult.error = result.error.message || 'Unknown error';
         }
 
+        // Add the metrics, recommendations and report paths the test attached
+        const audit = readAuditResults(result);
+        if (audit) {
+            testResult.audit = audit;
+        }
+
         // Add test result to file results
         fileResult.results.push(testResult);
 
@@ -73,11 +90,40 @@ class HtmlReporter {
         const reportsDir = path.join(process.cwd(), 'lighthouse-reports', 'html-per-spec');
 
         // Generate HTML report for each test file
+        const specReports = new Map();
         for (const [filePath, fileResult] of this.testResults.entries()) {
             const reportPath = generateHtmlReport(fileResult, reportsDir);
+            specReports.set(filePath, reportPath);
         }
 
         console.log(`Per-spec HTML reports generated in: ${reportsDir}`);
+
+        // Build the trend dashboard from all history files, including this run
+        let dashboardPath = null;
+        try {
+            dashboardPath = generateTrendDashboard({ outputPath: path.join(reportsDir, 'trend-dashboard.html') });
+            if (dashboardPath) {
+                console.log(`Trend dashboard generated: ${dashboardPath}`);
+            }
+        } catch (error) {
+            console.warn(`Could not generate the trend dashboard: ${error.message}`);
+        }
+
+        // Build the landing page of the run
+        try {
+            const summaryPath = generateRunSummary({
+                specs: [...this.testResults.entries()].map(([filePath, fileResult]) => ({
+                    ...fileResult,
+                    reportPath: specReports.get(filePath)
+                })),
+                since: this.startTime,
+                reportsRoot: path.join(process.cwd(), 'lighthouse-reports'),
+                trendDashboardPath: dashboardPath
+            });
+            console.log(`Run summary generated: ${summaryPath}`);
+        } catch (error) {
+            console.warn(`Could not generate the run summary: ${error.message}`);
+        }
     }
 }
 
@@ -0,0 +1,188 @@
+/**
+ * Site-Wide Opportunity Ranking
+ * =============================
+ *
+ * This module combines the Lighthouse opportunities of all audited pages into one
+ * ranking, so the biggest wins across the site stand out: a hero image that is
+ * oversized on 40 pages matters more than a slow script on a single page.
+ *
+ * The input are the detailed reports written by performance-analysis.spec.js
+ * (`<page>-detailed-report.json`), whose opportunities contain the estimated
+ * savings and the affected resources (see extractOpportunitiesAndDiagnostics in
+ * utils.js). Two rankings are produced:
+ *
+ * - opportunities: per Lighthouse opportunity (e.g. "Properly size images"), the
+ *   pages it applies to and the summed estimated savings
+ * - resources: per affected URL, the pages and opportunities it appears in and
+ *   the summed wasted time and bytes
+ *
+ * Both are ranked by the number of pages, then by the estimated savings. The
+ * ranking is saved as `site-opportunities.json` in the reports directory.
+ *
+ * Run it after the performance analysis:
+ *
+ *   npx playwright test performance-analysis --project=chromium
+ *   npm run opportunities
+ *
+ * Only the detailed reports in the directory are read, so remove the reports of
+ * earlier runs (or other environments) first when they should not count.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPORTS_DIRECTORY = path.join(__dirname, '..', '..', 'lighthouse-reports', 'performance');
+const DETAILED_REPORT_SUFFIX = '-detailed-report.json';
+
+/**
+ * Load the opportunities of every page from the detailed reports
+ *
+ * @param {string} [reportsDirectory] - Directory with the detailed reports
+ * @returns {Array<Object>} - Per page: { page, url, device, timestamp, opportunities }
+ */
+function loadPageOpportunities(reportsDirectory = DEFAULT_REPORTS_DIRECTORY) {
+  if (!fs.existsSync(reportsDirectory)) {
+    return [];
+  }
+
+  return fs.readdirSync(reportsDirectory)
+    .filter(file => file.endsWith(DETAILED_REPORT_SUFFIX))
+    .sort()
+    .map(file => {
+      const report = JSON.parse(fs.readFileSync(path.join(reportsDirectory, file), 'utf8'));
+      return {
+        page: file.slice(0, -DETAILED_REPORT_SUFFIX.length),
+        url: report.url,
+        device: report.device,
+        timestamp: report.timestamp,
+        opportunities: report.opportunities || []
+      };
+    });
+}
+
+/**
+ * Rank the opportunities and affected resources across pages
+ *
+ * @param {Array<Object>} pageOpportunities - Result of loadPageOpportunities
+ * @returns {Object} - { pages, opportunities, resources }, both rankings sorted by page count, then savings
+ */
+function aggregateOpportunities(pageOpportunities) {
+  const opportunities = new Map();
+  const resources = new Map();
+
+  pageOpportunities.forEach(({ page, opportunities: pageItems }) => {
+    pageItems.forEach(item => {
+      const key = item.id || item.title;
+      const opportunity = opportunities.get(key) || {
+        id: item.id,
+        title: item.title,
+        pages: [],
+        totalSavingsMs: 0,
+        totalSavingsBytes: 0,
+        maxSavingsMs: 0
+      };
+      opportunity.pages.push(page);
+      opportunity.totalSavingsMs += item.savingsMs || 0;
+      opportunity.totalSavingsBytes += item.savingsBytes || 0;
+      opportunity.maxSavingsMs = Math.max(opportunity.maxSavingsMs, item.savingsMs || 0);
+      opportunities.set(key, opportunity);
+
+      (item.resources || []).forEach(resource => {
+        const entry = resources.get(resource.url) || {
+          url: resource.url,
+          pages: new Set(),
+          opportunities: new Set(),
+          totalWastedMs: 0,
+          totalWastedBytes: 0
+        };
+        entry.pages.add(page);
+        entry.opportunities.add(key);
+        entry.totalWastedMs += resource.wastedMs || 0;
+        entry.totalWastedBytes += resource.wastedBytes || 0;
+        resources.set(resource.url, entry);
+      });
+    });
+  });
+
+  // Most pages first, then the largest time and byte savings
+  const rank = (msKey, bytesKey) => (a, b) =>
+    (b.pageCount - a.pageCount) || (b[msKey] - a[msKey]) || (b[bytesKey] - a[bytesKey]);
+
+  return {
+    pages: pageOpportunities.map(({ page, url, device, timestamp }) => ({ page, url, device, timestamp })),
+    opportunities: [...opportunities.values()]
+      .map(opportunity => ({ ...opportunity, pageCount: opportunity.pages.length }))
+      .sort(rank('totalSavingsMs', 'totalSavingsBytes')),
+    resources: [...resources.values()]
+      .map(resource => ({
+        ...resource,
+        pages: [...resource.pages].sort(),
+        opportunities: [...resource.opportunities].sort(),
+        pageCount: resource.pages.size
+      }))
+      .sort(rank('totalWastedMs', 'totalWastedBytes'))
+  };
+}
+
+/**
+ * Log the site-wide opportunity ranking to console
+ *
+ * @param {Object} ranking - Result of aggregateOpportunities
+ * @param {number} [limit=10] - Number of opportunities and resources to show
+ */
+function logSiteOpportunities(ranking, limit = 10) {
+  if (ranking.opportunities.length === 0) {
+    console.log(`\nNo opportunities with estimated savings on ${ranking.pages.length} page(s)`);
+    return;
+  }
+
+  console.log(`\nBiggest opportunities across ${ranking.pages.length} page(s):`);
+  console.table(ranking.opportunities.slice(0, limit).map(opportunity => ({
+    Opportunity: opportunity.title,
+    Pages: opportunity.pageCount,
+    'Total ms': Math.round(opportunity.totalSavingsMs),
+    'Total KB': Math.round(opportunity.totalSavingsBytes / 1024),
+    'Max ms per page': Math.round(opportunity.maxSavingsMs)
+  })));
+
+  if (ranking.resources.length > 0) {
+    console.log('\nResources affecting the most pages:');
+    console.table(ranking.resources.slice(0, limit).map(resource => ({
+      URL: resource.url,
+      Pages: resource.pageCount,
+      'Wasted ms': Math.round(resource.totalWastedMs),
+      'Wasted KB': Math.round(resource.totalWastedBytes / 1024),
+      Opportunities: resource.opportunities.join(', ')
+    })));
+  }
+}
+
+/**
+ * Rank the opportunities of all detailed reports and save the ranking
+ *
+ * @param {string} [reportsDirectory] - Directory with the detailed reports
+ * @returns {Object} - { reportPath, ranking }
+ */
+function writeSiteOpportunities(reportsDirectory = DEFAULT_REPORTS_DIRECTORY) {
+  const ranking = aggregateOpportunities(loadPageOpportunities(reportsDirectory));
+  logSiteOpportunities(ranking);
+
+  const reportPath = path.join(reportsDirectory, 'site-opportunities.json');
+  fs.mkdirSync(reportsDirectory, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), ...ranking }, null, 2));
+  console.log(`\nSite-wide opportunity ranking saved to: ${reportPath}`);
+
+  return { reportPath, ranking };
+}
+
+module.exports = {
+  loadPageOpportunities,
+  aggregateOpportunities,
+  logSiteOpportunities,
+  writeSiteOpportunities
+};
+
+// Allow ranking the opportunities from the command line
+if (require.main === module) {
+  writeSiteOpportunities(process.argv[2] ? path.resolve(process.argv[2]) : undefined);
+}
@@ -8,6 +8,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getRunContext, describeRunContext } = require('./run-metadata');
 
 /**
  * Generate HTML report from test results
@@ -442,6 +443,9 @@ function generateHtmlReport(results, reportPath, reportType) {
     html += generateGenericDetails(results);
   }
   
+  // Add the context the results were produced in
+  html += generateRunContextSection(results.runContext || getRunContext());
+  
   // Close HTML
   html += `
     <footer>
@@ -1327,6 +1331,31 @@ function generateComprehensiveDetails(results) {
   `;
 }
 
+/**
+ * Generate run context section
+ * @param {Object} context - Run context (getRunContext in run-metadata.js)
+ * @returns {string} - HTML for run context section
+ */
+function generateRunContextSection(context) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  
+  return `
+    <section class="details">
+      <h2>Run Context</h2>
+      <table>
+        <tbody>
+          ${describeRunContext(context).map(([label, value]) => `
+            <tr>
+              <th>${label}</th>
+              <td>${escape(value)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </section>
+  `;
+}
+
 /**
  * Get the title for a report type
  * @param {string} reportType - Type of report
@@ -0,0 +1,217 @@
+/**
+ * Run Metadata
+ * ============
+ *
+ * This module describes the test run a measurement belongs to, so history entries
+ * can be traced back to the code and browser that produced them:
+ *
+ * - runId: one id for all workers of a run (RUN_ID, or the CI run id, or generated
+ *   when playwright.config.js is loaded and inherited by the workers)
+ * - commit and branch: from the CI environment, or from git
+ * - browserVersion: the Chromium version Playwright launches for the audits
+ *
+ * The run context extends the metadata with everything else that decides a number
+ * in a report, and is embedded in every JSON report, history entry and HTML report:
+ *
+ * - environment: the target environment (TEST_ENV), CI or local, Node.js and platform
+ * - lighthouseVersion: the installed Lighthouse version
+ * - configHash: a hash of the test_data configuration (env.json, treshholds.json,
+ *   network_conditions.json, metrics_schema.json), so reports made with different
+ *   budgets or URL sets can be told apart
+ * - audit: for reports of a Lighthouse audit, the settings of that audit (Lighthouse
+ *   and Chrome version, form factor, throttling method and throttling values)
+ *
+ * The values are collected once per process. Everything that cannot be determined
+ * (for example git outside a checkout) is null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..', '..');
+
+// Configuration files whose contents make up the config hash
+const CONFIG_FILES = ['env.json', 'treshholds.json', 'network_conditions.json', 'metrics_schema.json'];
+
+let cachedMetadata = null;
+let cachedContext = null;
+
+/**
+ * Make sure the run has an id that every worker shares
+ *
+ * Called when playwright.config.js is loaded in the main process; the workers
+ * inherit the environment variable. CI run ids take precedence over a generated id.
+ *
+ * @returns {string} - Run id
+ */
+function ensureRunId() {
+  if (!process.env.RUN_ID) {
+    const ciRunId = process.env.GITHUB_RUN_ID
+      ? `${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}`
+      : process.env.CI_PIPELINE_ID || process.env.BUILD_ID;
+    process.env.RUN_ID = ciRunId || `${new Date().toISOString().replace(/[-:.]/g, '')}-${process.pid}`;
+  }
+  return process.env.RUN_ID;
+}
+
+/**
+ * Run a git command in the repository
+ *
+ * @param {Array<string>} args - git arguments
+ * @returns {string|null} - Trimmed output, or null when git is not available
+ */
+function git(args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: ROOT_DIRECTORY,
+      timeout: 5000,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).toString().trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the Chromium version Playwright launches
+ *
+ * @returns {string|null} - Browser version such as "141.0.7390.37"
+ */
+function getBrowserVersion() {
+  try {
+    // browsers.json is not in the package exports, so read it next to package.json
+    const packageDirectory = path.dirname(require.resolve('playwright-core/package.json'));
+    const { browsers } = JSON.parse(fs.readFileSync(path.join(packageDirectory, 'browsers.json'), 'utf8'));
+    return browsers.find(browser => browser.name === 'chromium')?.browserVersion || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the metadata of the current run
+ *
+ * @returns {{runId: string, commit: (string|null), branch: (string|null), browserVersion: (string|null)}} - Run metadata
+ */
+function getRunMetadata() {
+  if (!cachedMetadata) {
+    cachedMetadata = {
+      runId: ensureRunId(),
+      commit: process.env.GITHUB_SHA || process.env.CI_COMMIT_SHA || process.env.GIT_COMMIT || git(['rev-parse', 'HEAD']),
+      branch: process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || process.env.CI_COMMIT_REF_NAME ||
+        process.env.BRANCH_NAME || git(['rev-parse', '--abbrev-ref', 'HEAD']),
+      browserVersion: getBrowserVersion()
+    };
+  }
+  return cachedMetadata;
+}
+
+/**
+ * Get the installed Lighthouse version
+ *
+ * @returns {string|null} - Lighthouse version such as "10.4.0"
+ */
+function getLighthouseVersion() {
+  try {
+    return require('lighthouse/package.json').version;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash the configuration files in test_data
+ *
+ * @param {string} [configDirectory] - Directory with the configuration files
+ * @returns {string} - First 12 characters of the SHA-256 of the files that exist
+ */
+function getConfigHash(configDirectory = path.join(ROOT_DIRECTORY, 'test_data')) {
+  const hash = crypto.createHash('sha256');
+  CONFIG_FILES
+    .filter(file => fs.existsSync(path.join(configDirectory, file)))
+    .forEach(file => hash.update(`${file}\n`).update(fs.readFileSync(path.join(configDirectory, file))));
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Get the settings a Lighthouse audit ran with
+ *
+ * @param {Object} lhr - Lighthouse result object
+ * @returns {Object} - Lighthouse and Chrome version, form factor and throttling of the audit
+ */
+function getAuditSettings(lhr) {
+  const settings = lhr.configSettings || {};
+  const userAgent = lhr.environment?.hostUserAgent || lhr.userAgent || '';
+  return {
+    lighthouseVersion: lhr.lighthouseVersion || null,
+    chromeVersion: /Chrome\/([\d.]+)/.exec(userAgent)?.[1] || null,
+    formFactor: settings.formFactor || null,
+    throttlingMethod: settings.throttlingMethod || null,
+    throttling: settings.throttling || null,
+    benchmarkIndex: lhr.environment?.benchmarkIndex ?? null
+  };
+}
+
+/**
+ * Get the context of the current run, optionally with the settings of an audit
+ *
+ * @param {Object} [lhr] - Lighthouse result object of the audit the report belongs to
+ * @returns {Object} - Run metadata, environment, Lighthouse version and config hash (and audit settings)
+ */
+function getRunContext(lhr) {
+  if (!cachedContext) {
+    // Required here, utils.js requires this module
+    const { resolveTestEnvironment } = require('../../utils');
+    cachedContext = {
+      ...getRunMetadata(),
+      environment: {
+        name: resolveTestEnvironment().name,
+        ci: Boolean(process.env.CI),
+        node: process.version,
+        platform: `${process.platform}-${process.arch}`
+      },
+      lighthouseVersion: getLighthouseVersion(),
+      configHash: getConfigHash()
+    };
+  }
+  return lhr ? { ...cachedContext, audit: getAuditSettings(lhr) } : cachedContext;
+}
+
+/**
+ * Describe a run context as label/value pairs for HTML reports
+ *
+ * @param {Object} context - Result of getRunContext
+ * @returns {Array<Array<string>>} - [label, value] pairs of the values that are known
+ */
+function describeRunContext(context) {
+  const audit = context.audit || {};
+  const values = audit.throttling || {};
+  // Simulated throttling uses rttMs/throughputKbps, DevTools throttling the request* values
+  const throttling = audit.throttling
+    ? `${audit.throttlingMethod}, RTT ${audit.throttlingMethod === 'devtools' ? values.requestLatencyMs : values.rttMs} ms, ` +
+      `${audit.throttlingMethod === 'devtools' ? values.downloadThroughputKbps : values.throughputKbps} Kbps, ` +
+      `CPU ${values.cpuSlowdownMultiplier}x`
+    : audit.throttlingMethod;
+
+  return [
+    ['Run', context.runId],
+    ['Commit', context.commit ? `${context.commit.slice(0, 12)}${context.branch ? ` (${context.branch})` : ''}` : null],
+    ['Environment', context.environment ? `${context.environment.name}${context.environment.ci ? ', CI' : ''}` : null],
+    ['Lighthouse', audit.lighthouseVersion || context.lighthouseVersion],
+    ['Chromium', audit.chromeVersion || context.browserVersion],
+    ['Form factor', audit.formFactor],
+    ['Throttling', throttling],
+    ['Config hash', context.configHash]
+  ].filter(([, value]) => value);
+}
+
+module.exports = {
+  ensureRunId,
+  getRunMetadata,
+  getConfigHash,
+  getAuditSettings,
+  getRunContext,
+  describeRunContext
+};
@@ -0,0 +1,467 @@
+/**
+ * Run Summary Report
+ * ==================
+ *
+ * This module builds the landing page of a test run, so there is one place to start
+ * from instead of the Playwright report, the per-spec reports and the separate
+ * Lighthouse and accessibility HTML files:
+ *
+ * - a page x category matrix with the Lighthouse scores of the run, checked against
+ *   the category budgets in performanceBudgets (with the page group's overrides)
+ * - the spec files with their pass/fail counts and the failed tests (budget and
+ *   regression failures) with their error message
+ * - the top issues: the failing Lighthouse audits that affect the most pages
+ * - links to every Lighthouse HTML report, the per-spec reports and the trend dashboard
+ * - the run context (commit, versions, config hash, see run-metadata.js)
+ *
+ * The scores are read from the Lighthouse JSON reports below lighthouse-reports that
+ * were written during the run (modified after the run started). When a page was
+ * audited several times (multiple runs, network conditions), a cell shows the lowest
+ * score and links to that report. Mobile and desktop audits of a page are separate
+ * rows, so the scores of a DEVICE_MATRIX run stay per device.
+ *
+ * The page is written to `lighthouse-reports/run-summary.html` by the per-spec HTML
+ * reporter at the end of every run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, getGroupBudgets, getDeviceProfile } = require('../../utils');
+const { loadTestConfig } = require('./test-helpers');
+const { getRunContext, describeRunContext } = require('./run-metadata');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..', '..');
+const DEFAULT_REPORTS_ROOT = path.join(ROOT_DIRECTORY, 'lighthouse-reports');
+
+const CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'];
+
+// Report directories that never contain Lighthouse results
+const SKIPPED_DIRECTORIES = ['html-per-spec', 'json'];
+
+// Audits scoring below this count as issues
+const ISSUE_SCORE_THRESHOLD = 0.9;
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reduce a Lighthouse result to what the run summary needs
+ *
+ * @param {Object} lhr - Lighthouse result object
+ * @returns {Object} - { url, formFactor, scores, issues }
+ */
+function summarizeLighthouseResult(lhr) {
+  const scores = {};
+  const issues = [];
+
+  Object.entries(lhr.categories || {}).forEach(([categoryId, category]) => {
+    if (typeof category.score === 'number') {
+      scores[categoryId] = Math.round(category.score * 100);
+    }
+
+    (category.auditRefs || [])
+      .filter(ref => ref.weight > 0)
+      .forEach(ref => {
+        const audit = lhr.audits?.[ref.id];
+        if (audit && typeof audit.score === 'number' && audit.score < ISSUE_SCORE_THRESHOLD) {
+          issues.push({ id: ref.id, title: audit.title, category: categoryId, score: audit.score, weight: ref.weight });
+        }
+      });
+  });
+
+  return {
+    url: lhr.requestedUrl || lhr.finalDisplayedUrl || lhr.finalUrl,
+    formFactor: lhr.configSettings?.formFactor || null,
+    scores,
+    issues
+  };
+}
+
+/**
+ * Load the Lighthouse JSON reports written since the run started
+ *
+ * @param {string} reportsRoot - Root directory of the reports (lighthouse-reports)
+ * @param {number} [since=0] - Start of the run in ms; older reports are left out
+ * @returns {Array<Object>} - Per report: summarizeLighthouseResult plus report and htmlReport paths relative to the root
+ */
+function loadRunLighthouseResults(reportsRoot, since = 0) {
+  if (!fs.existsSync(reportsRoot)) {
+    return [];
+  }
+
+  return fs.readdirSync(reportsRoot, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name))
+    .flatMap(entry => fs.readdirSync(path.join(reportsRoot, entry.name))
+      .filter(file => file.endsWith('.json') && !file.endsWith('.trace.json'))
+      .map(file => path.join(entry.name, file)))
+    .filter(file => fs.statSync(path.join(reportsRoot, file)).mtimeMs >= since)
+    .sort()
+    .flatMap(file => {
+      let lhr;
+      try {
+        lhr = JSON.parse(fs.readFileSync(path.join(reportsRoot, file), 'utf8'));
+      } catch (error) {
+        return [];
+      }
+      // Only Lighthouse results, not the reports the specs derive from them
+      if (!lhr || !lhr.lighthouseVersion || !lhr.categories) {
+        return [];
+      }
+
+      const htmlReport = file.replace(/\.json$/, '.html');
+      return [{
+        ...summarizeLighthouseResult(lhr),
+        report: file,
+        htmlReport: fs.existsSync(path.join(reportsRoot, htmlReport)) ? htmlReport : null
+      }];
+    });
+}
+
+/**
+ * Get the key of a page row: its URL and, when known, the Lighthouse form factor
+ *
+ * @param {string} url - Page URL
+ * @param {string|null} [formFactor] - 'mobile', 'desktop' or null
+ * @returns {string} - Row key
+ */
+function pageKey(url, formFactor) {
+  return formFactor ? `${url} (${formFactor})` : url;
+}
+
+/**
+ * Map the configured pages by URL
+ *
+ * Pages of a DEVICE_MATRIX run are keyed by URL and the form factor of their device
+ * (see pageKey), so each device's audits find their own page name.
+ *
+ * @returns {Map<string, Object>} - Page name, group and performance budgets per page key (empty when env.json cannot be loaded)
+ */
+function loadConfiguredPages() {
+  try {
+    const { pagesToTest } = loadTestConfig();
+    return new Map(pagesToTest.map(page => [
+      pageKey(page.url, page.device ? (getDeviceProfile(page.device).isMobile ? 'mobile' : 'desktop') : null),
+      page
+    ]));
+  } catch (error) {
+    return new Map();
+  }
+}
+
+/**
+ * Build the page x category matrix and the top issues of a run
+ *
+ * @param {Array<Object>} results - Result of loadRunLighthouseResults
+ * @param {Object} [options] - Summary options
+ * @param {Map<string, Object>} [options.pages] - Configured pages by page key (loadConfiguredPages)
+ * @param {Object} [options.thresholdsConfig] - Contents of treshholds.json
+ * @param {number} [options.issueLimit=10] - Number of top issues
+ * @returns {Object} - { categories, pages, issues }
+ */
+function summarizeRunResults(results, options = {}) {
+  const { pages = new Map(), thresholdsConfig = {}, issueLimit = 10 } = options;
+  const rows = new Map();
+  const issues = new Map();
+
+  results.forEach(result => {
+    // One row per page and form factor, so mobile and desktop scores are never mixed
+    const key = pageKey(result.url, result.formFactor);
+    const configured = pages.get(key) || pages.get(result.url);
+    const row = rows.get(key) || {
+      url: result.url,
+      formFactor: result.formFactor,
+      name: configured?.name || result.url,
+      group: configured?.group || null,
+      budgets: configured?.performanceThresholds || getGroupBudgets(thresholdsConfig, configured?.group, 'performanceBudgets'),
+      cells: {},
+      reports: []
+    };
+    row.reports.push(result.htmlReport || result.report);
+
+    // The lowest score of the run is the one that matters for the budget
+    Object.entries(result.scores).forEach(([categoryId, score]) => {
+      const cell = row.cells[categoryId];
+      if (!cell || score < cell.score) {
+        row.cells[categoryId] = { score, report: result.htmlReport || result.report, reports: (cell?.reports || 0) + 1 };
+      } else {
+        cell.reports++;
+      }
+    });
+    rows.set(key, row);
+
+    result.issues.forEach(issue => {
+      const entry = issues.get(issue.id) || { ...issue, pages: new Set(), worstScore: issue.score };
+      entry.pages.add(row.name);
+      entry.worstScore = Math.min(entry.worstScore, issue.score);
+      issues.set(issue.id, entry);
+    });
+  });
+
+  const pageRows = [...rows.values()]
+    .map(row => {
+      Object.entries(row.cells).forEach(([categoryId, cell]) => {
+        const budget = row.budgets?.[categoryId];
+        cell.budget = typeof budget === 'number' ? budget : null;
+        cell.passed = cell.budget === null ? null : cell.score >= cell.budget;
+      });
+      return { ...row, reports: [...new Set(row.reports)] };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name) || String(a.formFactor).localeCompare(String(b.formFactor)));
+
+  return {
+    categories: CATEGORIES.filter(categoryId => pageRows.some(row => row.cells[categoryId])),
+    pages: pageRows,
+    // Most pages first, then the heaviest audits
+    issues: [...issues.values()]
+      .map(issue => ({ ...issue, pages: [...issue.pages].sort(), pageCount: issue.pages.size }))
+      .sort((a, b) => (b.pageCount - a.pageCount) || (b.weight - a.weight) || (a.worstScore - b.worstScore))
+      .slice(0, issueLimit)
+  };
+}
+
+/**
+ * Render the run summary page
+ *
+ * @param {Object} summary - Run summary
+ * @param {Object} summary.results - Result of summarizeRunResults
+ * @param {Array<Object>} summary.specs - Spec files: { title, stats, reportPath, failures } with paths relative to the page
+ * @param {Object} summary.runContext - Run context (getRunContext)
+ * @param {Object} [summary.links] - Further links: { trendDashboard, playwrightReport } relative to the page
+ * @returns {string} - HTML document
+ */
+function renderRunSummary({ results, specs, runContext, links = {} }) {
+  const totals = specs.reduce((sum, spec) => ({
+    total: sum.total + spec.stats.total,
+    passed: sum.passed + spec.stats.passed,
+    failed: sum.failed + spec.stats.failed,
+    skipped: sum.skipped + spec.stats.skipped
+  }), { total: 0, passed: 0, failed: 0, skipped: 0 });
+  const cells = results.pages.flatMap(row => Object.values(row.cells));
+  const overBudget = cells.filter(cell => cell.passed === false).length;
+
+  const scoreCell = cell => {
+    if (!cell) return '<td class="empty">-</td>';
+    const status = cell.passed === null ? '' : (cell.passed ? 'pass' : 'fail');
+    const title = `${cell.budget !== null ? `Budget ${cell.budget}, ` : ''}lowest of ${cell.reports} report(s)`;
+    return `<td class="score ${status}" title="${escapeHtml(title)}"><a href="${escapeHtml(cell.report)}">${cell.score}</a></td>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Run Summary</title>
+  <style>
+    :root {
+      --primary: #2563eb;
+      --success: #16a34a;
+      --warning: #ca8a04;
+      --error: #dc2626;
+      --gray-50: #f9fafb;
+      --gray-100: #f3f4f6;
+      --gray-200: #e5e7eb;
+      --gray-500: #6b7280;
+      --gray-600: #4b5563;
+      --gray-800: #1f2937;
+    }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.5; color: var(--gray-800); background-color: var(--gray-50); }
+    header { background-color: var(--primary); color: white; padding: 1.5rem; }
+    header h1 { font-size: 1.5rem; margin-bottom: 0.5rem; }
+    header a { color: white; margin-right: 1rem; }
+    .container { max-width: 1200px; margin: 0 auto; padding: 2rem 1rem; }
+    section { background-color: white; border-radius: 0.5rem; padding: 1.5rem; margin-bottom: 2rem; box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1); overflow-x: auto; }
+    section h2 { font-size: 1.25rem; margin-bottom: 1rem; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; }
+    .stat-card { background-color: var(--gray-100); border-radius: 0.375rem; padding: 1rem; text-align: center; }
+    .stat-card h3 { font-size: 0.875rem; color: var(--gray-600); font-weight: 500; }
+    .stat-card .value { font-size: 1.5rem; font-weight: 600; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    th, td { text-align: left; padding: 0.5rem 0.75rem; border-bottom: 1px solid var(--gray-200); vertical-align: top; }
+    th { color: var(--gray-600); font-weight: 500; background-color: var(--gray-50); }
+    td.score { text-align: center; font-weight: 600; }
+    td.score a { color: inherit; }
+    td.empty { text-align: center; color: var(--gray-500); }
+    .pass { color: var(--success); }
+    .fail { color: var(--error); }
+    .error { font-family: monospace; color: var(--error); white-space: pre-wrap; }
+    .muted { color: var(--gray-500); }
+    footer { text-align: center; padding: 2rem 1rem; color: var(--gray-500); font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>Run Summary</h1>
+    <p>${new Date().toLocaleString()}</p>
+    <p>
+      ${links.playwrightReport ? `<a href="${escapeHtml(links.playwrightReport)}">Playwright report</a>` : ''}
+      ${links.trendDashboard ? `<a href="${escapeHtml(links.trendDashboard)}">Trend dashboard</a>` : ''}
+    </p>
+  </header>
+
+  <div class="container">
+    <section>
+      <h2>Summary</h2>
+      <div class="stats">
+        <div class="stat-card"><h3>Tests</h3><div class="value">${totals.total}</div></div>
+        <div class="stat-card"><h3>Passed</h3><div class="value pass">${totals.passed}</div></div>
+        <div class="stat-card"><h3>Failed</h3><div class="value ${totals.failed > 0 ? 'fail' : ''}">${totals.failed}</div></div>
+        <div class="stat-card"><h3>Skipped</h3><div class="value">${totals.skipped}</div></div>
+        <div class="stat-card"><h3>Pages audited</h3><div class="value">${results.pages.length}</div></div>
+        <div class="stat-card"><h3>Scores over budget</h3><div class="value ${overBudget > 0 ? 'fail' : ''}">${overBudget}</div></div>
+      </div>
+    </section>
+
+    <section>
+      <h2>Scores by Page</h2>
+      ${results.pages.length === 0 ? '<p class="muted">No Lighthouse reports were written in this run.</p>' : `
+      <table>
+        <thead>
+          <tr><th>Page</th><th>Device</th><th>Group</th>${results.categories.map(categoryId => `<th>${escapeHtml(categoryId)}</th>`).join('')}<th>Reports</th></tr>
+        </thead>
+        <tbody>
+          ${results.pages.map(row => `
+          <tr>
+            <td title="${escapeHtml(row.url)}">${escapeHtml(row.name)}</td>
+            <td>${escapeHtml(row.formFactor || '-')}</td>
+            <td>${escapeHtml(row.group || '-')}</td>
+            ${results.categories.map(categoryId => scoreCell(row.cells[categoryId])).join('')}
+            <td>${row.reports.map(report => `<a href="${escapeHtml(report)}">${escapeHtml(path.basename(report))}</a>`).join('<br>')}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <p class="muted">Each score is the lowest of the page's reports in this run and links to that report. Green and red compare it with the category budget of the page's group.</p>`}
+    </section>
+
+    <section>
+      <h2>Top Issues</h2>
+      ${results.issues.length === 0 ? '<p class="muted">No failing audits.</p>' : `
+      <table>
+        <thead>
+          <tr><th>Audit</th><th>Category</th><th>Pages</th><th>Worst score</th></tr>
+        </thead>
+        <tbody>
+          ${results.issues.map(issue => `
+          <tr>
+            <td>${escapeHtml(issue.title)}<div class="muted">${escapeHtml(issue.id)}</div></td>
+            <td>${escapeHtml(issue.category)}</td>
+            <td title="${escapeHtml(issue.pages.join(', '))}">${issue.pageCount}</td>
+            <td class="fail">${Math.round(issue.worstScore * 100)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`}
+    </section>
+
+    <section>
+      <h2>Spec Files</h2>
+      <table>
+        <thead>
+          <tr><th>Spec</th><th>Total</th><th>Passed</th><th>Failed</th><th>Skipped</th></tr>
+        </thead>
+        <tbody>
+          ${specs.map(spec => `
+          <tr>
+            <td>${spec.reportPath ? `<a href="${escapeHtml(spec.reportPath)}">${escapeHtml(spec.title)}</a>` : escapeHtml(spec.title)}</td>
+            <td>${spec.stats.total}</td>
+            <td class="pass">${spec.stats.passed}</td>
+            <td class="${spec.stats.failed > 0 ? 'fail' : ''}">${spec.stats.failed}</td>
+            <td>${spec.stats.skipped}</td>
+          </tr>
+          ${spec.failures.map(failure => `
+          <tr>
+            <td colspan="5"><strong>${escapeHtml(failure.title)}</strong><div class="error">${escapeHtml(failure.error || 'Unknown error')}</div></td>
+          </tr>`).join('')}`).join('')}
+        </tbody>
+      </table>
+    </section>
+
+    <section>
+      <h2>Run Context</h2>
+      <table>
+        <tbody>
+          ${describeRunContext(runContext).map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </section>
+  </div>
+
+  <footer>
+    <p>Generated by Lighthouse Test Report Generator - ${new Date().toLocaleDateString()}</p>
+  </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate the run summary page
+ *
+ * @param {Object} options - Summary options
+ * @param {Array<Object>} options.specs - Spec files: { title, stats, reportPath (absolute), results }
+ * @param {number} [options.since=0] - Start of the run in ms; older Lighthouse reports are left out
+ * @param {string} [options.reportsRoot] - Root directory of the reports
+ * @param {string} [options.outputPath] - Path of the HTML file
+ * @param {string} [options.trendDashboardPath] - Path of the trend dashboard, if one was written
+ * @returns {string} - Path of the written summary
+ */
+function generateRunSummary(options) {
+  const {
+    specs,
+    since = 0,
+    reportsRoot = DEFAULT_REPORTS_ROOT,
+    outputPath = path.join(reportsRoot, 'run-summary.html'),
+    trendDashboardPath
+  } = options;
+  const outputDirectory = path.dirname(outputPath);
+  const relative = target => path.relative(outputDirectory, target).split(path.sep).join('/');
+
+  const results = summarizeRunResults(loadRunLighthouseResults(reportsRoot, since), {
+    pages: loadConfiguredPages(),
+    thresholdsConfig: loadConfig(path.join(ROOT_DIRECTORY, 'test_data', 'treshholds.json'))
+  });
+
+  // Report paths are relative to the reports root, links relative to the summary page
+  results.pages.forEach(row => {
+    row.reports = row.reports.map(report => relative(path.join(reportsRoot, report)));
+    Object.values(row.cells).forEach(cell => { cell.report = relative(path.join(reportsRoot, cell.report)); });
+  });
+
+  const html = renderRunSummary({
+    results,
+    specs: specs.map(spec => ({
+      title: spec.title,
+      stats: spec.stats,
+      reportPath: spec.reportPath ? relative(spec.reportPath) : null,
+      failures: spec.results.filter(result => result.status === 'failed')
+    })),
+    runContext: getRunContext(),
+    links: {
+      trendDashboard: trendDashboardPath ? relative(trendDashboardPath) : null,
+      // Playwright's HTML reporter writes next to the reports root by default
+      playwrightReport: relative(path.join(path.dirname(reportsRoot), 'playwright-report', 'index.html'))
+    }
+  });
+
+  fs.mkdirSync(outputDirectory, { recursive: true });
+  fs.writeFileSync(outputPath, html);
+  return outputPath;
+}
+
+module.exports = {
+  loadRunLighthouseResults,
+  summarizeRunResults,
+  renderRunSummary,
+  generateRunSummary
+};
@@ -0,0 +1,451 @@
+/**
+ * Site Discovery
+ * ==============
+ *
+ * This module builds the list of pages to test from the site itself instead of a
+ * hand-maintained `<name>_urls` map. Discovery is configured per environment in
+ * env.json as `<name>_discovery` (e.g. `prod_discovery` for TEST_ENV=prod):
+ *
+ *   "prod_discovery": {
+ *     "enabled": true,
+ *     "startUrl": "https://example.com/",
+ *     "source": "auto",              // "sitemap", "crawl" or "auto" (sitemap, then crawl)
+ *     "maxDepth": 2,                 // crawl depth from startUrl
+ *     "maxPages": 25,                // upper limit of pages to test
+ *     "include": ["^/lessons/"],     // path regexes, a page must match one (optional)
+ *     "exclude": ["^/admin", "\\.pdf$"],
+ *     "samplePerTemplate": true,     // keep one URL per template type
+ *     "templates": { "lesson": "^/lessons/[^/]+$" },
+ *     "maxAgeMinutes": 1440          // reuse the discovered list for this long
+ *   }
+ *
+ * Specs are defined synchronously when Playwright loads them, so discovery cannot
+ * run inside a spec. Instead the discovered list is cached in test_data/discovered/,
+ * and loadEnvironmentUrls refreshes the cache by running this module as a child
+ * process when it is missing, stale or was built with a different configuration.
+ * Playwright loads the spec files in the main process first, so the crawl runs once
+ * and the workers reuse the cache.
+ *
+ * The cache can also be refreshed by hand:
+ *
+ *   node e2e/helpers/site-discovery.js [environment]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { chromium } = require('playwright');
+const { loadConfig, resolveTestEnvironment } = require('../../utils');
+const { collectInternalLinks } = require('./test-helpers');
+const { prepareAuthState, getAuthContextOptions } = require('./auth');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const ENV_PATH = path.join(PROJECT_ROOT, 'test_data', 'env.json');
+const DISCOVERY_DIRECTORY = path.join(PROJECT_ROOT, 'test_data', 'discovered');
+
+const DEFAULT_DISCOVERY = {
+  source: 'auto',
+  maxDepth: 2,
+  maxPages: 25,
+  maxCrawlPages: 100,
+  include: [],
+  exclude: [],
+  samplePerTemplate: true,
+  templates: {},
+  maxAgeMinutes: 1440
+};
+
+// Crawling a large site synchronously at spec load time must not hang the run
+const DISCOVERY_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Load the discovery configuration of the target environment
+ *
+ * @param {string} [envPath] - Path to env.json
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {object|null} - Discovery configuration with defaults, or null when disabled
+ */
+function loadDiscoveryConfig(envPath = ENV_PATH, environment) {
+  if (!fs.existsSync(envPath)) {
+    return null;
+  }
+
+  const { name } = resolveTestEnvironment(environment);
+  const property = `${name}_discovery`;
+  const discovery = loadConfig(envPath)[property];
+
+  if (!discovery || discovery.enabled === false) {
+    return null;
+  }
+  if (!discovery.startUrl) {
+    throw new Error(`Discovery configuration "${property}" in ${envPath} needs a startUrl`);
+  }
+
+  return { ...DEFAULT_DISCOVERY, ...discovery };
+}
+
+/**
+ * Normalize a URL for de-duplication
+ *
+ * Drops the hash and the query string and removes a trailing slash from
+ * everything but the root path.
+ *
+ * @param {string} url - Absolute URL
+ * @returns {string} - Normalized URL
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.search = '';
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Check a URL against the include and exclude path patterns
+ *
+ * @param {string} url - Absolute URL
+ * @param {object} discovery - Discovery configuration
+ * @returns {boolean} - True when the page should be tested
+ */
+function isUrlAllowed(url, discovery) {
+  const { pathname } = new URL(url);
+  if (discovery.exclude.some(pattern => new RegExp(pattern).test(pathname))) {
+    return false;
+  }
+  return discovery.include.length === 0 ||
+    discovery.include.some(pattern => new RegExp(pattern).test(pathname));
+}
+
+/**
+ * Determine the template type of a URL
+ *
+ * Configured templates win. Otherwise numeric and hash-like segments become `:id`,
+ * and the last segment of nested paths becomes `:slug`, so /lessons/intro and
+ * /lessons/advanced share the template /lessons/:slug.
+ *
+ * @param {string} url - Absolute URL
+ * @param {object} [templates] - Template names mapped to path regexes
+ * @returns {string} - Template name
+ */
+function getTemplateKey(url, templates = {}) {
+  const { pathname } = new URL(url);
+
+  const configured = Object.entries(templates).find(([, pattern]) => new RegExp(pattern).test(pathname));
+  if (configured) {
+    return configured[0];
+  }
+
+  const segments = pathname.split('/').filter(Boolean);
+  const generic = segments.map((segment, index) => {
+    if (/^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment)) {
+      return ':id';
+    }
+    return index === segments.length - 1 && segments.length > 1 ? ':slug' : segment;
+  });
+  return `/${generic.join('/')}`;
+}
+
+/**
+ * Build a readable, unique page name from a URL
+ *
+ * @param {string} url - Absolute URL
+ * @param {Set<string>} usedNames - Names already taken
+ * @returns {string} - Page name, e.g. "homepage" or "lessons-intro"
+ */
+function getPageName(url, usedNames) {
+  const { pathname } = new URL(url);
+  const base = pathname === '/'
+    ? 'homepage'
+    : pathname.split('/').filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+
+  let name = base;
+  for (let index = 2; usedNames.has(name); index++) {
+    name = `${base}-${index}`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+/**
+ * Select the pages to test from the discovered URLs
+ *
+ * Applies the same-origin restriction, include/exclude patterns, template
+ * sampling and the page limit, and returns a page name to URL map.
+ *
+ * @param {Array<string>} urls - Discovered URLs in discovery order
+ * @param {object} discovery - Discovery configuration
+ * @returns {object} - Map of page names to URLs
+ */
+function selectDiscoveredPages(urls, discovery) {
+  const origin = new URL(discovery.startUrl).origin;
+  const seen = new Set();
+  const templatesSeen = new Set();
+  const usedNames = new Set();
+  const pages = {};
+
+  for (const rawUrl of urls) {
+    if (Object.keys(pages).length >= discovery.maxPages) {
+      break;
+    }
+
+    let url;
+    try {
+      url = normalizeUrl(rawUrl);
+    } catch {
+      continue;
+    }
+    if (seen.has(url) || new URL(url).origin !== origin || !isUrlAllowed(url, discovery)) {
+      continue;
+    }
+    seen.add(url);
+
+    if (discovery.samplePerTemplate) {
+      const template = getTemplateKey(url, discovery.templates);
+      if (templatesSeen.has(template)) {
+        continue;
+      }
+      templatesSeen.add(template);
+    }
+
+    pages[getPageName(url, usedNames)] = url;
+  }
+
+  return pages;
+}
+
+/**
+ * Read the page URLs from the site's sitemap.xml
+ *
+ * Sitemap index files are followed one level deep.
+ *
+ * @param {object} request - Playwright APIRequestContext
+ * @param {string} startUrl - Any URL of the site
+ * @returns {Promise<Array<string>>} - URLs listed in the sitemap (empty when there is none)
+ */
+async function fetchSitemapUrls(request, startUrl) {
+  const readLocations = async (sitemapUrl) => {
+    const response = await request.get(sitemapUrl);
+    if (!response.ok()) {
+      return { isIndex: false, locations: [] };
+    }
+    const content = await response.text();
+    const locations = [...content.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(match => match[1]);
+    return { isIndex: content.includes('<sitemapindex'), locations };
+  };
+
+  try {
+    const root = await readLocations(new URL('/sitemap.xml', startUrl).toString());
+    if (!root.isIndex) {
+      return root.locations;
+    }
+
+    const urls = [];
+    for (const childSitemap of root.locations) {
+      urls.push(...(await readLocations(childSitemap)).locations);
+    }
+    return urls;
+  } catch (error) {
+    console.warn(`Could not read sitemap.xml: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Crawl same-origin links breadth-first from the start URL
+ *
+ * @param {object} page - Playwright page object
+ * @param {object} discovery - Discovery configuration
+ * @returns {Promise<Array<string>>} - Crawled URLs in discovery order
+ */
+async function crawlSite(page, discovery) {
+  const origin = new URL(discovery.startUrl).origin;
+  const start = normalizeUrl(discovery.startUrl);
+  const visited = new Set([start]);
+  const queue = [{ url: start, depth: 0 }];
+  const found = [];
+
+  while (queue.length > 0 && found.length < discovery.maxCrawlPages) {
+    const { url, depth } = queue.shift();
+
+    try {
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      const contentType = (response && response.headers()['content-type']) || '';
+      if (!response || !response.ok() || !contentType.includes('text/html')) {
+        continue;
+      }
+    } catch (error) {
+      console.warn(`Skipping ${url}: ${error.message}`);
+      continue;
+    }
+    found.push(url);
+
+    if (depth >= discovery.maxDepth) {
+      continue;
+    }
+
+    for (const link of await collectInternalLinks(page, origin)) {
+      let normalized;
+      try {
+        normalized = normalizeUrl(link);
+      } catch {
+        continue;
+      }
+      if (!visited.has(normalized) && !discovery.exclude.some(pattern => new RegExp(pattern).test(new URL(normalized).pathname))) {
+        visited.add(normalized);
+        queue.push({ url: normalized, depth: depth + 1 });
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Discover the pages of a site
+ *
+ * @param {object} discovery - Discovery configuration
+ * @returns {Promise<object>} - Object containing source and the page name to URL map
+ */
+async function discoverPages(discovery) {
+  await prepareAuthState();
+
+  const browser = await chromium.launch();
+  try {
+    const context = await browser.newContext(getAuthContextOptions());
+    const page = await context.newPage();
+
+    let source = 'sitemap';
+    let urls = [];
+    if (discovery.source === 'sitemap' || discovery.source === 'auto') {
+      urls = await fetchSitemapUrls(context.request, discovery.startUrl);
+      console.log(`Found ${urls.length} URLs in sitemap.xml`);
+    }
+    if (discovery.source === 'crawl' || (discovery.source === 'auto' && urls.length === 0)) {
+      source = 'crawl';
+      urls = await crawlSite(page, discovery);
+      console.log(`Crawled ${urls.length} pages from ${discovery.startUrl}`);
+    }
+
+    return { source, pages: selectDiscoveredPages(urls, discovery) };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Get the cache file of an environment
+ *
+ * @param {string} environmentName - Environment name
+ * @returns {string} - Path to the cache file
+ */
+function getDiscoveryCachePath(environmentName) {
+  return path.join(DISCOVERY_DIRECTORY, `${environmentName}_urls.json`);
+}
+
+/**
+ * Check whether a cache entry can be reused
+ *
+ * @param {object} cache - Cache file contents
+ * @param {object} discovery - Discovery configuration
+ * @returns {boolean} - True when the cache was built with this configuration and is not too old
+ */
+function isDiscoveryCacheFresh(cache, discovery) {
+  if (!cache || JSON.stringify(cache.discovery) !== JSON.stringify(discovery)) {
+    return false;
+  }
+  const ageMinutes = (Date.now() - new Date(cache.generatedAt).getTime()) / 60000;
+  return ageMinutes < discovery.maxAgeMinutes;
+}
+
+/**
+ * Discover the pages of an environment and write them to the cache
+ *
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {Promise<object>} - Written cache contents
+ */
+async function refreshDiscoveredUrls(environment) {
+  const { name } = resolveTestEnvironment(environment);
+  const discovery = loadDiscoveryConfig(ENV_PATH, name);
+  if (!discovery) {
+    throw new Error(`Discovery is not enabled for environment "${name}". Add "${name}_discovery" to ${ENV_PATH}.`);
+  }
+
+  console.log(`Discovering pages for environment "${name}" from ${discovery.startUrl}...`);
+  const { source, pages } = await discoverPages(discovery);
+  // An empty page list would silently turn every spec into zero tests
+  if (Object.keys(pages).length === 0) {
+    throw new Error(`Discovery found no pages for environment "${name}" from ${discovery.startUrl} (${source}). ` +
+      'Check startUrl, the include/exclude patterns and whether the site is reachable.');
+  }
+
+  const cache = {
+    environment: name,
+    generatedAt: new Date().toISOString(),
+    source,
+    discovery,
+    urls: pages
+  };
+  fs.mkdirSync(DISCOVERY_DIRECTORY, { recursive: true });
+  fs.writeFileSync(getDiscoveryCachePath(name), JSON.stringify(cache, null, 2));
+  console.log(`Discovered ${Object.keys(pages).length} pages (${source}), saved to ${getDiscoveryCachePath(name)}`);
+  return cache;
+}
+
+/**
+ * Load the discovered pages of an environment, refreshing the cache when needed
+ *
+ * This is the synchronous entry point used while spec files are loaded. A stale
+ * or missing cache is rebuilt by running this module in a child process. Set
+ * REFRESH_DISCOVERY=1 to rebuild the cache regardless of its age.
+ *
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @param {string} [envPath] - Path to env.json
+ * @returns {object|null} - Map of page names to URLs, or null when discovery is disabled
+ */
+function loadDiscoveredUrls(environment, envPath = ENV_PATH) {
+  const { name } = resolveTestEnvironment(environment);
+  const discovery = loadDiscoveryConfig(envPath, name);
+  if (!discovery) {
+    return null;
+  }
+
+  const cachePath = getDiscoveryCachePath(name);
+  const readCache = () => (fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : null);
+
+  let cache = readCache();
+  if (process.env.REFRESH_DISCOVERY === '1') {
+    cache = null;
+  }
+  if (!isDiscoveryCacheFresh(cache, discovery)) {
+    execFileSync(process.execPath, [__filename, name], {
+      stdio: 'inherit',
+      timeout: DISCOVERY_TIMEOUT_MS
+    });
+    // Refresh once per run: later spec files and the workers reuse the new cache
+    delete process.env.REFRESH_DISCOVERY;
+    cache = readCache();
+  }
+
+  return cache.urls;
+}
+
+module.exports = {
+  loadDiscoveryConfig,
+  loadDiscoveredUrls,
+  refreshDiscoveredUrls,
+  discoverPages,
+  selectDiscoveredPages,
+  getTemplateKey,
+  normalizeUrl
+};
+
+// Allow refreshing the cache from the command line
+if (require.main === module) {
+  refreshDiscoveredUrls(process.argv[2]).catch(error => {
+    console.error(`Site discovery failed: ${error.message}`);
+    process.exit(1);
+  });
+}
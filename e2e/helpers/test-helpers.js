@@ -5,38 +5,60 @@
  * This module provides general helper functions for E2E tests.
  */
 
-const { navigateWithRetry, ensureReportsDirectory, loadConfig } = require('../../utils');
+const {
+  navigateWithRetry,
+  ensureReportsDirectory,
+  loadConfig,
+  loadEnvironmentUrls,
+  resolveTestEnvironment,
+  loadPageGroups,
+  buildPagesToTest,
+  getGroupBudgets,
+  pageGroupAnnotation,
+  getDeviceContextOptions,
+  applyDeviceProfile
+} = require('../../utils');
 const path = require('path');
 
 /**
  * Load test configuration from JSON files
  * 
- * @returns {Object} - Object containing thresholds and URLs
+ * URLs are taken from the URL set of the target environment, which is selected
+ * with the TEST_ENV environment variable (e.g. TEST_ENV=stage uses "stage_urls").
+ * Every page carries its page group and the performance and SEO budgets of that
+ * group (group_budgets in treshholds.json override the global budgets).
+ * 
+ * @returns {Object} - Object containing thresholds, environment name and URLs
  */
 function loadTestConfig() {
   const thresholdsPath = path.join(__dirname, '..', '..', 'test_data', 'treshholds.json');
   const envPath = path.join(__dirname, '..', '..', 'test_data', 'env.json');
   
-  const performanceThresholds = loadConfig(thresholdsPath, 'performanceBudgets');
-  const seoThresholds = loadConfig(thresholdsPath, 'seo_budgets');
-  const performanceAnalysisThresholds = loadConfig(thresholdsPath, 'performance_analysis');
-  const urls = loadConfig(envPath, 'prod_urls');
-  
-  // // Convert the URLs object to an array of objects with name and url properties
-  // if (!urls || typeof urls !== 'object') {
-  //   throw new Error(
-  //     `Invalid or missing URL configuration. Expected an object at property "prod_urls" in ${envPath}. ` +
-  //     `Create/repair test_data/env.json (you can copy from test_data/env.template.json) and ensure it contains a "prod_urls" object.`
-  //   );
-  // }
+  const thresholdsConfig = loadConfig(thresholdsPath);
+  const performanceThresholds = thresholdsConfig.performanceBudgets;
+  const seoThresholds = thresholdsConfig.seo_budgets;
+  const accessibilityThresholds = thresholdsConfig.accessibility_budgets;
+  const performanceAnalysisThresholds = thresholdsConfig.performance_analysis;
+  const environment = resolveTestEnvironment().name;
+  const urls = loadEnvironmentUrls(envPath);
+  const groups = loadPageGroups(envPath);
 
-  const pagesToTest = Object.entries(urls).map(([name, url]) => ({ name, url }));
+  const pagesToTest = buildPagesToTest(urls, groups).map(pageConfig => ({
+    ...pageConfig,
+    performanceThresholds: getGroupBudgets(thresholdsConfig, pageConfig.group, 'performanceBudgets'),
+    seoThresholds: getGroupBudgets(thresholdsConfig, pageConfig.group, 'seo_budgets'),
+    accessibilityThresholds: getGroupBudgets(thresholdsConfig, pageConfig.group, 'accessibility_budgets')
+  }));
   
   return {
     performanceThresholds,
     seoThresholds,
+    accessibilityThresholds,
     performanceAnalysisThresholds,
+    thresholdsConfig,
+    environment,
     urls,
+    groups,
     pagesToTest
   };
 }
@@ -151,17 +173,20 @@ async function analyzeHeadingStructure(page) {
 /**
  * Analyze internal links
  * 
+ * A link is internal when it has the same origin (scheme, host and port) as the
+ * base URL, so look-alike hosts such as example.com.evil.com do not count.
+ * 
  * @param {Object} page - Playwright page object
  * @param {string} baseUrl - Base URL of the website
  * @returns {Promise<Object>} - Internal link analysis
  */
 async function analyzeInternalLinks(page, baseUrl) {
   return page.evaluate(baseUrl => {
+    const baseOrigin = new URL(baseUrl).origin;
     const links = Array.from(document.querySelectorAll('a[href]'));
     const internalLinks = links.filter(link => {
       try {
-        const href = link.href;
-        return href.startsWith(baseUrl);
+        return new URL(link.href).origin === baseOrigin;
       } catch {
         return false;
       }
@@ -181,6 +206,32 @@ async function analyzeInternalLinks(page, baseUrl) {
   }, baseUrl);
 }
 
+/**
+ * Collect the unique internal link targets of a page
+ * 
+ * Uses the same internal link rule as analyzeInternalLinks (same origin as the
+ * base URL) and returns the absolute URLs, e.g. for site discovery.
+ * 
+ * @param {Object} page - Playwright page object
+ * @param {string} baseUrl - Base URL of the website
+ * @returns {Promise<Array<string>>} - Unique internal link URLs in document order
+ */
+async function collectInternalLinks(page, baseUrl) {
+  return page.evaluate(baseUrl => {
+    const baseOrigin = new URL(baseUrl).origin;
+    const hrefs = Array.from(document.querySelectorAll('a[href]'))
+      .map(link => link.href)
+      .filter(href => {
+        try {
+          return new URL(href).origin === baseOrigin;
+        } catch {
+          return false;
+        }
+      });
+    return Array.from(new Set(hrefs));
+  }, baseUrl);
+}
+
 /**
  * Test sitemap.xml
  * 
@@ -242,11 +293,15 @@ async function testSocialMediaTags(page) {
 
 module.exports = {
   loadTestConfig,
+  pageGroupAnnotation,
   createReportsDirectory,
   navigateWithRetry,
+  getDeviceContextOptions,
+  applyDeviceProfile,
   analyzeContentQuality,
   analyzeHeadingStructure,
   analyzeInternalLinks,
+  collectInternalLinks,
   testSitemapXml,
   testSocialMediaTags
 };
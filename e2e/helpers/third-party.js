@@ -0,0 +1,279 @@
+/**
+ * Third-Party Impact Analysis
+ * ==========================
+ *
+ * This module shows what the third parties on a page (analytics, chat widgets, tag
+ * managers, ...) cost. It groups the Lighthouse results by third-party entity, using
+ * the entity classification of the report (domains of one company form one entity):
+ *
+ * - requests and transferred bytes, from `network-requests`
+ * - main-thread and blocking time, from `third-party-summary`
+ * - script evaluation time, from `bootup-time`
+ *
+ * It also checks the third-party origins of a page against the allowlist in
+ * treshholds.json (`third_party`), so a newly added tag or widget is noticed:
+ *
+ *   "third_party": {
+ *     "failOnUnlistedOrigins": true,
+ *     "allowlist": ["Google Tag Manager", "*.google-analytics.com", "widget.intercom.io"]
+ *   }
+ *
+ * Allowlist entries are entity names (covering all origins of the entity) or host
+ * names, where `*.` matches the domain and all of its subdomains.
+ *
+ * Blocking experiments measure how much faster a page gets without selected scripts.
+ * Every experiment is a list of URL patterns (`*` is a wildcard); the page is audited
+ * with and without the matching requests and the metrics are compared side by side:
+ *
+ *   "third_party": {
+ *     "blockingExperiments": [
+ *       { "name": "without-chat", "urlPatterns": ["*.intercom.io/*", "*.intercomcdn.com/*"] }
+ *     ]
+ *   }
+ *
+ * The BLOCK_URL_PATTERNS environment variable (comma separated) runs a single ad hoc
+ * experiment instead of the configured ones.
+ */
+
+const path = require('path');
+const { loadConfig } = require('../../utils');
+
+/**
+ * Extract the third-party impact of a page, grouped by entity
+ *
+ * @param {Object} lhr - Lighthouse result object
+ * @returns {Object} - { entities, totals } where entities are sorted by blocking time, then bytes
+ */
+function extractThirdPartySummary(lhr) {
+  const entityInfo = new Map((lhr.entities || []).map(entity => [entity.name, entity]));
+  const isThirdParty = name => name && !entityInfo.get(name)?.isFirstParty;
+  const byEntity = new Map();
+  const urlEntities = new Map();
+
+  const getEntity = name => {
+    if (!byEntity.has(name)) {
+      byEntity.set(name, {
+        entity: name,
+        category: entityInfo.get(name)?.category || 'unknown',
+        origins: new Set(),
+        requests: 0,
+        transferSize: 0,
+        mainThreadTime: 0,
+        blockingTime: 0,
+        scriptEvaluation: 0
+      });
+    }
+    return byEntity.get(name);
+  };
+
+  // Requests and bytes
+  (lhr.audits['network-requests']?.details?.items || [])
+    .filter(request => isThirdParty(request.entity))
+    .forEach(request => {
+      const entity = getEntity(request.entity);
+      entity.requests += 1;
+      entity.transferSize += request.transferSize || 0;
+      try {
+        const { protocol, origin } = new URL(request.url);
+        // data: and blob: URLs have the origin "null"
+        if (protocol === 'http:' || protocol === 'https:') {
+          entity.origins.add(origin);
+        }
+      } catch (error) {
+        // Not a valid URL
+      }
+      urlEntities.set(request.url, request.entity);
+    });
+
+  // Main-thread and blocking time
+  (lhr.audits['third-party-summary']?.details?.items || [])
+    .filter(item => isThirdParty(item.entity))
+    .forEach(item => {
+      const entity = getEntity(item.entity);
+      entity.mainThreadTime += item.mainThreadTime || 0;
+      entity.blockingTime += item.blockingTime || 0;
+    });
+
+  // Script evaluation per script URL
+  (lhr.audits['bootup-time']?.details?.items || []).forEach(item => {
+    const name = urlEntities.get(item.url);
+    if (name) {
+      getEntity(name).scriptEvaluation += item.scripting || 0;
+    }
+  });
+
+  const entities = [...byEntity.values()]
+    .map(entity => ({ ...entity, origins: [...entity.origins].sort() }))
+    .sort((a, b) => (b.blockingTime - a.blockingTime) || (b.transferSize - a.transferSize));
+
+  const totals = entities.reduce((sum, entity) => ({
+    entities: sum.entities + 1,
+    requests: sum.requests + entity.requests,
+    transferSize: sum.transferSize + entity.transferSize,
+    mainThreadTime: sum.mainThreadTime + entity.mainThreadTime,
+    blockingTime: sum.blockingTime + entity.blockingTime,
+    scriptEvaluation: sum.scriptEvaluation + entity.scriptEvaluation
+  }), { entities: 0, requests: 0, transferSize: 0, mainThreadTime: 0, blockingTime: 0, scriptEvaluation: 0 });
+
+  return { entities, totals };
+}
+
+/**
+ * Check whether an origin is covered by an allowlist entry
+ *
+ * Origins without a host name (such as the "null" origin of data: URLs) are only
+ * covered by their entity name.
+ *
+ * @param {string} origin - Origin such as https://www.google-analytics.com
+ * @param {string} entityName - Entity the origin belongs to
+ * @param {string} entry - Allowlist entry (entity name or host name, optionally with `*.`)
+ * @returns {boolean} - True when the entry allows the origin
+ */
+function isAllowed(origin, entityName, entry) {
+  if (entry === entityName) {
+    return true;
+  }
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname;
+  } catch (error) {
+    return false;
+  }
+  if (!hostname) {
+    return false;
+  }
+  if (entry.startsWith('*.')) {
+    const domain = entry.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === entry;
+}
+
+/**
+ * Find third-party origins that are not on the allowlist
+ *
+ * @param {Object} thirdPartySummary - Result of extractThirdPartySummary
+ * @param {Array<string>} [allowlist=[]] - Allowed entity names and host names
+ * @returns {Array<Object>} - Unlisted origins ({ origin, entity, category })
+ */
+function findUnlistedThirdParties(thirdPartySummary, allowlist = []) {
+  return thirdPartySummary.entities.flatMap(entity =>
+    entity.origins
+      .filter(origin => !allowlist.some(entry => isAllowed(origin, entity.entity, entry)))
+      .map(origin => ({ origin, entity: entity.entity, category: entity.category }))
+  );
+}
+
+/**
+ * Log the third-party impact of a page to console
+ *
+ * @param {Object} thirdPartySummary - Result of extractThirdPartySummary
+ * @param {Array<Object>} unlisted - Result of findUnlistedThirdParties
+ * @param {string} pageName - Name of the page
+ */
+function logThirdPartySummary(thirdPartySummary, unlisted, pageName) {
+  const { entities, totals } = thirdPartySummary;
+
+  if (entities.length === 0) {
+    console.log(`\nNo third-party requests on ${pageName}`);
+    return;
+  }
+
+  console.log(`\nThird-party impact for ${pageName}:`);
+  console.table(entities.map(entity => ({
+    Entity: entity.entity,
+    Category: entity.category,
+    Requests: entity.requests,
+    KB: Number((entity.transferSize / 1024).toFixed(1)),
+    'Blocking ms': Math.round(entity.blockingTime),
+    'Main thread ms': Math.round(entity.mainThreadTime),
+    'Script eval ms': Math.round(entity.scriptEvaluation)
+  })));
+  console.log(`Total: ${totals.entities} entities, ${totals.requests} requests, ${(totals.transferSize / 1024).toFixed(1)} KB, ${Math.round(totals.blockingTime)}ms blocking`);
+
+  unlisted.forEach(({ origin, entity, category }) => {
+    console.log(`⚠️ Third-party origin not on the allowlist: ${origin} (${entity}, ${category})`);
+  });
+}
+
+/**
+ * Get the request blocking experiments to run
+ *
+ * @param {Object} [thirdPartyConfig={}] - The third_party section of treshholds.json
+ * @returns {Array<{name: string, urlPatterns: Array<string>}>} - Experiments (BLOCK_URL_PATTERNS wins over the config)
+ */
+function getBlockingExperiments(thirdPartyConfig = {}) {
+  const adHocPatterns = (process.env.BLOCK_URL_PATTERNS || '')
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  if (adHocPatterns.length > 0) {
+    return [{ name: 'custom', urlPatterns: adHocPatterns }];
+  }
+  return thirdPartyConfig.blockingExperiments || [];
+}
+
+/**
+ * Compare the metrics of a page with and without blocked requests
+ *
+ * @param {Object} baselineMetrics - Metrics with all requests (extractMetricsFromLighthouse format)
+ * @param {Object} blockedMetrics - Metrics with the blocked requests
+ * @param {Object} [schema=null] - Optional metrics schema to use for metric direction
+ * @returns {Array<Object>} - Per metric: baseline, blocked, delta, deltaPercent and whether blocking improved it
+ */
+function compareBlockedMetrics(baselineMetrics, blockedMetrics, schema = null) {
+  if (!schema) {
+    schema = loadConfig(path.join(__dirname, '..', '..', 'test_data', 'metrics_schema.json'));
+  }
+
+  return Object.keys(baselineMetrics)
+    .filter(metric => typeof baselineMetrics[metric] === 'number' && typeof blockedMetrics[metric] === 'number')
+    .map(metric => {
+      const baseline = baselineMetrics[metric];
+      const blocked = blockedMetrics[metric];
+      const metadata = schema?.coreMetrics?.[metric] || schema?.additionalMetrics?.[metric];
+      const higherIsBetter = metadata ? metadata.higherIsBetter : false;
+      const delta = blocked - baseline;
+
+      return {
+        metric,
+        unit: metadata?.unit || '',
+        baseline,
+        blocked,
+        delta,
+        deltaPercent: baseline !== 0 ? (delta / Math.abs(baseline)) * 100 : 0,
+        improved: higherIsBetter ? delta > 0 : delta < 0
+      };
+    });
+}
+
+/**
+ * Log a blocking comparison side by side to console
+ *
+ * @param {Array<Object>} comparison - Result of compareBlockedMetrics
+ * @param {Object} experiment - Blocking experiment ({ name, urlPatterns })
+ * @param {string} pageName - Name of the page
+ */
+function logBlockedMetricsComparison(comparison, experiment, pageName) {
+  const format = (value, unit) => (unit === 'ms' ? Math.round(value) : Number(value.toFixed(3)));
+
+  console.log(`\nBlocking experiment "${experiment.name}" for ${pageName} (${experiment.urlPatterns.join(', ')}):`);
+  console.table(comparison.map(item => ({
+    Metric: item.metric,
+    'With requests': format(item.baseline, item.unit),
+    Blocked: format(item.blocked, item.unit),
+    Delta: format(item.delta, item.unit),
+    'Delta %': `${item.deltaPercent >= 0 ? '+' : ''}${item.deltaPercent.toFixed(1)}%`,
+    Result: item.delta === 0 ? '=' : (item.improved ? '✅ better' : '⚠️ worse')
+  })));
+}
+
+module.exports = {
+  extractThirdPartySummary,
+  findUnlistedThirdParties,
+  logThirdPartySummary,
+  getBlockingExperiments,
+  compareBlockedMetrics,
+  logBlockedMetricsComparison
+};
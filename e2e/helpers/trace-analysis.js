@@ -0,0 +1,336 @@
+/**
+ * Performance Trace Capture and Long-Task Analysis
+ * ================================================
+ *
+ * This module saves the Chromium performance trace of an audit and breaks the
+ * main-thread long tasks in it down by script, so a high Total Blocking Time can be
+ * traced back to the code that caused it instead of only being reported.
+ *
+ * Traces come from two places:
+ *
+ * - Lighthouse audits and user flows record a trace anyway; with CAPTURE_TRACE=1 it
+ *   is saved next to the HTML/JSON report as `<report name>.trace.json`
+ * - Playwright flows record one with startTraceRecording / stopTraceRecording
+ *
+ * The saved files are regular Chrome trace files and can be opened in the DevTools
+ * Performance panel ("Load profile...") or at https://ui.perfetto.dev.
+ *
+ * A long task is a main-thread task of 50 ms or more; the part above 50 ms is its
+ * blocking time, as in Total Blocking Time. Every long task is attributed to the
+ * script function that ran longest inside it (FunctionCall, EvaluateScript and
+ * compile events carry the script URL and function name). Tasks without script work
+ * (style, layout, paint, HTML parsing) are reported as "(no script)".
+ *
+ * Typical usage in a Playwright flow:
+ *
+ *   await startTraceRecording(page);
+ *   await page.goto(url);
+ *   const trace = await stopTraceRecording(page, path.join(reportsDirectory, 'home.trace.json'));
+ *   logLongTaskSummary(summarizeLongTasks(trace), 'home');
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Tasks at or above this duration (ms) block the main thread
+const LONG_TASK_THRESHOLD = 50;
+
+// Top-level task events (older Chrome versions use the ThreadControllerImpl name)
+const TASK_EVENTS = new Set(['RunTask', 'ThreadControllerImpl::RunTask']);
+
+// Events that run script and say which script it was
+const SCRIPT_EVENTS = new Set(['FunctionCall', 'EvaluateScript', 'v8.compile', 'v8.compileModule', 'v8.evaluateModule']);
+
+/**
+ * Check whether traces should be captured in this run
+ *
+ * Enabled with the CAPTURE_TRACE environment variable (CAPTURE_TRACE=1 or true).
+ *
+ * @returns {boolean} - True when traces should be saved
+ */
+function isTraceCaptureEnabled() {
+  return ['1', 'true'].includes(String(process.env.CAPTURE_TRACE || '').toLowerCase());
+}
+
+/**
+ * Get the trace events of a trace
+ *
+ * @param {Object|Array<Object>} trace - Trace object ({ traceEvents }) or an array of trace events
+ * @returns {Array<Object>} - Trace events
+ */
+function getTraceEvents(trace) {
+  return Array.isArray(trace) ? trace : (trace?.traceEvents || []);
+}
+
+/**
+ * Save a trace in the Chrome trace file format
+ *
+ * Events are written one per line, so large traces never have to be serialized
+ * into a single string.
+ *
+ * @param {Object|Array<Object>} trace - Trace object ({ traceEvents, metadata }) or an array of trace events
+ * @param {string} filePath - Path of the trace file (usually ending in .trace.json)
+ * @returns {string} - Path of the saved trace file
+ */
+function saveTrace(trace, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const events = getTraceEvents(trace);
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeSync(fd, '{"traceEvents":[\n');
+    events.forEach((event, index) => {
+      fs.writeSync(fd, `${JSON.stringify(event)}${index < events.length - 1 ? ',' : ''}\n`);
+    });
+    fs.writeSync(fd, `]${trace?.metadata ? `,"metadata":${JSON.stringify(trace.metadata)}` : ''}}\n`);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return filePath;
+}
+
+/**
+ * Find the renderer main threads of the traced page
+ *
+ * The page's renderer processes are taken from the frames in TracingStartedInBrowser
+ * and FrameCommittedInBrowser (a navigation can switch processes). When the trace
+ * does not name them, every renderer main thread in the trace is used.
+ *
+ * @param {Array<Object>} events - Trace events
+ * @returns {Set<string>} - Main threads as "pid:tid"
+ */
+function findMainThreads(events) {
+  const pagePids = new Set();
+  events.forEach(event => {
+    if (event.name === 'TracingStartedInBrowser') {
+      (event.args?.data?.frames || [])
+        .filter(frame => !frame.parent && frame.processId)
+        .forEach(frame => pagePids.add(frame.processId));
+    } else if (event.name === 'FrameCommittedInBrowser') {
+      const data = event.args?.data || {};
+      if (!data.parent && data.processId) {
+        pagePids.add(data.processId);
+      }
+    }
+  });
+
+  const rendererMains = events.filter(event =>
+    event.ph === 'M' && event.name === 'thread_name' && event.args?.name === 'CrRendererMain');
+  const pageMains = rendererMains.filter(event => pagePids.has(event.pid));
+
+  return new Set((pageMains.length > 0 ? pageMains : rendererMains).map(event => `${event.pid}:${event.tid}`));
+}
+
+/**
+ * Describe the script that ran in a trace event
+ *
+ * @param {Object} event - Script trace event
+ * @returns {Object} - { url, functionName, lineNumber, columnNumber }
+ */
+function describeScript(event) {
+  const data = event.args?.data || {};
+  return {
+    url: data.url || event.args?.fileName || '',
+    functionName: data.functionName || (event.name === 'FunctionCall' ? '(anonymous)' : `(${event.name})`),
+    lineNumber: data.lineNumber ?? null,
+    columnNumber: data.columnNumber ?? null
+  };
+}
+
+/**
+ * Summarize the main-thread long tasks of a trace by script URL and function
+ *
+ * @param {Object|Array<Object>} trace - Trace object ({ traceEvents }) or an array of trace events
+ * @param {Object} [options] - Summary options
+ * @param {number} [options.threshold=50] - Minimum task duration (ms) to count as a long task
+ * @param {number} [options.limit=10] - Number of offenders and tasks to return
+ * @returns {Object} - { threshold, count, totalDuration, totalBlockingTime, offenders, tasks } (times in ms)
+ */
+function summarizeLongTasks(trace, options = {}) {
+  const { threshold = LONG_TASK_THRESHOLD, limit = 10 } = options;
+  const events = getTraceEvents(trace);
+  const mainThreads = findMainThreads(events);
+  const onMainThread = event => mainThreads.has(`${event.pid}:${event.tid}`);
+  const round = value => Math.round(value * 10) / 10;
+
+  // Complete events of the main threads, ordered by start time
+  const mainEvents = events
+    .filter(event => event.ph === 'X' && typeof event.dur === 'number' && onMainThread(event))
+    .sort((a, b) => a.ts - b.ts);
+
+  // Top-level tasks only: tasks nested in another task (nested message loops) are part of it
+  const threadEnds = new Map();
+  const tasks = mainEvents.filter(event => {
+    if (!TASK_EVENTS.has(event.name)) return false;
+    const thread = `${event.pid}:${event.tid}`;
+    if (event.ts < (threadEnds.get(thread) || 0)) return false;
+    threadEnds.set(thread, event.ts + event.dur);
+    return true;
+  });
+  const scriptEvents = mainEvents.filter(event => SCRIPT_EVENTS.has(event.name));
+
+  // Task times are relative to the navigation start, or to the first task without one
+  const navigationStart = events.find(event => event.name === 'navigationStart' && onMainThread(event));
+  const timeOrigin = navigationStart ? navigationStart.ts : (tasks[0]?.ts || 0);
+
+  const longTasks = tasks
+    .filter(task => task.dur / 1000 >= threshold)
+    .map(task => {
+      const taskEnd = task.ts + task.dur;
+      const thread = `${task.pid}:${task.tid}`;
+
+      // Script time per function inside the task, counting nested script events only once
+      const scripts = new Map();
+      let scriptEnd = 0;
+      scriptEvents
+        .filter(event => event.ts >= task.ts && event.ts < taskEnd && `${event.pid}:${event.tid}` === thread)
+        .forEach(event => {
+          if (event.ts < scriptEnd) return;
+          scriptEnd = event.ts + event.dur;
+          const script = describeScript(event);
+          const key = `${script.url}|${script.functionName}|${script.lineNumber}|${script.columnNumber}`;
+          const entry = scripts.get(key) || { ...script, time: 0 };
+          entry.time += event.dur;
+          scripts.set(key, entry);
+        });
+
+      const culprit = [...scripts.values()].sort((a, b) => b.time - a.time)[0] ||
+        { url: '', functionName: '(no script)', lineNumber: null, columnNumber: null };
+      const duration = task.dur / 1000;
+
+      return {
+        startTime: round((task.ts - timeOrigin) / 1000),
+        duration: round(duration),
+        blockingTime: round(Math.max(0, duration - LONG_TASK_THRESHOLD)),
+        url: culprit.url,
+        functionName: culprit.functionName,
+        lineNumber: culprit.lineNumber,
+        columnNumber: culprit.columnNumber
+      };
+    });
+
+  // Group the long tasks by the function they are attributed to
+  const offenders = new Map();
+  longTasks.forEach(task => {
+    const key = `${task.url}|${task.functionName}|${task.lineNumber}|${task.columnNumber}`;
+    const offender = offenders.get(key) || {
+      url: task.url,
+      functionName: task.functionName,
+      lineNumber: task.lineNumber,
+      columnNumber: task.columnNumber,
+      tasks: 0,
+      duration: 0,
+      blockingTime: 0,
+      longestTask: 0
+    };
+    offender.tasks += 1;
+    offender.duration = round(offender.duration + task.duration);
+    offender.blockingTime = round(offender.blockingTime + task.blockingTime);
+    offender.longestTask = Math.max(offender.longestTask, task.duration);
+    offenders.set(key, offender);
+  });
+
+  return {
+    threshold,
+    count: longTasks.length,
+    totalDuration: round(longTasks.reduce((sum, task) => sum + task.duration, 0)),
+    totalBlockingTime: round(longTasks.reduce((sum, task) => sum + task.blockingTime, 0)),
+    offenders: [...offenders.values()]
+      .sort((a, b) => (b.blockingTime - a.blockingTime) || (b.duration - a.duration))
+      .slice(0, limit),
+    tasks: [...longTasks].sort((a, b) => b.duration - a.duration).slice(0, limit)
+  };
+}
+
+/**
+ * Save a trace and summarize its long tasks
+ *
+ * @param {Object|Array<Object>} trace - Trace object ({ traceEvents }) or an array of trace events
+ * @param {string} filePath - Path of the trace file
+ * @param {Object} [options] - Options for summarizeLongTasks
+ * @returns {Object} - { tracePath, longTasks }
+ */
+function saveTraceWithLongTasks(trace, filePath, options = {}) {
+  return {
+    tracePath: saveTrace(trace, filePath),
+    longTasks: summarizeLongTasks(trace, options)
+  };
+}
+
+/**
+ * Start recording a Chromium performance trace of a Playwright page
+ *
+ * Only one trace can be recorded per browser at a time.
+ *
+ * @param {Object} page - Playwright page object (Chromium only)
+ * @returns {Promise<void>}
+ * @throws {Error} - If the page does not run in Chromium
+ */
+async function startTraceRecording(page) {
+  const browser = page.context().browser();
+  if (!browser || browser.browserType().name() !== 'chromium') {
+    throw new Error('Performance traces can only be recorded in Chromium');
+  }
+  await browser.startTracing(page, { screenshots: true });
+}
+
+/**
+ * Stop recording the performance trace started with startTraceRecording
+ *
+ * @param {Object} page - Playwright page the trace was started for
+ * @param {string} [filePath] - Path to save the trace to (not saved when omitted)
+ * @returns {Promise<Object>} - Trace object ({ traceEvents, metadata })
+ */
+async function stopTraceRecording(page, filePath) {
+  const buffer = await page.context().browser().stopTracing();
+  const trace = JSON.parse(buffer.toString('utf8'));
+  if (filePath) {
+    saveTrace(trace, filePath);
+    console.log(`Performance trace saved to: ${filePath}`);
+  }
+  return trace;
+}
+
+/**
+ * Format the location of a long-task offender
+ *
+ * @param {Object} offender - Offender or task ({ url, lineNumber, columnNumber })
+ * @returns {string} - URL with line and column, or "-" without a script
+ */
+function formatScriptLocation(offender) {
+  if (!offender.url) return '-';
+  return offender.lineNumber !== null ? `${offender.url}:${offender.lineNumber}:${offender.columnNumber}` : offender.url;
+}
+
+/**
+ * Log a long-task summary to console
+ *
+ * @param {Object} summary - Result of summarizeLongTasks
+ * @param {string} label - Label for the heading (e.g. page name)
+ */
+function logLongTaskSummary(summary, label) {
+  if (!summary || summary.count === 0) {
+    console.log(`\nNo main-thread long tasks for ${label}`);
+    return;
+  }
+
+  console.log(`\nMain-thread long tasks for ${label}: ${summary.count} task(s), ${Math.round(summary.totalDuration)}ms, ${Math.round(summary.totalBlockingTime)}ms blocking`);
+  console.table(summary.offenders.map(offender => ({
+    Function: offender.functionName,
+    Script: formatScriptLocation(offender),
+    Tasks: offender.tasks,
+    'Blocking ms': Math.round(offender.blockingTime),
+    'Total ms': Math.round(offender.duration),
+    'Longest ms': Math.round(offender.longestTask)
+  })));
+}
+
+module.exports = {
+  LONG_TASK_THRESHOLD,
+  isTraceCaptureEnabled,
+  saveTrace,
+  summarizeLongTasks,
+  saveTraceWithLongTasks,
+  startTraceRecording,
+  stopTraceRecording,
+  logLongTaskSummary
+};
@@ -0,0 +1,400 @@
+/**
+ * Trend Dashboard
+ * ===============
+ *
+ * This module builds a static HTML dashboard from the history files written by
+ * saveMetricsToHistory (`<page>-history<suffix>.jsonl` in the lighthouse-reports
+ * directories), so the trend of every page can be looked at instead of only being
+ * used for regression checks.
+ *
+ * - one section per page, with a line chart per core metric (metrics_schema.json)
+ * - one line per history series: the reports directory and suffix, e.g.
+ *   "performance", "performance -3g" or "web-vitals -web-vitals"
+ * - dashed budget lines from treshholds.json: the performanceBudgets of the page's
+ *   group, adjusted to the network profile for network condition histories
+ * - filters by history suffix (network condition), date range and page
+ * - the git commit of every point in its tooltip (from the entry's run metadata)
+ *
+ * The dashboard is a single file without external dependencies. It is written to
+ * `lighthouse-reports/html-per-spec/trend-dashboard.html` by the per-spec HTML
+ * reporter at the end of every run, or on demand with `npm run dashboard`.
+ *
+ * The run-wide `performance-history<suffix>.jsonl` files repeat the page histories
+ * and are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadConfig,
+  loadMetricsHistory,
+  getGroupBudgets,
+  getNetworkAdjustedThresholds
+} = require('../../utils');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..', '..');
+const DEFAULT_REPORTS_ROOT = path.join(ROOT_DIRECTORY, 'lighthouse-reports');
+const DEFAULT_OUTPUT_PATH = path.join(DEFAULT_REPORTS_ROOT, 'html-per-spec', 'trend-dashboard.html');
+
+// Page history files, JSON Lines and the .json files from before JSON Lines
+const HISTORY_FILE_PATTERN = /^(.+)-history(-.+)?\.jsonl?$/;
+
+// Core metrics and their budget keys in performanceBudgets
+const METRIC_BUDGET_KEYS = {
+  performance: 'performance',
+  firstContentfulPaint: 'first-contentful-paint',
+  largestContentfulPaint: 'largest-contentful-paint',
+  totalBlockingTime: 'total-blocking-time',
+  cumulativeLayoutShift: 'cumulative-layout-shift',
+  speedIndex: 'speed-index',
+  timeToInteractive: 'interactive'
+};
+
+/**
+ * Find the history files below the reports root
+ *
+ * @param {string} reportsRoot - Root directory of the reports (lighthouse-reports)
+ * @returns {Array<Object>} - { directory, source, page, suffix } per page history file
+ */
+function findHistoryFiles(reportsRoot) {
+  if (!fs.existsSync(reportsRoot)) {
+    return [];
+  }
+
+  return fs.readdirSync(reportsRoot, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => {
+      const directory = path.join(reportsRoot, entry.name);
+      const histories = new Map();
+      fs.readdirSync(directory)
+        .map(file => HISTORY_FILE_PATTERN.exec(file))
+        .filter(match => match && match[1] !== 'performance')
+        .forEach(match => histories.set(`${match[1]}${match[2] || ''}`, {
+          directory,
+          source: entry.name,
+          page: match[1],
+          suffix: match[2] || ''
+        }));
+      return [...histories.values()];
+    });
+}
+
+/**
+ * Read a metric from a history entry (flat or detailed report format)
+ *
+ * @param {Object} entry - History entry
+ * @param {string} metric - Metric name
+ * @returns {number|null} - Metric value or null when it is missing
+ */
+function readMetric(entry, metric) {
+  const value = entry?.[metric] ?? entry?.coreMetrics?.[metric];
+  const numeric = typeof value === 'object' && value !== null ? value.value : value;
+  return typeof numeric === 'number' && Number.isFinite(numeric) ? numeric : null;
+}
+
+/**
+ * Get the budgets of a history series
+ *
+ * @param {Array<Object>} entries - History entries of the series
+ * @param {Object} thresholdsConfig - Contents of treshholds.json
+ * @param {Array<Object>} networkConditions - Network condition profiles
+ * @returns {Object} - Budget per core metric (camelCase)
+ */
+function getSeriesBudgets(entries, thresholdsConfig, networkConditions) {
+  const latest = entries[entries.length - 1] || {};
+  let budgets = getGroupBudgets(thresholdsConfig, latest.group, 'performanceBudgets');
+
+  const network = networkConditions.find(condition => condition.name === latest.networkCondition);
+  if (network) {
+    budgets = { ...budgets, ...getNetworkAdjustedThresholds(network, budgets) };
+  }
+
+  return Object.fromEntries(Object.entries(METRIC_BUDGET_KEYS)
+    .filter(([, budgetKey]) => typeof budgets[budgetKey] === 'number')
+    .map(([metric, budgetKey]) => [metric, budgets[budgetKey]]));
+}
+
+/**
+ * Collect the metric series of all history files
+ *
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.reportsRoot] - Root directory of the reports
+ * @param {string} [options.thresholdsPath] - Path to treshholds.json
+ * @param {string} [options.networkConditionsPath] - Path to network_conditions.json
+ * @param {string} [options.schemaPath] - Path to metrics_schema.json
+ * @returns {Object} - { metrics, series } where every series has page, source, suffix, budgets and points
+ */
+function collectTrendData(options = {}) {
+  const {
+    reportsRoot = DEFAULT_REPORTS_ROOT,
+    thresholdsPath = path.join(ROOT_DIRECTORY, 'test_data', 'treshholds.json'),
+    networkConditionsPath = path.join(ROOT_DIRECTORY, 'test_data', 'network_conditions.json'),
+    schemaPath = path.join(ROOT_DIRECTORY, 'test_data', 'metrics_schema.json')
+  } = options;
+
+  const thresholdsConfig = loadConfig(thresholdsPath);
+  const networkConditions = loadConfig(networkConditionsPath, 'networkConditions') || [];
+  const schema = loadConfig(schemaPath);
+  const metrics = Object.keys(METRIC_BUDGET_KEYS).map(metric => ({
+    name: metric,
+    description: schema.coreMetrics?.[metric]?.description || metric,
+    unit: schema.coreMetrics?.[metric]?.unit || '',
+    higherIsBetter: schema.coreMetrics?.[metric]?.higherIsBetter || false
+  }));
+
+  const series = findHistoryFiles(reportsRoot)
+    .map(({ directory, source, page, suffix }) => {
+      const entries = loadMetricsHistory(page, directory, suffix).filter(entry => entry.timestamp);
+      const points = entries
+        .map(entry => ({
+          timestamp: entry.timestamp,
+          commit: entry.metadata?.commit ? entry.metadata.commit.slice(0, 12) : null,
+          values: Object.fromEntries(metrics
+            .map(({ name }) => [name, readMetric(entry, name)])
+            .filter(([, value]) => value !== null))
+        }))
+        .filter(point => Object.keys(point.values).length > 0);
+
+      return {
+        page,
+        source,
+        suffix,
+        label: suffix ? `${source} ${suffix}` : source,
+        group: entries[entries.length - 1]?.group || null,
+        budgets: getSeriesBudgets(entries, thresholdsConfig, networkConditions),
+        points
+      };
+    })
+    .filter(item => item.points.length > 0)
+    .sort((a, b) => a.page.localeCompare(b.page) || a.label.localeCompare(b.label));
+
+  return { metrics, series };
+}
+
+/**
+ * Script that draws the charts in the browser and applies the filters
+ *
+ * Runs inside the dashboard page; data comes from the embedded JSON.
+ */
+function dashboardScript() {
+  const data = JSON.parse(document.getElementById('trend-data').textContent);
+  const colors = ['#2563eb', '#dc2626', '#16a34a', '#ca8a04', '#9333ea', '#0891b2', '#db2777', '#4b5563'];
+  const labels = [...new Set(data.series.map(item => item.label))];
+  const colorOf = label => colors[labels.indexOf(label) % colors.length];
+  const svgNs = 'http://www.w3.org/2000/svg';
+
+  const element = (name, attributes, text) => {
+    const node = document.createElementNS(svgNs, name);
+    Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+  const format = (value, unit) => (unit === '' ? value.toFixed(3) : `${Math.round(value)}${unit}`);
+
+  const suffixSelect = document.getElementById('filter-suffix');
+  const pageSelect = document.getElementById('filter-page');
+  [...new Set(data.series.map(item => item.suffix))].sort().forEach(suffix => {
+    suffixSelect.add(new Option(suffix || '(no suffix)', suffix));
+  });
+  [...new Set(data.series.map(item => item.page))].forEach(page => pageSelect.add(new Option(page, page)));
+
+  function drawChart(metric, seriesList, from, to) {
+    const width = 520;
+    const height = 220;
+    const pad = { left: 56, right: 12, top: 12, bottom: 28 };
+    const svg = element('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart' });
+
+    const lines = seriesList
+      .map(item => ({
+        item,
+        points: item.points
+          .filter(point => point.values[metric.name] !== undefined)
+          .map(point => ({ time: Date.parse(point.timestamp), value: point.values[metric.name], commit: point.commit }))
+          .filter(point => point.time >= from && point.time <= to)
+      }))
+      .filter(line => line.points.length > 0);
+    if (lines.length === 0) return null;
+
+    const times = lines.flatMap(line => line.points.map(point => point.time));
+    const values = lines.flatMap(line => line.points.map(point => point.value))
+      .concat(lines.map(line => line.item.budgets[metric.name]).filter(value => value !== undefined));
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+    const minValue = Math.min(0, ...values);
+    const maxValue = Math.max(...values) * 1.1 || 1;
+    const x = time => pad.left + (maxTime === minTime ? 0.5 : (time - minTime) / (maxTime - minTime)) * (width - pad.left - pad.right);
+    const y = value => height - pad.bottom - ((value - minValue) / (maxValue - minValue)) * (height - pad.top - pad.bottom);
+
+    // Axes with the value range and the date range
+    svg.appendChild(element('line', { x1: pad.left, y1: pad.top, x2: pad.left, y2: height - pad.bottom, class: 'axis' }));
+    svg.appendChild(element('line', { x1: pad.left, y1: height - pad.bottom, x2: width - pad.right, y2: height - pad.bottom, class: 'axis' }));
+    svg.appendChild(element('text', { x: pad.left - 4, y: pad.top + 8, class: 'tick', 'text-anchor': 'end' }, format(maxValue, metric.unit)));
+    svg.appendChild(element('text', { x: pad.left - 4, y: height - pad.bottom, class: 'tick', 'text-anchor': 'end' }, format(minValue, metric.unit)));
+    svg.appendChild(element('text', { x: pad.left, y: height - 8, class: 'tick' }, new Date(minTime).toLocaleDateString()));
+    svg.appendChild(element('text', { x: width - pad.right, y: height - 8, class: 'tick', 'text-anchor': 'end' }, new Date(maxTime).toLocaleDateString()));
+
+    lines.forEach(({ item, points }) => {
+      const color = colorOf(item.label);
+      const budget = item.budgets[metric.name];
+      if (budget !== undefined) {
+        svg.appendChild(element('line', {
+          x1: pad.left, x2: width - pad.right, y1: y(budget), y2: y(budget),
+          stroke: color, class: 'budget'
+        })).appendChild(element('title', {}, `${item.label} budget: ${format(budget, metric.unit)}`));
+      }
+      svg.appendChild(element('polyline', {
+        points: points.map(point => `${x(point.time)},${y(point.value)}`).join(' '),
+        stroke: color, class: 'line'
+      }));
+      points.forEach(point => {
+        const overBudget = budget !== undefined && (metric.higherIsBetter ? point.value < budget : point.value > budget);
+        svg.appendChild(element('circle', {
+          cx: x(point.time), cy: y(point.value), r: 3, fill: overBudget ? '#dc2626' : color
+        })).appendChild(element('title', {}, `${item.label}: ${format(point.value, metric.unit)} (${new Date(point.time).toLocaleString()}${point.commit ? `, commit ${point.commit}` : ''})`));
+      });
+    });
+
+    return svg;
+  }
+
+  function render() {
+    const suffix = suffixSelect.value;
+    const page = pageSelect.value;
+    const fromInput = document.getElementById('filter-from').value;
+    const toInput = document.getElementById('filter-to').value;
+    const from = fromInput ? Date.parse(`${fromInput}T00:00:00`) : -Infinity;
+    const to = toInput ? Date.parse(`${toInput}T23:59:59.999`) : Infinity;
+
+    const visible = data.series.filter(item => (suffix === '*' || item.suffix === suffix) && (page === '*' || item.page === page));
+    const container = document.getElementById('pages');
+    container.innerHTML = '';
+
+    [...new Set(visible.map(item => item.page))].forEach(pageName => {
+      const pageSeries = visible.filter(item => item.page === pageName);
+      const section = document.createElement('section');
+      const heading = document.createElement('h2');
+      heading.textContent = pageName;
+      section.appendChild(heading);
+
+      const legend = document.createElement('p');
+      legend.className = 'legend';
+      pageSeries.forEach(item => {
+        const entry = document.createElement('span');
+        entry.innerHTML = `<i style="background:${colorOf(item.label)}"></i>`;
+        entry.appendChild(document.createTextNode(`${item.label}${item.group ? ` (${item.group})` : ''}`));
+        legend.appendChild(entry);
+      });
+      section.appendChild(legend);
+
+      const grid = document.createElement('div');
+      grid.className = 'grid';
+      data.metrics.forEach(metric => {
+        const chart = drawChart(metric, pageSeries, from, to);
+        if (!chart) return;
+        const figure = document.createElement('figure');
+        const caption = document.createElement('figcaption');
+        caption.textContent = `${metric.description}${metric.unit ? ` (${metric.unit})` : ''}`;
+        figure.appendChild(caption);
+        figure.appendChild(chart);
+        grid.appendChild(figure);
+      });
+      section.appendChild(grid);
+      container.appendChild(section);
+    });
+
+    if (!container.hasChildNodes()) {
+      container.textContent = 'No history entries match the filters.';
+    }
+  }
+
+  document.querySelectorAll('.filters select, .filters input').forEach(control => control.addEventListener('change', render));
+  render();
+}
+
+/**
+ * Render the dashboard HTML
+ *
+ * @param {Object} trendData - Result of collectTrendData
+ * @returns {string} - HTML document
+ */
+function renderTrendDashboard(trendData) {
+  // Keep the embedded JSON from closing the script element
+  const json = JSON.stringify(trendData).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Performance Trend Dashboard</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 24px; color: #1f2937; background: #f9fafb; }
+    h1 { margin-bottom: 4px; }
+    .generated { color: #6b7280; margin-top: 0; }
+    .filters { display: flex; gap: 16px; flex-wrap: wrap; padding: 12px; background: #fff; border: 1px solid #e5e7eb; border-radius: 6px; }
+    .filters label { display: flex; flex-direction: column; font-size: 12px; color: #4b5563; gap: 4px; }
+    section { margin-top: 24px; padding: 16px; background: #fff; border: 1px solid #e5e7eb; border-radius: 6px; }
+    section h2 { margin: 0 0 8px; }
+    .legend span { margin-right: 16px; font-size: 13px; }
+    .legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; border-radius: 2px; vertical-align: middle; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(420px, 1fr)); gap: 16px; }
+    figure { margin: 0; }
+    figcaption { font-weight: 600; font-size: 14px; margin-bottom: 4px; }
+    .chart { width: 100%; height: auto; }
+    .axis { stroke: #9ca3af; }
+    .tick { font-size: 10px; fill: #6b7280; }
+    .line { fill: none; stroke-width: 2; }
+    .budget { stroke-dasharray: 6 4; stroke-width: 1.5; opacity: 0.7; }
+  </style>
+</head>
+<body>
+  <h1>Performance Trend Dashboard</h1>
+  <p class="generated">Generated ${new Date().toLocaleString()} from ${trendData.series.length} history file(s). Dashed lines are budgets; red points are over budget.</p>
+  <div class="filters">
+    <label>History suffix (network condition)
+      <select id="filter-suffix"><option value="*">All</option></select>
+    </label>
+    <label>Page
+      <select id="filter-page"><option value="*">All</option></select>
+    </label>
+    <label>From <input type="date" id="filter-from"></label>
+    <label>To <input type="date" id="filter-to"></label>
+  </div>
+  <div id="pages"></div>
+  <script type="application/json" id="trend-data">${json}</script>
+  <script>(${dashboardScript.toString()})();</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate the trend dashboard from all history files
+ *
+ * @param {Object} [options] - Options for collectTrendData, plus outputPath
+ * @param {string} [options.outputPath] - Path of the dashboard HTML file
+ * @returns {string|null} - Path of the dashboard, or null when there is no history yet
+ */
+function generateTrendDashboard(options = {}) {
+  const { outputPath = DEFAULT_OUTPUT_PATH, ...collectOptions } = options;
+  const trendData = collectTrendData(collectOptions);
+  if (trendData.series.length === 0) {
+    return null;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, renderTrendDashboard(trendData));
+  return outputPath;
+}
+
+module.exports = {
+  collectTrendData,
+  renderTrendDashboard,
+  generateTrendDashboard
+};
+
+// Allow generating the dashboard from the command line
+if (require.main === module) {
+  const dashboardPath = generateTrendDashboard();
+  console.log(dashboardPath ? `Trend dashboard saved to: ${dashboardPath}` : 'No metrics history found, no trend dashboard generated');
+}
@@ -0,0 +1,391 @@
+/**
+ * Lighthouse User Flows
+ * =====================
+ *
+ * This module runs multi-step Lighthouse user flows on top of an audit session.
+ * A journey is described as an ordered list of Playwright steps, and every step
+ * produces its own Lighthouse result:
+ *
+ * - navigation: a full page load, either to a URL or triggered by an action
+ *   (for example submitting a login form)
+ * - timespan: measures everything that happens while the action runs
+ *   (for example opening a lesson or filling in a form)
+ * - snapshot: audits the current state of the page without any interaction
+ *
+ * The Lighthouse settings (device mode, throttling, categories) are built with
+ * configurePlayAudit, so flows are measured the same way as single-page audits,
+ * and reports are written next to them in the reports directory. With captureTrace
+ * (or CAPTURE_TRACE=1) the performance trace of every navigation and timespan step
+ * is saved next to its step report, with a summary of its main-thread long tasks.
+ *
+ * Typical journey definition:
+ *
+ *   {
+ *     name: 'signup',
+ *     steps: [
+ *       { type: 'navigation', name: 'Open signup page', url: urls.signup },
+ *       { type: 'timespan', name: 'Fill in form', action: async page => {
+ *         await page.fill('#email', 'user@example.com');
+ *         await page.click('button[type=submit]');
+ *       } },
+ *       { type: 'snapshot', name: 'Confirmation' }
+ *     ]
+ *   }
+ */
+
+const path = require('path');
+const fs = require('fs');
+const puppeteer = require('puppeteer-core');
+const { startFlow, generateReport } = require('lighthouse');
+const {
+  configurePlayAudit,
+  extractMetricsFromLighthouse
+} = require('../../utils');
+const { withAuditSession } = require('./audit-session');
+const { loadAuthConfig, getAuthLighthouseSettings } = require('./auth');
+const { isTraceCaptureEnabled, saveTraceWithLongTasks, logLongTaskSummary } = require('./trace-analysis');
+const { getRunContext } = require('./run-metadata');
+
+const STEP_TYPES = ['navigation', 'timespan', 'snapshot'];
+
+// Metrics that Lighthouse can measure outside of a full page load
+const INTERACTION_METRICS = {
+  totalBlockingTime: 'total-blocking-time',
+  cumulativeLayoutShift: 'cumulative-layout-shift',
+  interactionToNextPaint: 'interaction-to-next-paint'
+};
+
+/**
+ * Validate a journey definition before any browser is launched
+ *
+ * @param {Object} journey - Journey definition with name and steps
+ * @throws {Error} - If the journey or one of its steps is invalid
+ */
+function validateJourney(journey) {
+  if (!journey || !journey.name) {
+    throw new Error('User flow journey must have a name');
+  }
+  if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+    throw new Error(`User flow "${journey.name}" must define at least one step`);
+  }
+
+  journey.steps.forEach((step, index) => {
+    const label = `User flow "${journey.name}" step ${index + 1}`;
+    if (!STEP_TYPES.includes(step.type)) {
+      throw new Error(`${label} has unknown type "${step.type}". Expected one of: ${STEP_TYPES.join(', ')}`);
+    }
+    if (step.type === 'navigation' && !step.url && typeof step.action !== 'function') {
+      throw new Error(`${label} is a navigation and needs a url or an action`);
+    }
+    if (step.type === 'timespan' && typeof step.action !== 'function') {
+      throw new Error(`${label} is a timespan and needs an action`);
+    }
+  });
+}
+
+/**
+ * Find the Puppeteer page that drives the same tab as a Playwright page
+ *
+ * Lighthouse user flows need a Puppeteer page, while journeys are written with
+ * Playwright. Both are connected to the same Chromium instance through the debugging
+ * port, so the tab is identified by a marker written with Playwright.
+ *
+ * @param {Object} browser - Puppeteer browser connected to the debugging port
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Puppeteer page for the same tab
+ */
+async function findPuppeteerPage(browser, page) {
+  const marker = `user-flow-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  await page.evaluate(value => { window.name = value; }, marker);
+
+  const candidates = await browser.pages();
+  for (const candidate of candidates) {
+    const name = await candidate.evaluate(() => window.name).catch(() => null);
+    if (name === marker) {
+      return candidate;
+    }
+  }
+
+  throw new Error('Could not find the audited tab through the debugging port');
+}
+
+/**
+ * Extract metrics from a single user flow step
+ *
+ * Navigation steps expose the full metric set. Timespan and snapshot steps only
+ * contain the metrics Lighthouse can measure in that mode.
+ *
+ * @param {Object} lhr - Lighthouse result of the step
+ * @returns {Object} - Metrics of the step
+ */
+function extractFlowStepMetrics(lhr) {
+  if (lhr.gatherMode === 'navigation') {
+    return extractMetricsFromLighthouse(lhr);
+  }
+
+  const metrics = {};
+  Object.entries(INTERACTION_METRICS).forEach(([key, auditId]) => {
+    const audit = lhr.audits[auditId];
+    if (audit && typeof audit.numericValue === 'number') {
+      metrics[key] = audit.numericValue;
+    }
+  });
+  return metrics;
+}
+
+/**
+ * Extract the category scores of a step
+ *
+ * Categories without a score in the step's mode are left out.
+ *
+ * @param {Object} lhr - Lighthouse result of the step
+ * @returns {Object} - Category scores (0-100) keyed by category id
+ */
+function extractFlowStepScores(lhr) {
+  return Object.fromEntries(
+    Object.entries(lhr.categories || {})
+      .filter(([, category]) => category.score !== null && category.score !== undefined)
+      .map(([categoryId, category]) => [categoryId, category.score * 100])
+  );
+}
+
+/**
+ * Compare the category scores of a step with thresholds
+ *
+ * Categories without a score in the step's mode are skipped.
+ *
+ * @param {Object} lhr - Lighthouse result of the step
+ * @param {Object} thresholds - Category thresholds (0-100)
+ * @returns {Array<string>} - Threshold violations in playAudit message format
+ */
+function checkStepThresholds(lhr, thresholds = {}) {
+  const errors = [];
+
+  Object.entries(thresholds).forEach(([categoryId, threshold]) => {
+    const category = lhr.categories && lhr.categories[categoryId];
+    if (!category || category.score === null || category.score === undefined) {
+      return;
+    }
+    const score = category.score * 100;
+    if (threshold > score) {
+      errors.push(`${categoryId} record is ${score} and is under the ${threshold} threshold`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Convert a step name into a report file name segment
+ *
+ * @param {string} name - Step name
+ * @returns {string} - Lowercase, dash separated name
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Get the report file name (without extension) of a flow step
+ *
+ * @param {string} flowName - Report name of the flow
+ * @param {string} stepName - Step name
+ * @param {number} index - Zero-based step index
+ * @returns {string} - File name such as "signup-step-2-fill-in-form"
+ */
+function getStepReportName(flowName, stepName, index) {
+  return `${flowName}-step-${index + 1}-${slugify(stepName)}`;
+}
+
+/**
+ * Write the flow report and the per-step reports
+ *
+ * The per-step reports use the same formats as configurePlayAudit reports, so each
+ * step can be opened like a regular Lighthouse report. The JSON flow result also
+ * records the run context (commit, versions, throttling and config hash).
+ *
+ * @param {Object} flow - Lighthouse user flow
+ * @param {Object} flowResult - Result of flow.createFlowResult()
+ * @param {Object} reports - Reports configuration from configurePlayAudit
+ * @returns {Promise<Object>} - Paths of the written flow and step reports
+ */
+async function writeFlowReports(flow, flowResult, reports) {
+  const { directory, name, formats } = reports;
+  fs.mkdirSync(directory, { recursive: true });
+
+  const flowReportPath = path.join(directory, `${name}-flow.html`);
+  fs.writeFileSync(flowReportPath, await flow.generateReport());
+  const flowResultPath = path.join(directory, `${name}-flow.json`);
+  const runContext = getRunContext(flowResult.steps[0]?.lhr);
+  fs.writeFileSync(flowResultPath, JSON.stringify({ ...flowResult, runContext }, null, 2));
+
+  const stepReports = flowResult.steps.map((step, index) => {
+    const baseName = getStepReportName(name, step.name, index);
+    return Object.keys(formats)
+      .filter(format => formats[format])
+      .map(format => {
+        const reportPath = path.join(directory, `${baseName}.${format}`);
+        fs.writeFileSync(reportPath, generateReport(step.lhr, format));
+        return reportPath;
+      });
+  });
+
+  return { flowReportPath, flowResultPath, stepReports };
+}
+
+/**
+ * Save the performance trace of every flow step next to its step report
+ *
+ * Snapshot steps do not record a trace and get null.
+ *
+ * @param {Object} flow - Lighthouse user flow
+ * @param {Object} flowResult - Result of flow.createFlowResult()
+ * @param {Object} reports - Reports configuration from configurePlayAudit
+ * @returns {Array<Object|null>} - Per step: { tracePath, longTasks } or null
+ */
+function writeFlowTraces(flow, flowResult, reports) {
+  const { gatherSteps } = flow.createArtifactsJson();
+
+  return flowResult.steps.map((step, index) => {
+    const trace = gatherSteps[index]?.artifacts?.Trace;
+    if (!trace) {
+      return null;
+    }
+    const tracePath = path.join(reports.directory, `${getStepReportName(reports.name, step.name, index)}.trace.json`);
+    return saveTraceWithLongTasks(trace, tracePath);
+  });
+}
+
+/**
+ * Run a user flow journey and audit every step with Lighthouse
+ *
+ * @param {Object} journey - Journey definition
+ * @param {string} journey.name - Journey name, used for report file names
+ * @param {Array<Object>} journey.steps - Ordered steps ({ type, name, url?, action?, thresholds? })
+ * @param {Object} options - Audit options (same settings as runLighthouseAudit)
+ * @param {string} options.reportsDirectory - Directory to save reports
+ * @param {Object} [options.thresholds] - Category thresholds applied to navigation steps
+ * @param {boolean} [options.mobile=false] - Whether to use mobile emulation
+ * @param {string[]} [options.categories] - Categories to include in the audit
+ * @param {Object} [options.networkSettings] - Network throttling settings
+ * @param {Object} [options.extraSettings] - Additional Lighthouse settings
+ * @param {Object} [options.contextOptions] - Options passed to browser.newContext()
+ * @param {boolean} [options.auth=true] - Whether to apply the environment's auth session
+ * @param {boolean} [options.ignoreError=false] - Do not throw when a threshold is not met
+ * @param {boolean} [options.captureTrace] - Save the step traces (defaults to the CAPTURE_TRACE environment variable)
+ * @returns {Promise<Object>} - Object containing steps (name, type, metrics, scores, errors, trace), reports and flowResult
+ */
+async function runUserFlow(journey, options) {
+  validateJourney(journey);
+  const {
+    contextOptions,
+    auth = true,
+    thresholds = {},
+    ignoreError = false,
+    captureTrace = isTraceCaptureEnabled(),
+    ...auditConfig
+  } = options;
+
+  return withAuditSession(async ({ page, debugPort }) => {
+    const { config, reports } = configurePlayAudit({
+      ...auditConfig,
+      page,
+      debugPort,
+      reportName: journey.name,
+      extraSettings: {
+        ...auditConfig.extraSettings,
+        ...(auth ? getAuthLighthouseSettings() : {})
+      }
+    });
+
+    // Keep the auth session's cookies and storage when Lighthouse navigates
+    const flags = auth && loadAuthConfig() ? { disableStorageReset: true } : {};
+
+    const browser = await puppeteer.connect({
+      browserURL: `http://127.0.0.1:${debugPort}`,
+      defaultViewport: null
+    });
+
+    try {
+      const flowPage = await findPuppeteerPage(browser, page);
+      const flow = await startFlow(flowPage, { name: journey.name, config, flags });
+
+      for (const [index, step] of journey.steps.entries()) {
+        const stepName = step.name || `${step.type} ${index + 1}`;
+        console.log(`User flow "${journey.name}" step ${index + 1}/${journey.steps.length}: ${stepName} (${step.type})`);
+
+        if (step.type === 'navigation') {
+          const requestor = step.url || (() => step.action(page));
+          await flow.navigate(requestor, { name: stepName });
+        } else if (step.type === 'timespan') {
+          await flow.startTimespan({ name: stepName });
+          await step.action(page);
+          await flow.endTimespan();
+        } else {
+          await flow.snapshot({ name: stepName });
+        }
+      }
+
+      const flowResult = await flow.createFlowResult();
+      const reportPaths = await writeFlowReports(flow, flowResult, reports);
+      const traces = captureTrace ? writeFlowTraces(flow, flowResult, reports) : [];
+
+      const steps = flowResult.steps.map((flowStep, index) => {
+        const stepThresholds = journey.steps[index].thresholds ||
+          (flowStep.lhr.gatherMode === 'navigation' ? thresholds : {});
+        return {
+          name: flowStep.name,
+          type: flowStep.lhr.gatherMode,
+          metrics: extractFlowStepMetrics(flowStep.lhr),
+          scores: extractFlowStepScores(flowStep.lhr),
+          errors: checkStepThresholds(flowStep.lhr, stepThresholds),
+          trace: traces[index] || null
+        };
+      });
+
+      const errors = steps.flatMap(step => step.errors.map(error => `${step.name}: ${error}`));
+      if (errors.length > 0 && !ignoreError) {
+        throw new Error(`playwright lighthouse - User flow "${journey.name}" does not match the thresholds.\n\n${errors.join('\n')}`);
+      }
+
+      console.log(`User flow report saved to: ${reportPaths.flowReportPath}`);
+      return { steps, errors, reports: reportPaths, flowResult };
+    } finally {
+      await browser.disconnect();
+    }
+  }, { contextOptions, auth });
+}
+
+/**
+ * Log a summary table of the user flow steps
+ *
+ * Steps with a captured trace are followed by their long-task breakdown.
+ *
+ * @param {Object} result - Result of runUserFlow
+ * @param {string} journeyName - Journey name for the heading
+ */
+function logUserFlowSummary(result, journeyName) {
+  console.log(`\nUser flow summary for ${journeyName}:`);
+  console.table(result.steps.map(step => ({
+    step: step.name,
+    type: step.type,
+    ...step.scores,
+    ...Object.fromEntries(
+      Object.entries(step.metrics).map(([key, value]) => [key, Number(value.toFixed(2))])
+    ),
+    status: step.errors.length > 0 ? 'FAIL' : 'PASS'
+  })));
+
+  result.steps
+    .filter(step => step.trace)
+    .forEach(step => logLongTaskSummary(step.trace.longTasks, `${journeyName} / ${step.name}`));
+}
+
+module.exports = {
+  runUserFlow,
+  validateJourney,
+  extractFlowStepMetrics,
+  extractFlowStepScores,
+  checkStepThresholds,
+  logUserFlowSummary
+};
@@ -0,0 +1,270 @@
+/**
+ * In-Page Web Vitals Collection
+ * =============================
+ *
+ * This module measures Web Vitals inside the page while a Playwright test navigates
+ * and interacts, the way real-user monitoring does, instead of reading lab numbers
+ * from a Lighthouse report. It hooks PerformanceObserver before any page script runs
+ * and reports the metrics together with their attribution:
+ *
+ * - interactionToNextPaint: INP, with the slowest interaction (target, event type,
+ *   input delay, processing time and presentation delay)
+ * - largestContentfulPaint: LCP, with the selector of the LCP element
+ * - cumulativeLayoutShift: CLS (largest session window), with the nodes that shifted
+ * - firstContentfulPaint and timeToFirstByte
+ *
+ * The metrics use the same names and units (milliseconds, unitless CLS) as
+ * extractMetricsFromLighthouse, so they can be saved with saveMetricsToHistory and
+ * checked by detectMetricRegressions. Metrics that could not be measured (for
+ * example INP without any interaction) are null.
+ *
+ * Typical usage:
+ *
+ *   await installWebVitalsCollector(page);
+ *   await page.goto(url);
+ *   await page.click('#open-menu');
+ *   const { metrics, attribution } = await collectWebVitals(page);
+ */
+
+/**
+ * Collector that runs inside the page before any page script
+ *
+ * Stores the raw observations on window.__webVitals; they are only summarized when
+ * collectWebVitals is called, so the collector adds almost no work while the page runs.
+ */
+function webVitalsCollector() {
+  if (window.__webVitals) return;
+
+  const state = {
+    lcp: null,
+    layoutShifts: [],
+    interactions: new Map(),
+    firstContentfulPaint: null
+  };
+  window.__webVitals = state;
+
+  // Short CSS path such as "main > section.hero > img#banner"
+  const describeNode = node => {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    const parts = [];
+    let current = node;
+    while (current && current.nodeType === Node.ELEMENT_NODE && parts.length < 4) {
+      let part = current.tagName.toLowerCase();
+      if (current.id) {
+        parts.unshift(`${part}#${current.id}`);
+        break;
+      }
+      const classes = typeof current.className === 'string'
+        ? current.className.split(/\s+/).filter(Boolean).slice(0, 2)
+        : [];
+      if (classes.length > 0) part += `.${classes.join('.')}`;
+      parts.unshift(part);
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') {
+      state.firstContentfulPaint = entry.startTime;
+    }
+  });
+
+  observe('largest-contentful-paint', entry => {
+    state.lcp = {
+      startTime: entry.startTime,
+      element: describeNode(entry.element),
+      url: entry.url || null,
+      size: entry.size
+    };
+  });
+
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    state.layoutShifts.push({
+      startTime: entry.startTime,
+      value: entry.value,
+      sources: (entry.sources || []).map(source => describeNode(source.node)).filter(Boolean)
+    });
+  });
+
+  // Keep the longest event of every interaction (an interaction is e.g. pointerdown + pointerup + click)
+  const recordInteraction = entry => {
+    if (!entry.interactionId) return;
+    const previous = state.interactions.get(entry.interactionId);
+    if (previous && previous.duration >= entry.duration) return;
+    state.interactions.set(entry.interactionId, {
+      type: entry.name,
+      target: describeNode(entry.target),
+      startTime: entry.startTime,
+      duration: entry.duration,
+      inputDelay: entry.processingStart - entry.startTime,
+      processingDuration: entry.processingEnd - entry.processingStart,
+      presentationDelay: Math.max(0, entry.startTime + entry.duration - entry.processingEnd)
+    });
+  };
+  observe('event', recordInteraction, { durationThreshold: 16 });
+  observe('first-input', recordInteraction);
+}
+
+/**
+ * Install the Web Vitals collector on a page
+ *
+ * Must be called before the page navigates, so the observers see the whole page load.
+ * The collector stays installed for later navigations of the same page.
+ *
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<void>}
+ */
+async function installWebVitalsCollector(page) {
+  await page.addInitScript(webVitalsCollector);
+}
+
+/**
+ * Compute CLS as the largest session window of layout shifts
+ *
+ * A session window groups shifts less than 1 second apart, for at most 5 seconds.
+ *
+ * @param {Array<Object>} layoutShifts - Layout shifts ({ startTime, value, sources })
+ * @returns {{value: number, sources: Array<Object>}} - CLS and the nodes that shifted in the worst window
+ */
+function computeCumulativeLayoutShift(layoutShifts) {
+  let worst = { value: 0, shifts: [] };
+  let current = { value: 0, shifts: [] };
+
+  layoutShifts.forEach(shift => {
+    const first = current.shifts[0];
+    const last = current.shifts[current.shifts.length - 1];
+    if (last && shift.startTime - last.startTime < 1000 && shift.startTime - first.startTime < 5000) {
+      current.value += shift.value;
+      current.shifts.push(shift);
+    } else {
+      current = { value: shift.value, shifts: [shift] };
+    }
+    if (current.value > worst.value) {
+      worst = { value: current.value, shifts: [...current.shifts] };
+    }
+  });
+
+  // Attribute the shift value of every entry to the nodes that moved in it
+  const sources = new Map();
+  worst.shifts.forEach(shift => {
+    shift.sources.forEach(selector => {
+      const source = sources.get(selector) || { selector, value: 0, count: 0 };
+      source.value += shift.value / shift.sources.length;
+      source.count += 1;
+      sources.set(selector, source);
+    });
+  });
+
+  return {
+    value: worst.value,
+    sources: [...sources.values()].sort((a, b) => b.value - a.value)
+  };
+}
+
+/**
+ * Compute INP from the recorded interactions
+ *
+ * Uses the longest interaction, ignoring one outlier for every 50 interactions,
+ * which approximates the 98th percentile used by browsers.
+ *
+ * @param {Array<Object>} interactions - Interactions (longest event of each)
+ * @returns {Object|null} - Slowest counted interaction, or null without interactions
+ */
+function computeInteractionToNextPaint(interactions) {
+  if (interactions.length === 0) {
+    return null;
+  }
+  const sorted = [...interactions].sort((a, b) => b.duration - a.duration);
+  return sorted[Math.min(sorted.length - 1, Math.floor(interactions.length / 50))];
+}
+
+/**
+ * Collect the Web Vitals measured since the page was loaded
+ *
+ * @param {Object} page - Playwright page with the collector installed
+ * @returns {Promise<Object>} - { metrics, attribution } where metrics uses the history metric names
+ * @throws {Error} - If installWebVitalsCollector was not called before the page loaded
+ */
+async function collectWebVitals(page) {
+  // Let pending paints and event timing entries arrive before reading them
+  await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0))));
+
+  const raw = await page.evaluate(() => {
+    const state = window.__webVitals;
+    if (!state) return null;
+    const navigation = performance.getEntriesByType('navigation')[0];
+    return {
+      lcp: state.lcp,
+      layoutShifts: state.layoutShifts,
+      interactions: [...state.interactions.values()],
+      firstContentfulPaint: state.firstContentfulPaint,
+      timeToFirstByte: navigation ? navigation.responseStart : null
+    };
+  });
+
+  if (!raw) {
+    throw new Error('Web Vitals collector is not installed. Call installWebVitalsCollector before navigating.');
+  }
+
+  const cls = computeCumulativeLayoutShift(raw.layoutShifts);
+  const inp = computeInteractionToNextPaint(raw.interactions);
+
+  return {
+    metrics: {
+      largestContentfulPaint: raw.lcp ? raw.lcp.startTime : null,
+      cumulativeLayoutShift: cls.value,
+      interactionToNextPaint: inp ? inp.duration : null,
+      firstContentfulPaint: raw.firstContentfulPaint,
+      timeToFirstByte: raw.timeToFirstByte
+    },
+    attribution: {
+      largestContentfulPaint: raw.lcp,
+      cumulativeLayoutShift: { sources: cls.sources },
+      interactionToNextPaint: inp ? { ...inp, interactionCount: raw.interactions.length } : null
+    }
+  };
+}
+
+/**
+ * Log collected Web Vitals and their attribution to console
+ *
+ * @param {Object} webVitals - Result of collectWebVitals
+ * @param {string} pageName - Name of the page
+ */
+function logWebVitals(webVitals, pageName) {
+  const { metrics, attribution } = webVitals;
+  const format = (value, unit = 'ms') => (value === null ? 'n/a' : `${value.toFixed(unit ? 0 : 3)}${unit}`);
+
+  console.log(`\nIn-page Web Vitals for ${pageName}:`);
+  console.log(`- LCP: ${format(metrics.largestContentfulPaint)}${attribution.largestContentfulPaint?.element ? ` (${attribution.largestContentfulPaint.element})` : ''}`);
+  console.log(`- CLS: ${format(metrics.cumulativeLayoutShift, '')}`);
+  attribution.cumulativeLayoutShift.sources.slice(0, 5).forEach(source => {
+    console.log(`  - ${source.selector}: ${source.value.toFixed(3)} (${source.count} shift(s))`);
+  });
+  const inp = attribution.interactionToNextPaint;
+  console.log(`- INP: ${format(metrics.interactionToNextPaint)}${inp ? ` (${inp.type} on ${inp.target || 'unknown target'}, ${inp.interactionCount} interaction(s))` : ''}`);
+  if (inp) {
+    console.log(`  - input delay ${inp.inputDelay.toFixed(0)}ms, processing ${inp.processingDuration.toFixed(0)}ms, presentation ${inp.presentationDelay.toFixed(0)}ms`);
+  }
+  console.log(`- FCP: ${format(metrics.firstContentfulPaint)}`);
+  console.log(`- TTFB: ${format(metrics.timeToFirstByte)}`);
+}
+
+module.exports = {
+  installWebVitalsCollector,
+  collectWebVitals,
+  computeCumulativeLayoutShift,
+  computeInteractionToNextPaint,
+  logWebVitals
+};
@@ -41,7 +41,6 @@
  */
 
 const { test, expect } = require('@playwright/test');
-const { playAudit } = require('playwright-lighthouse');
 const fs = require('fs');
 const path = require('path');
 const { 
@@ -49,30 +48,34 @@ const {
   setupBrowserForAudit, 
   saveAuditReport,
   extractAccessibilityMetrics,
+  checkAccessibilityBudgets,
   generateAccessibilityRecommendations,
   logAccessibilityRecommendations
 } = require('../../helpers/accessibility-helpers');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
 const { generateHtmlReport } = require('../../helpers/report-generator');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
 
 // Load test configuration
-const { performanceThresholds, accessibilityThresholds, pagesToTest } = loadTestConfig();
+const { pagesToTest } = loadTestConfig();
 
 // Create reports directory
 const reportsDirectory = createReportsDirectory('accessibility', 'audit');
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Accessibility audit: ${pageConfig.name}`, async ({ page }) => {
+  test(`Accessibility audit: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async ({ page }) => {
     // Increase timeout for Lighthouse tests (5 minutes)
     test.setTimeout(300000);
     
     // Setup browser for audit
-    const { browser, context, page: auditPage, debugPort } = await setupBrowserForAudit();
+    const { page: auditPage, debugPort, close } = await setupBrowserForAudit({ device: pageConfig.device });
     
     try {
       // Navigate to the page
@@ -85,17 +88,19 @@ for (const pageConfig of pagesToTest) {
       console.log(`Starting Lighthouse accessibility audit with port ${debugPort}...`);
       
       // Run Lighthouse audit
-      const { lhr } = await runLighthouseAudit(auditPage, debugPort, {
+      const { lhr, reports, errors } = await runLighthouseAudit(auditPage, debugPort, {
         thresholds: {
           performance: 0,  // We're not focusing on performance in this test
-          accessibility: performanceThresholds.accessibility, // Use the accessibility threshold from config
+          accessibility: pageConfig.accessibilityThresholds['accessibility-score'], // Accessibility score budget of the page group (accessibility_budgets)
           'best-practices': 0, // We're not focusing on best practices in this test
           seo: 0, // We're not focusing on SEO in this test
           pwa: 0 // We're not focusing on PWA in this test
         },
+        ignoreError: true, // Asserted after the results are attached
         reportName: `${pageConfig.name}-accessibility-audit`,
         reportsDirectory,
         mobile: false, // Use desktop mode for initial accessibility testing
+        device: pageConfig.device, // Device of a DEVICE_MATRIX run (overrides mobile)
         categories: ['accessibility'], // Only focus on accessibility category
         extraSettings: {
           maxWaitForLoad: 30000
@@ -117,6 +122,12 @@ for (const pageConfig of pagesToTest) {
         }
       });
       
+      // Check the audit scores against the accessibility budgets of the page group
+      const budgetFailures = checkAccessibilityBudgets(accessibilityMetrics, pageConfig.accessibilityThresholds);
+      budgetFailures.forEach(failure => {
+        console.log(`- Accessibility budget missed: ${failure.title} scored ${failure.score}, budget ${failure.budget}`);
+      });
+      
       // Generate and log accessibility recommendations
       const recommendations = generateAccessibilityRecommendations(accessibilityMetrics);
       logAccessibilityRecommendations(recommendations);
@@ -128,23 +139,45 @@ for (const pageConfig of pagesToTest) {
         timestamp: new Date().toISOString(),
         accessibilityScore: accessibilityMetrics['accessibility-score'],
         detailedMetrics: accessibilityMetrics,
-        recommendations
+        recommendations,
+        runContext: getRunContext(lhr)
       };
       saveAuditReport(reportPath, reportData);
       
       // Generate HTML report
       generateHtmlReport(reportData, reportPath, 'audit');
       
+      // Show the score, recommendations and reports in the per-spec report
+      await attachAuditResults({
+        url: pageConfig.url,
+        scores: { accessibility: accessibilityMetrics['accessibility-score'] },
+        recommendations: [
+          ...errors.map(error => ({ title: error, priority: 'fail' })),
+          ...budgetFailures.map(failure => ({
+            title: `Accessibility budget missed: ${failure.title}`,
+            priority: 'fail',
+            description: `Scored ${failure.score}, budget ${failure.budget} (${failure.audit})`
+          })),
+          ...recommendations
+        ],
+        reports: lighthouseReportLinks(reports, [
+          { label: 'Detailed report', path: reportPath.replace('.json', '.html') },
+          { label: 'Detailed report (JSON)', path: reportPath }
+        ])
+      });
+      
+      // Assert the accessibility score and audits against the budgets
+      expect(errors, 'Category scores under the thresholds').toEqual([]);
+      expect(budgetFailures.map(failure => failure.audit), 'Accessibility audits under their budgets').toEqual([]);
+      
       console.log(`\nDetailed accessibility report saved to: ${reportPath}`);
       
     } catch (error) {
       console.error(`Error running accessibility audit for ${pageConfig.url}:`, error);
       throw error;
     } finally {
-      // Always close the page, context, and browser to clean up resources
-      await auditPage.close();
-      await context.close();
-      await browser.close();
+      // Always close the audit session to clean up resources
+      await close();
     }
   });
 }
@@ -33,27 +33,30 @@ const {
 } = require('../../helpers/accessibility-helpers');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
 const { generateHtmlReport } = require('../../helpers/report-generator');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
 
 // Load test configuration
-const { performanceThresholds, accessibilityThresholds, pagesToTest } = loadTestConfig();
+const { pagesToTest } = loadTestConfig();
 
 // Create reports directory
 const reportsDirectory = createReportsDirectory('accessibility', 'comprehensive');
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Comprehensive accessibility test: ${pageConfig.name}`, async ({ page }) => {
+  test(`Comprehensive accessibility test: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async ({ page }) => {
     // Increase timeout for comprehensive tests (10 minutes)
     test.setTimeout(600000);
     
     console.log(`Starting comprehensive accessibility test for: ${pageConfig.url}`);
     
     // Setup browser for Lighthouse audit
-    const { browser, context, page: auditPage, debugPort } = await setupBrowserForAudit();
+    const { browser, context, page: auditPage, debugPort } = await setupBrowserForAudit({ device: pageConfig.device });
     
     try {
       // Navigate to the page
@@ -62,17 +65,19 @@ for (const pageConfig of pagesToTest) {
       
       // 1. Run Lighthouse accessibility audit
       console.log('Running Lighthouse accessibility audit...');
-      const { lhr } = await runLighthouseAudit(auditPage, debugPort, {
+      const { lhr, reports, errors } = await runLighthouseAudit(auditPage, debugPort, {
         thresholds: {
           performance: 0,
-          accessibility: performanceThresholds.accessibility,
+          accessibility: pageConfig.accessibilityThresholds['accessibility-score'],
           'best-practices': 0,
           seo: 0,
           pwa: 0
         },
+        ignoreError: true, // Asserted after the results are attached
         reportName: `${pageConfig.name}-comprehensive-accessibility`,
         reportsDirectory,
         mobile: false,
+        device: pageConfig.device,
         categories: ['accessibility'],
         extraSettings: {
           maxWaitForLoad: 30000
@@ -135,7 +140,8 @@ for (const pageConfig of pagesToTest) {
         },
         formAccessibility: formResults,
         metrics: accessibilityMetrics,
-        recommendations
+        recommendations,
+        runContext: getRunContext(lhr)
       };
       
       // Save comprehensive report
@@ -145,6 +151,23 @@ for (const pageConfig of pagesToTest) {
       // Generate HTML report
       generateHtmlReport(report, reportPath, 'comprehensive');
       
+      // Show the results in the per-spec report
+      await attachAuditResults({
+        url: pageConfig.url,
+        metrics: {
+          focusableElements: keyboardResults.focusableElementsCount,
+          elementsWithVisibleFocus: keyboardResults.elementsWithVisibleFocus,
+          formControls: formResults.controlCount,
+          formControlsWithoutLabels: formResults.controlsWithoutLabels
+        },
+        scores: { accessibility: accessibilityMetrics['accessibility-score'] },
+        recommendations: [...errors.map(error => ({ title: error, priority: 'fail' })), ...recommendations],
+        reports: lighthouseReportLinks(reports, [
+          { label: 'Comprehensive report', path: reportPath.replace('.json', '.html') },
+          { label: 'Comprehensive report (JSON)', path: reportPath }
+        ])
+      });
+      
       // Log results
       console.log(`\nComprehensive Accessibility Results for ${pageConfig.name}:`);
       console.log(`- Lighthouse Accessibility Score: ${accessibilityMetrics['accessibility-score'].toFixed(1)}/100`);
@@ -162,7 +185,7 @@ for (const pageConfig of pagesToTest) {
       console.log(`\nComprehensive report saved to: ${reportPath}`);
       
       // Assertions
-      expect(accessibilityMetrics['accessibility-score']).toBeGreaterThanOrEqual(performanceThresholds.accessibility);
+      expect(accessibilityMetrics['accessibility-score']).toBeGreaterThanOrEqual(pageConfig.accessibilityThresholds['accessibility-score']);
       
     } catch (error) {
       console.error(`Error running comprehensive accessibility test for ${pageConfig.url}:`, error);
@@ -31,10 +31,14 @@ const fs = require('fs');
 const path = require('path');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
+  applyDeviceProfile,
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
 const { generateHtmlReport } = require('../../helpers/report-generator');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { detectKeyboardTrap } = require('../../helpers/accessibility-helpers');
 
 // Load test configuration
 const { pagesToTest } = loadTestConfig();
@@ -44,9 +48,10 @@ const reportsDirectory = createReportsDirectory('accessibility', 'keyboard');
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Keyboard navigation test: ${pageConfig.name}`, async ({ page }) => {
+  test(`Keyboard navigation test: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async ({ page }) => {
     // Navigate to the page
     console.log(`Testing keyboard navigation for: ${pageConfig.url}`);
+    await applyDeviceProfile(page, pageConfig.device);
     await navigateWithRetry(page, pageConfig.url);
     
     // Wait for the page to be fully loaded
@@ -99,117 +104,12 @@ for (const pageConfig of pagesToTest) {
     console.log(`Found ${interactiveElements.length} interactive elements`);
     
     // 2. Test keyboard navigation
-    await page.keyboard.press('Tab');
-    
-    let focusedElements = [];
-    let previousElement = null;
-    let potentialKeyboardTrap = false;
-    let consecutiveSameElementCount = 0;
-    let keyboardTrapElement = null;
     const maxTabPresses = Math.min(interactiveElements.length * 2, 100); // Safety limit
-    
-    for (let i = 0; i < maxTabPresses; i++) {
-      // Get the currently focused element
-      const focusedElement = await page.evaluate(() => {
-        const active = document.activeElement;
-        if (!active || active === document.body) return null;
-        
-        return {
-          tagName: active.tagName.toLowerCase(),
-          type: active.getAttribute('type'),
-          role: active.getAttribute('role'),
-          text: active.textContent.trim().substring(0, 50),
-          id: active.id,
-          className: active.className,
-          tabIndex: active.getAttribute('tabindex')
-        };
-      });
-      
-      if (focusedElement) {
-        // Check if we're stuck on the same element (potential keyboard trap)
-        if (previousElement && 
-            previousElement.tagName === focusedElement.tagName && 
-            previousElement.text === focusedElement.text &&
-            previousElement.id === focusedElement.id) {
-          consecutiveSameElementCount++;
-          if (consecutiveSameElementCount > 3) {
-            potentialKeyboardTrap = true;
-            keyboardTrapElement = focusedElement;
-            
-            // Get more detailed selector for the trapped element
-            const trapElementDetails = await page.evaluate(() => {
-              const active = document.activeElement;
-              if (!active || active === document.body) return null;
-              
-              // Try to get a CSS selector for the element
-              let selector = '';
-              
-              // Add tag
-              selector += active.tagName.toLowerCase();
-              
-              // Add id if available
-              if (active.id) {
-                selector += `#${active.id}`;
-              }
-              
-              // Add some classes if available
-              if (active.className && typeof active.className === 'string') {
-                const classes = active.className.split(' ')
-                  .filter(c => c.trim() !== '')
-                  .slice(0, 2); // Take at most 2 classes to keep selector reasonable
-                
-                if (classes.length > 0) {
-                  selector += '.' + classes.join('.');
-                }
-              }
-              
-              // Try to get parent context
-              let parent = active.parentElement;
-              let parentInfo = '';
-              if (parent) {
-                parentInfo = parent.tagName.toLowerCase();
-                if (parent.id) parentInfo += `#${parent.id}`;
-              }
-              
-              // Get computed styles that might be relevant
-              const styles = window.getComputedStyle(active);
-              const position = styles.position;
-              const display = styles.display;
-              const visibility = styles.visibility;
-              
-              return {
-                selector,
-                parentInfo,
-                position,
-                display,
-                visibility,
-                outerHTML: active.outerHTML.substring(0, 300) // Limit length
-              };
-            });
-            
-            console.warn('Potential keyboard trap detected!');
-            console.warn(`Trapped element: ${focusedElement.tagName}${focusedElement.id ? '#'+focusedElement.id : ''}`);
-            if (trapElementDetails) {
-              console.warn(`Selector: ${trapElementDetails.selector}`);
-              console.warn(`Parent: ${trapElementDetails.parentInfo}`);
-              console.warn(`CSS properties: position=${trapElementDetails.position}, display=${trapElementDetails.display}`);
-              console.warn(`Element HTML: ${trapElementDetails.outerHTML}`);
-            }
-            
-            break;
-          }
-        } else {
-          consecutiveSameElementCount = 0;
-        }
-        
-        focusedElements.push(focusedElement);
-        previousElement = focusedElement;
-      }
-      
-      // Press Tab to move to the next element
-      await page.keyboard.press('Tab');
-      await page.waitForTimeout(100); // Small delay to ensure focus changes
-    }
+    const {
+      focusedElements,
+      potentialKeyboardTrap,
+      keyboardTrapElement
+    } = await detectKeyboardTrap(page, maxTabPresses);
     
     // 3. Test focus visibility
     const focusVisibilityResults = await page.evaluate(() => {
@@ -281,7 +181,8 @@ for (const pageConfig of pagesToTest) {
       keyboardTrapElement: keyboardTrapElement,
       hasSkipLinks,
       focusVisibilityResults,
-      recommendations: []
+      recommendations: [],
+      runContext: getRunContext()
     };
     
     // Generate recommendations
@@ -28,10 +28,13 @@ const fs = require('fs');
 const path = require('path');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory,
+  applyDeviceProfile,
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
 const { generateHtmlReport } = require('../../helpers/report-generator');
+const { getRunContext } = require('../../helpers/run-metadata');
 
 // Load test configuration
 const { pagesToTest } = loadTestConfig();
@@ -520,11 +523,12 @@ async function findVisibleOverlays(page) {
 
 // Run tests for each page
 for (const pageConfig of pagesToTest) {
-  test(`Navigation keyboard behaviour: ${pageConfig.name}`, async ({ page }) => {
+  test(`Navigation keyboard behaviour: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async ({ page }) => {
     // Increase timeout for keyboard tests
     test.setTimeout(120000); // Increase to 2 minutes
     
     console.log(`Testing keyboard navigation behaviour for: ${pageConfig.url}`);
+    await applyDeviceProfile(page, pageConfig.device);
     await navigateWithRetry(page, pageConfig.url);
     await page.waitForLoadState('domcontentloaded');
     
@@ -541,7 +545,8 @@ for (const pageConfig of pagesToTest) {
       toggleTests: [],
       buttonTests: [],
       escapeTests: [],
-      recommendations: []
+      recommendations: [],
+      runContext: getRunContext()
     };
     
     // 1. Test toggles (buttons that control dropdowns/menus)
@@ -32,10 +32,13 @@ const fs = require('fs');
 const path = require('path');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory,
+  applyDeviceProfile,
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
 const { generateHtmlReport } = require('../../helpers/report-generator');
+const { getRunContext } = require('../../helpers/run-metadata');
 
 // Load test configuration
 const { pagesToTest } = loadTestConfig();
@@ -398,9 +401,10 @@ async function testNotification(page, triggerSelector) {
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Screen reader accessibility test: ${pageConfig.name}`, async ({ page }) => {
+  test(`Screen reader accessibility test: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async ({ page }) => {
     // Navigate to the page
     console.log(`Testing screen reader accessibility for: ${pageConfig.url}`);
+    await applyDeviceProfile(page, pageConfig.device);
     await navigateWithRetry(page, pageConfig.url);
     
     // Wait for the page to be fully loaded
@@ -455,7 +459,8 @@ for (const pageConfig of pagesToTest) {
       liveRegions: liveRegionResults,
       accessibilityTree: accessibilityTreeResults,
       notification: notificationResults,
-      recommendations: []
+      recommendations: [],
+      runContext: getRunContext()
     };
     
     // Generate recommendations
@@ -21,40 +21,53 @@
  * - Cumulative Layout Shift: Must be below maximum (e.g., 0.1)
  * - Speed Index: Must be faster than budget (e.g., 3000ms)
  * - Time to Interactive: Must be faster than budget (e.g., 3500ms)
+ * - Resources: Transferred bytes and request counts per resource type and for
+ *   first-party/third-party traffic must stay within resource_budgets
  * 
  * Features:
- * - Robust browser launch with automatic port finding and retry logic
+ * - Shared audit session with automatic port finding, retry logic and cleanup
  * - Detailed performance history tracking for trend analysis
  * - Comprehensive error handling and resource cleanup
  * - Assertions to validate performance against budgets
  * 
  * How It Works:
  * 1. Loads test URLs from env.json and performance budgets from treshholds.json
- * 2. Finds an available port and launches a browser with debugging capabilities
+ * 2. Opens an audit session (debugging port, browser launch, cleanup) per page
  * 3. Navigates to each page with robust error handling
  * 4. Runs Lighthouse audits with desktop configuration
- * 5. Extracts and validates performance metrics against budgets
- * 6. Saves metrics to history files for trend analysis
- * 7. Fails the test if any metric doesn't meet its budget
+ * 5. Extracts performance metrics, combining LIGHTHOUSE_RUNS runs into a median,
+ *    and validates the median against budgets
+ * 6. Summarizes transferred bytes and requests per resource type and party
+ * 7. Saves metrics and the resource summary to history files for trend analysis
+ * 8. Compares metrics with a rolling baseline (median of recent runs) from history
+ * 9. Fails the test if any metric or resource doesn't meet its budget or regressed beyond its tolerance
  * 
  * @author Viktor Pavlov
  * @version 1.0
  */
 
 const { test, expect } = require('@playwright/test');
-const { playAudit } = require('playwright-lighthouse');
-const fs = require('fs');
 const path = require('path');
 const { 
-  findAvailablePort, 
-  launchBrowserWithDebugPort, 
-  navigateWithRetry,
   ensureReportsDirectory,
   loadConfig,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  buildPagesToTest,
+  getGroupBudgets,
+  pageGroupAnnotation,
   saveMetricsToHistory,
-  configurePlayAudit,
-  extractMetricsFromLighthouse 
+  loadMetricsHistory,
+  detectMetricRegressions,
+  logRegressionReport,
+  logAggregatedMetrics,
+  extractResourceSummary,
+  checkResourceBudgets,
+  logResourceSummary,
+  generatePerformanceRecommendations
 } = require('../../../utils');
+const { runAuditSession } = require('../../helpers/audit-session');
+const { attachAuditResults, lighthouseReportLinks, regressionRecommendations } = require('../../helpers/audit-results');
 
 // Create reports directory if it doesn't exist
 const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'performance'));
@@ -63,100 +76,111 @@ const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..',
 const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
 const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
 
-const performanceBudgets = loadConfig(thresholdsPath, 'performanceBudgets');
-const urls = loadConfig(envPath, 'prod_urls');
+const thresholdsConfig = loadConfig(thresholdsPath);
+const regressionBudgets = thresholdsConfig.regression_budgets;
+const urls = loadEnvironmentUrls(envPath);
 
-// Run tests for each URL in the env.json file
-if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
-  throw new Error(
-    `Invalid or missing URL configuration. Expected an object map at property "prod_urls" in ${envPath}. ` +
-    `Example: {"prod_urls": {"homepage": "https://example.com/", "about": "https://example.com/about"}}. ` +
-    `Create/repair test_data/env.json (you can copy from test_data/env.template.json).`
-  );
-}
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
 
-for (const [pageName, pageUrl] of Object.entries(urls)) {
-  test(`detailed performance audit for ${pageName}`, async () => {
-  // Increase timeout for Lighthouse tests (5 minutes)
-  test.setTimeout(300000);
-    
-  // Find an available port and launch browser
-  let debugPort = await findAvailablePort();
-  console.log(`Using available debugging port ${debugPort} for ${pageName}`);
-  
-  // Launch browser with debugging port
-  const { browser: chromiumBrowser } = await launchBrowserWithDebugPort(debugPort);
-  
-  // Create a new browser context and page
-  const context = await chromiumBrowser.newContext();
-  const page = await context.newPage();
-  
-  // Navigate to the page from env.json
-  console.log(`Testing performance for: ${pageName} at ${pageUrl}`);
-  await navigateWithRetry(page, pageUrl);
-  
-  // Run Lighthouse audit and get the report
-  console.log(`Starting Lighthouse audit for ${pageName} with port ${debugPort}...`);
-  
-  try {
-    // Configure and run Lighthouse audit
-    const auditOptions = configurePlayAudit({
-      page,
-      debugPort,
-      thresholds: {
-        performance: performanceBudgets.performance,
-        accessibility: performanceBudgets.accessibility,
-        'best-practices': performanceBudgets['best-practices'],
-        seo: performanceBudgets.seo,
-      },
-      reportName: `detailed-performance-audit-${pageName}`,
-      reportsDirectory,
-      mobile: false, // Use desktop mode for this test
-      extraSettings: {
-        maxWaitForLoad: 30000 // 30 seconds max wait
-      }
-    });
-    
-    // Run the audit with the configured options
-    const { lhr } = await playAudit(auditOptions);
-    
-    console.log(`Lighthouse audit completed for ${pageName}`);
-    
-    // Extract key metrics using the utility function
-    const metrics = extractMetricsFromLighthouse(lhr);
-  
-    console.log(`Performance Metrics for ${pageName}:`, metrics);
+// Run tests for each URL of the target environment
+for (const { name: pageName, url: pageUrl, group, device } of pagesToTest) {
+  test(`detailed performance audit for ${pageName}`, { annotation: pageGroupAnnotation({ group, device }) }, async () => {
+    // Increase timeout for Lighthouse tests (5 minutes)
+    test.setTimeout(300000);
     
-    // Add page information to metrics
-    const metricsWithPageInfo = {
-      ...metrics,
-      pageName,
-      url: pageUrl
-    };
+    // Budgets of the page's group override the global performance budgets
+    const performanceBudgets = getGroupBudgets(thresholdsConfig, group, 'performanceBudgets');
+    const resourceBudgets = getGroupBudgets(thresholdsConfig, group, 'resource_budgets');
     
-    // Save metrics to history files
-    saveMetricsToHistory(metricsWithPageInfo, pageName, reportsDirectory);
+    console.log(`Testing performance for: ${pageName} at ${pageUrl}`);
     
-    // Assert performance against budgets
-    expect(metrics.performance).toBeGreaterThanOrEqual(performanceBudgets.performance);
-    expect(metrics.firstContentfulPaint).toBeLessThan(performanceBudgets['first-contentful-paint']);
-    expect(metrics.largestContentfulPaint).toBeLessThan(performanceBudgets['largest-contentful-paint']);
-    expect(metrics.cumulativeLayoutShift).toBeLessThan(performanceBudgets['cumulative-layout-shift']);
-    expect(metrics.totalBlockingTime).toBeLessThan(performanceBudgets['total-blocking-time']);
-    expect(metrics.speedIndex).toBeLessThan(performanceBudgets['speed-index']);
-    expect(metrics.timeToInteractive).toBeLessThan(performanceBudgets['interactive']);
-  
-    await page.close();
-    await context.close();
-    await chromiumBrowser.close();
-  } catch (error) {
-    console.error(`Error running Lighthouse audit for ${pageName}:`, error);
-    throw error;
-  } finally {
-    // Always ensure resources are cleaned up
-    if (page && !page.isClosed()) await page.close();
-    if (context) await context.close();
-    if (chromiumBrowser) await chromiumBrowser.close();
-  }
+    try {
+      // Launch, navigate, audit (LIGHTHOUSE_RUNS times) and clean up in one audit session
+      const { lhr, metrics, aggregate, reports, errors } = await runAuditSession({
+        url: pageUrl,
+        thresholds: {
+          performance: performanceBudgets.performance,
+          accessibility: performanceBudgets.accessibility,
+          'best-practices': performanceBudgets['best-practices'],
+          seo: performanceBudgets.seo,
+        },
+        ignoreError: true, // Asserted after the results are attached
+        reportName: `detailed-performance-audit-${pageName}`,
+        reportsDirectory,
+        mobile: false, // Use desktop mode for this test
+        device, // Device of a DEVICE_MATRIX run (overrides mobile)
+        extraSettings: {
+          maxWaitForLoad: 30000 // 30 seconds max wait
+        }
+      });
+      
+      console.log(`Lighthouse audit completed for ${pageName}`);
+      console.log(`Performance Metrics for ${pageName}:`, metrics);
+      logAggregatedMetrics(aggregate, pageName);
+      
+      // Summarize transferred bytes and requests per resource type and party
+      const resources = extractResourceSummary(lhr);
+      logResourceSummary(resources, resourceBudgets, pageName);
+      
+      // Add page and sampling information to metrics
+      const metricsWithPageInfo = {
+        ...metrics,
+        pageName,
+        url: pageUrl,
+        group,
+        device,
+        runs: aggregate.runs,
+        spread: aggregate.spread,
+        resources
+      };
+      
+      // Compare with the rolling baseline before the current run joins the history
+      const regressionCheck = detectMetricRegressions(
+        metrics,
+        loadMetricsHistory(pageName, reportsDirectory),
+        regressionBudgets
+      );
+      logRegressionReport(regressionCheck, pageName);
+      
+      // Save metrics to history files
+      saveMetricsToHistory(metricsWithPageInfo, pageName, reportsDirectory);
+      
+      // Show the metrics, exceeded budgets and regressions in the per-spec HTML report
+      await attachAuditResults({
+        url: pageUrl,
+        metrics,
+        recommendations: [
+          ...errors.map(error => ({ title: error, priority: 'fail' })),
+          ...generatePerformanceRecommendations(metrics),
+          ...checkResourceBudgets(resources, resourceBudgets).map(violation => ({
+            title: `Resource budget exceeded: ${violation.resourceType} ${violation.measure}`,
+            priority: 'fail',
+            description: `${violation.actual} of ${violation.budget} allowed`
+          })),
+          ...regressionRecommendations(regressionCheck)
+        ],
+        reports: lighthouseReportLinks(reports)
+      });
+      
+      // Assert performance against budgets (median across runs)
+      expect(errors, 'Category scores under the thresholds').toEqual([]);
+      expect(metrics.performance).toBeGreaterThanOrEqual(performanceBudgets.performance);
+      expect(metrics.firstContentfulPaint).toBeLessThan(performanceBudgets['first-contentful-paint']);
+      expect(metrics.largestContentfulPaint).toBeLessThan(performanceBudgets['largest-contentful-paint']);
+      expect(metrics.cumulativeLayoutShift).toBeLessThan(performanceBudgets['cumulative-layout-shift']);
+      expect(metrics.totalBlockingTime).toBeLessThan(performanceBudgets['total-blocking-time']);
+      expect(metrics.speedIndex).toBeLessThan(performanceBudgets['speed-index']);
+      expect(metrics.timeToInteractive).toBeLessThan(performanceBudgets['interactive']);
+      
+      // Assert transferred bytes and request counts against the resource budgets
+      expect(checkResourceBudgets(resources, resourceBudgets), 'Resource budgets exceeded').toEqual([]);
+      
+      // Assert no metric regressed beyond its tolerance against the history baseline
+      expect(regressionCheck.failures.map(item => item.metric), 'Metrics regressed against history baseline').toEqual([]);
+    } catch (error) {
+      console.error(`Error running Lighthouse audit for ${pageName}:`, error);
+      throw error;
+    }
   });
 }
@@ -14,15 +14,22 @@
  * 3. Generate network-specific performance reports
  * 4. Track performance history across different network conditions
  * 
- * Network Conditions Tested:
+ * Network Conditions Tested (profiles in test_data/network_conditions.json):
  * - 4G: Good mobile connection (RTT: 170ms, Throughput: 9000 Kbps)
- * - 3G: Average mobile connection (RTT: 300ms, Throughput: 1600 Kbps)
+ * - 3G: Average mobile connection (RTT: 300ms, Throughput: 1600/750 Kbps)
  * - Slow-3G: Poor mobile connection (RTT: 400ms, Throughput: 400 Kbps)
+ *
+ * Every profile is a complete test condition: besides RTT and throughput it sets the
+ * upload throughput, CPU slowdown, device and throttling method:
+ * - simulate: Lighthouse simulates the throttling (default)
+ * - devtools: Lighthouse throttles the browser with DevTools
+ * - cdp: Playwright throttles the page over CDP and the metrics (FCP, LCP, CLS) are
+ *   measured in the page with the Web Vitals collector
  * 
- * Threshold Adjustments:
- * - 4G: 80% of base performance thresholds
- * - 3G: 60% of base performance thresholds
- * - Slow-3G: 40% of base performance thresholds
+ * Threshold Adjustments (budgetScaling / budgets of each profile):
+ * - 4G: 80% of the base performance score, base timing budgets
+ * - 3G: 60% of the base performance score, timing budgets +20%
+ * - Slow-3G: 40% of the base performance score, timing budgets +50%
  * 
  * Key Metrics Measured:
  * - Performance Score: Overall performance rating (adjusted for network)
@@ -36,32 +43,44 @@
  * How It Works:
  * 1. Loads test URLs, thresholds, and network conditions from JSON files
  * 2. For each network condition and URL combination:
- *    a. Launches a browser with a debugging port for Lighthouse
- *    b. Applies network throttling to simulate the specific condition
- *    c. Navigates to the page and runs Lighthouse audits
- *    d. Adjusts thresholds based on network condition
- *    e. Extracts and analyzes performance metrics
- *    f. Saves results to network-specific history files
+ *    a. Opens an audit session (browser with a debugging port for Lighthouse)
+ *    b. Applies network throttling, CPU slowdown and device emulation of the profile
+ *    c. Navigates to the page and runs Lighthouse audits (or measures in the page for cdp)
+ *    d. Adjusts thresholds based on network condition and checks the score and every
+ *       metric against them
+ *    e. Extracts performance metrics, combining LIGHTHOUSE_RUNS runs into a median
+ *    f. Compares metrics with the rolling baseline of the same network condition
+ *    g. Saves results to network-specific history files
  * 
  * @author Viktor Pavlov
  * @version 1.0
  */
 
-const { test } = require('@playwright/test');
-const { playAudit } = require('playwright-lighthouse');
-const fs = require('fs');
+const { test, expect } = require('@playwright/test');
 const path = require('path');
 const { 
-  findAvailablePort, 
-  launchBrowserWithDebugPort, 
-  navigateWithRetry,
   ensureReportsDirectory,
   loadConfig,
+  loadEnvironmentUrls,
   saveMetricsToHistory,
-  configurePlayAudit,
-  extractMetricsFromLighthouse,
+  loadMetricsHistory,
+  detectMetricRegressions,
+  logRegressionReport,
+  logAggregatedMetrics,
+  getAuditRunCount,
+  aggregateMetricSamples,
+  navigateWithRetry,
+  emulateNetworkConditions,
+  resolveNetworkProfile,
+  loadPageGroups,
+  buildPagesToTest,
+  getGroupBudgets,
+  pageGroupAnnotation,
   getNetworkAdjustedThresholds 
 } = require('../../../utils');
+const { runAuditSession, withAuditSession } = require('../../helpers/audit-session');
+const { installWebVitalsCollector, collectWebVitals } = require('../../helpers/web-vitals');
+const { attachAuditResults, lighthouseReportLinks, regressionRecommendations } = require('../../helpers/audit-results');
 
 // Create reports directory if it doesn't exist
 const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'performance'));
@@ -71,75 +90,93 @@ const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'tres
 const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
 const networkConditionsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'network_conditions.json');
 
-const performanceBudgets = loadConfig(thresholdsPath, 'performanceBudgets');
-const urls = loadConfig(envPath, 'prod_urls');
-const networkConditions = loadConfig(networkConditionsPath, 'networkConditions');
+const thresholdsConfig = loadConfig(thresholdsPath);
+const regressionBudgets = thresholdsConfig.regression_budgets;
+const urls = loadEnvironmentUrls(envPath);
+const networkConditions = loadConfig(networkConditionsPath, 'networkConditions').map(resolveNetworkProfile);
 
-// Convert the URLs object to an array of objects with name and url properties
-if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
-  throw new Error(
-    `Invalid or missing URL configuration. Expected an object map at property "prod_urls" in ${envPath}. ` +
-    `Example: {"prod_urls": {"homepage": "https://example.com/", "about": "https://example.com/about"}}. ` +
-    `Create/repair test_data/env.json (you can copy from test_data/env.template.json).`
-  );
-}
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
 
-const pagesToTest = Object.entries(urls).map(([name, url]) => ({ name, url }));
+/**
+ * Measure a page in Playwright under CDP network and CPU throttling
+ *
+ * Lighthouse audits in its own tab, which the CDP emulation of the Playwright page does
+ * not reach, so profiles with throttlingMethod "cdp" are measured with the in-page Web
+ * Vitals collector instead. Every run uses a fresh browser, so the cache starts cold.
+ *
+ * @param {Object} pageConfig - Page to measure ({ name, url })
+ * @param {Object} network - Resolved network profile
+ * @param {string} [device] - Device profile to emulate
+ * @returns {Promise<Object>} - Object containing the median metrics and the aggregate
+ */
+async function measureWithCdpThrottling(pageConfig, network, device) {
+  const runs = getAuditRunCount();
+  const samples = [];
 
-// Get thresholds adjusted for network conditions using the utility function
+  for (let run = 1; run <= runs; run++) {
+    if (runs > 1) {
+      console.log(`Measurement run ${run}/${runs}...`);
+    }
+    const { metrics } = await withAuditSession(async ({ page }) => {
+      await emulateNetworkConditions(page, network);
+      await installWebVitalsCollector(page);
+      await navigateWithRetry(page, pageConfig.url);
+      return collectWebVitals(page);
+    }, { device });
+    samples.push(metrics);
+  }
+
+  const aggregate = aggregateMetricSamples(samples);
+  return { metrics: aggregate.median, aggregate };
+}
 
 // Run tests for each network condition and page
 for (const network of networkConditions) {
   for (const pageConfig of pagesToTest) {
-    test(`Performance testing of ${pageConfig.name} under ${network.name} (${network.description}) conditions`, async () => {
+    test(`Performance testing of ${pageConfig.name} under ${network.name} (${network.description}) conditions`, { annotation: pageGroupAnnotation(pageConfig) }, async () => {
       // Increase timeout for Lighthouse tests (180 seconds - network throttling needs more time)
       test.setTimeout(180000);
-      // Find an available port and launch browser
-      let debugPort = await findAvailablePort();
-      console.log(`Using available debugging port ${debugPort} for ${pageConfig.name} under ${network.name} conditions`);
-      
-      // Launch browser with debugging port
-      const { browser } = await launchBrowserWithDebugPort(debugPort);
-      
-      const context = await browser.newContext();
-      const page = await context.newPage();
-      
+      // The profile's own device wins over the device of a DEVICE_MATRIX run
+      const device = network.device || pageConfig.device;
       console.log(`Testing ${pageConfig.name} with network conditions: ${network.name}`);
       console.log(`- URL: ${pageConfig.url}`);
       console.log(`- Round Trip Time: ${network.rttMs}ms`);
-      console.log(`- Throughput: ${network.throughputKbps} kbps`);
-      
-      // Navigate to the page with robust error handling
-      await navigateWithRetry(page, pageConfig.url);
+      console.log(`- Throughput: ${network.throughputKbps} kbps down, ${network.uploadThroughputKbps} kbps up`);
+      console.log(`- CPU slowdown: ${network.cpuSlowdownMultiplier}x`);
+      console.log(`- Throttling: ${network.throttlingMethod}`);
+      console.log(`- Device: ${device || (network.mobile ? 'mobile' : 'desktop')}`);
       
       try {
-        // Get appropriate thresholds for this network condition
-        const thresholds = getNetworkAdjustedThresholds(network.name, performanceBudgets);
-        
-        // Configure and run Lighthouse audit with specific network conditions
-        const auditOptions = configurePlayAudit({
-          page,
-          debugPort,
-          thresholds,
-          reportName: `${pageConfig.name}-${network.name.toLowerCase()}`,
-          reportsDirectory,
-          networkSettings: {
-            rttMs: network.rttMs,
-            throughputKbps: network.throughputKbps,
-            cpuSlowdownMultiplier: 2 // Simulate CPU being 2x slower
-          },
-          mobile: true,
-          categories: ['performance']
-        });
+        // Get appropriate thresholds for this network condition, starting from the page group's budgets
+        const performanceBudgets = getGroupBudgets(thresholdsConfig, pageConfig.group, 'performanceBudgets');
+        const thresholds = getNetworkAdjustedThresholds(network, performanceBudgets);
+        console.log(`- Performance threshold: ${thresholds.performance}`);
         
-        // Run the audit with the configured options
-        const { lhr } = await playAudit(auditOptions);
-        
-        // Extract and log key metrics using the utility function
-        const metrics = extractMetricsFromLighthouse(lhr);
+        // Run the audit session (LIGHTHOUSE_RUNS times) with the profile's conditions
+        const { metrics, aggregate, reports, errors = [] } = network.throttlingMethod === 'cdp'
+          ? await measureWithCdpThrottling(pageConfig, network, device)
+          : await runAuditSession({
+            url: pageConfig.url,
+            thresholds,
+            ignoreError: true, // Asserted after the results are attached
+            reportName: `${pageConfig.name}-${network.name.toLowerCase()}`,
+            reportsDirectory,
+            networkSettings: {
+              rttMs: network.rttMs,
+              throughputKbps: network.throughputKbps,
+              uploadThroughputKbps: network.uploadThroughputKbps,
+              cpuSlowdownMultiplier: network.cpuSlowdownMultiplier,
+              throttlingMethod: network.throttlingMethod
+            },
+            mobile: network.mobile,
+            device,
+            categories: ['performance']
+          });
         
         console.log(`\nPerformance Metrics for ${pageConfig.name} under ${network.name}:`);
         console.table(metrics);
+        logAggregatedMetrics(aggregate, `${pageConfig.name} under ${network.name}`);
         
         // Save metrics with network condition information
         const timestamp = new Date().toISOString();
@@ -147,24 +184,67 @@ for (const network of networkConditions) {
           timestamp,
           url: pageConfig.url,
           pageName: pageConfig.name,
+          group: pageConfig.group,
           networkCondition: network.name,
           rttMs: network.rttMs,
           throughputKbps: network.throughputKbps,
+          uploadThroughputKbps: network.uploadThroughputKbps,
+          cpuSlowdownMultiplier: network.cpuSlowdownMultiplier,
+          throttlingMethod: network.throttlingMethod,
+          device,
+          runs: aggregate.runs,
+          spread: aggregate.spread,
           ...metrics 
         };
         
+        // Compare with the rolling baseline of the same network condition
+        const historySuffix = `-${network.name.toLowerCase()}`;
+        const regressionCheck = detectMetricRegressions(
+          metrics,
+          loadMetricsHistory(pageConfig.name, reportsDirectory, historySuffix),
+          regressionBudgets
+        );
+        logRegressionReport(regressionCheck, `${pageConfig.name} (${network.name})`);
+        
         // Save to network-specific history file
-        saveMetricsToHistory(metricsWithInfo, pageConfig.name, reportsDirectory, `-${network.name.toLowerCase()}`);
+        saveMetricsToHistory(metricsWithInfo, pageConfig.name, reportsDirectory, historySuffix);
+        
+        // Show the metrics under this network condition in the per-spec HTML report
+        await attachAuditResults({
+          url: pageConfig.url,
+          metrics,
+          recommendations: [
+            ...errors.map(error => ({ title: error, priority: 'fail' })),
+            ...regressionRecommendations(regressionCheck)
+          ],
+          reports: lighthouseReportLinks(reports)
+        });
         
+        // Budgets adjusted for this network condition (budgetScaling / budgets of the profile)
+        if (network.throttlingMethod !== 'cdp') {
+          expect(errors, 'Category scores under the thresholds').toEqual([]);
+          expect(metrics.performance, `Performance score under ${network.name}`).toBeGreaterThanOrEqual(thresholds.performance);
+          expect(metrics.firstContentfulPaint, `First Contentful Paint under ${network.name}`).toBeLessThanOrEqual(thresholds['first-contentful-paint']);
+          expect(metrics.largestContentfulPaint, `Largest Contentful Paint under ${network.name}`).toBeLessThanOrEqual(thresholds['largest-contentful-paint']);
+          expect(metrics.cumulativeLayoutShift, `Cumulative Layout Shift under ${network.name}`).toBeLessThanOrEqual(thresholds['cumulative-layout-shift']);
+          expect(metrics.totalBlockingTime, `Total Blocking Time under ${network.name}`).toBeLessThanOrEqual(thresholds['total-blocking-time']);
+          expect(metrics.speedIndex, `Speed Index under ${network.name}`).toBeLessThanOrEqual(thresholds['speed-index']);
+          expect(metrics.timeToInteractive, `Time to Interactive under ${network.name}`).toBeLessThanOrEqual(thresholds['interactive']);
+        } else {
+          // Measured in the page: no Lighthouse score, only the metrics the Web Vitals collector records
+          // (null when the page never reported them)
+          expect(metrics.firstContentfulPaint, `First Contentful Paint not measured under ${network.name}`).not.toBeNull();
+          expect(metrics.firstContentfulPaint, `First Contentful Paint under ${network.name}`).toBeLessThanOrEqual(thresholds['first-contentful-paint']);
+          expect(metrics.largestContentfulPaint, `Largest Contentful Paint not measured under ${network.name}`).not.toBeNull();
+          expect(metrics.largestContentfulPaint, `Largest Contentful Paint under ${network.name}`).toBeLessThanOrEqual(thresholds['largest-contentful-paint']);
+          expect(metrics.cumulativeLayoutShift, `Cumulative Layout Shift not measured under ${network.name}`).not.toBeNull();
+          expect(metrics.cumulativeLayoutShift, `Cumulative Layout Shift under ${network.name}`).toBeLessThanOrEqual(thresholds['cumulative-layout-shift']);
+        }
         
+        expect(regressionCheck.failures.map(item => item.metric), 'Metrics regressed against history baseline').toEqual([]);
       } catch (error) {
         console.error(`Error running Lighthouse audit for ${pageConfig.name} under ${network.name} conditions:`, error);
         throw error;
-      } finally {
-        // Always close the page, context, and browser to clean up resources
-        await page.close();
-        await context.close();
-        await browser.close();
       }
     });
   }
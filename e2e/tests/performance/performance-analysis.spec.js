@@ -23,18 +23,22 @@
  * 
  * Key Components Analyzed:
  * - Core Web Vitals: FCP, LCP, TBT, CLS, Speed Index, TTI
- * - Opportunities: Specific improvements with estimated savings
+ * - Opportunities: Specific improvements with estimated savings and the affected URLs
  * - Diagnostics: Additional information about page performance
  * - Passed Audits: Successfully passed checks
+ * - Long Tasks: Main-thread long tasks by script and function (with CAPTURE_TRACE=1)
+ * - Filmstrip: Screenshots of the load with FCP and LCP markers
  * 
  * Report Outputs:
  * - Detailed JSON report with comprehensive metrics
+ * - Performance trace next to the Lighthouse report (with CAPTURE_TRACE=1)
+ * - Filmstrip images and an HTML overview in <page>-detailed-filmstrip/
  * - Console output with key findings and recommendations
  * - Historical data for trend analysis
  * 
  * How It Works:
  * 1. Loads test URLs and thresholds from JSON files
- * 2. Launches a browser with a debugging port for Lighthouse
+ * 2. Opens an audit session (browser with a debugging port for Lighthouse)
  * 3. Runs comprehensive Lighthouse audits across all categories
  * 4. Extracts detailed metrics, opportunities, and diagnostics
  * 5. Generates actionable recommendations based on scores
@@ -44,25 +48,29 @@
  * @version 1.0
  */
 
-const { test } = require('@playwright/test');
-const { playAudit } = require('playwright-lighthouse');
+const { test, expect } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
-const { url } = require('inspector');
 const { 
-  findAvailablePort, 
-  launchBrowserWithDebugPort, 
-  navigateWithRetry,
   ensureReportsDirectory,
   loadConfig,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  buildPagesToTest,
+  getGroupBudgets,
+  pageGroupAnnotation,
   saveMetricsToHistory,
-  configurePlayAudit,
   extractMetricsFromLighthouse,
   extractWebVitals,
   extractOpportunitiesAndDiagnostics,
   generateDetailedReport,
+  generatePerformanceRecommendations,
   logPerformanceRecommendations 
 } = require('../../../utils');
+const { runAuditSession } = require('../../helpers/audit-session');
+const { logLongTaskSummary } = require('../../helpers/trace-analysis');
+const { saveFilmstrip } = require('../../helpers/filmstrip');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
 
 // Create reports directory if it doesn't exist
 const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'performance'));
@@ -71,48 +79,27 @@ const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..',
 const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
 const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
 
-const performanceAnalysisThresholds = loadConfig(thresholdsPath, 'performance_analysis');
-const urls = loadConfig(envPath, 'prod_urls');
+const thresholdsConfig = loadConfig(thresholdsPath);
+const urls = loadEnvironmentUrls(envPath);
 
-// Convert the URLs object to an array of objects with name and url properties
-if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
-  throw new Error(
-    `Invalid or missing URL configuration. Expected an object map at property "prod_urls" in ${envPath}. ` +
-    `Example: {"prod_urls": {"homepage": "https://example.com/", "about": "https://example.com/about"}}. ` +
-    `Create/repair test_data/env.json (you can copy from test_data/env.template.json).`
-  );
-}
-
-const pagesToTest = Object.entries(urls).map(([name, url]) => ({ name, url }));
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`detailed performance analysis: ${pageConfig.name}`, async () => {
+  test(`detailed performance analysis: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async () => {
     // Increase timeout for Lighthouse tests (5 minutes)
     test.setTimeout(300000);
     
-    // Find an available port and launch browser
-    const debugPort = await findAvailablePort();
-    console.log(`Using debugging port ${debugPort} for ${pageConfig.name}`);
-    
-    // Launch browser with debugging port
-    const { browser } = await launchBrowserWithDebugPort(debugPort);
-    
-    // Create a new browser context
-    const context = await browser.newContext();
-    const page = await context.newPage();
+    // Budgets of the page's group override the global analysis thresholds
+    const performanceAnalysisThresholds = getGroupBudgets(thresholdsConfig, pageConfig.group, 'performance_analysis');
     
-    // Navigate to the page
     console.log(`Analyzing performance for: ${pageConfig.url}`);
-    // Navigate to the URL with robust error handling
-    console.log('Navigating to page...');
-    await navigateWithRetry(page, pageConfig.url);
     
     try {
-      // Configure and run Lighthouse audit with explicit thresholds
-      const auditOptions = configurePlayAudit({
-        page,
-        debugPort,
+      // Run the audit session with explicit thresholds across all categories
+      const { lhr, metrics: coreMetrics, longTasks, reports, errors } = await runAuditSession({
+        url: pageConfig.url,
         thresholds: {
           performance: performanceAnalysisThresholds.performance,
           accessibility: performanceAnalysisThresholds.accessibility,
@@ -120,20 +107,18 @@ for (const pageConfig of pagesToTest) {
           seo: performanceAnalysisThresholds.seo,
           pwa: performanceAnalysisThresholds.pwa
         },
+        ignoreError: true, // Asserted after the results are attached
         reportName: `${pageConfig.name}-detailed-analysis`,
         reportsDirectory,
         mobile: false, // Use desktop mode for more consistent results
+        device: pageConfig.device, // Device of a DEVICE_MATRIX run (overrides mobile)
         categories: ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'],
         extraSettings: {
           maxWaitForLoad: 45000 // Increase timeout for detailed analysis
-        }
+        },
+        extractMetrics: result => extractMetricsFromLighthouse(result, true)
       });
       
-      // Run the audit with the configured options
-      const { lhr } = await playAudit(auditOptions);
-      
-      const coreMetrics = extractMetricsFromLighthouse(lhr, true);
-      
       console.log(`\n📊 Core Metrics for ${pageConfig.name}:`);
       console.table(coreMetrics);
       
@@ -151,7 +136,10 @@ for (const pageConfig of pagesToTest) {
       if (opportunities.length > 0) {
         console.log('\n🔍 Top improvement opportunities:');
         opportunities.forEach(opportunity => {
-          console.log(`- ${opportunity.title}: ${opportunity.impact}`);
+          console.log(`- ${opportunity.title}: ${opportunity.impact} (~${Math.round(opportunity.savingsMs)}ms, ${Math.round(opportunity.savingsBytes / 1024)} KB)`);
+          opportunity.resources.slice(0, 3).forEach(resource => {
+            console.log(`  - ${resource.url}`);
+          });
         });
       }
       
@@ -164,8 +152,19 @@ for (const pageConfig of pagesToTest) {
       
       console.log(`\n✅ Passed audits: ${passedAuditsCount}`);
       
+      // Long tasks are only known when the trace was captured (CAPTURE_TRACE=1)
+      if (longTasks) {
+        logLongTaskSummary(longTasks, pageConfig.name);
+      }
+      
+      // Save the screenshots of the load as files next to the report
+      const filmstrip = saveFilmstrip(lhr, reportsDirectory, `${pageConfig.name}-detailed`);
+      if (filmstrip) {
+        console.log(`\n🎞️ Filmstrip (${filmstrip.frames.length} frames) saved to: ${path.join(reportsDirectory, filmstrip.html)}`);
+      }
+      
       // Generate detailed report using the utility function
-      const detailedReport = generateDetailedReport(lhr, pageConfig);
+      const detailedReport = generateDetailedReport(lhr, pageConfig, { longTasks, filmstrip });
       
       // Save metrics to history files with detailed analysis suffix
       saveMetricsToHistory(detailedReport, pageConfig.name, reportsDirectory, '-detailed');
@@ -177,14 +176,31 @@ for (const pageConfig of pagesToTest) {
       // Generate and log recommendations using the utility function
       logPerformanceRecommendations(coreMetrics);
       
+      // Show the metrics, recommendations and reports in the per-spec HTML report
+      await attachAuditResults({
+        url: pageConfig.url,
+        metrics: detailedReport.coreMetrics,
+        recommendations: [
+          ...errors.map(error => ({ title: error, priority: 'fail' })),
+          ...generatePerformanceRecommendations(coreMetrics),
+          ...opportunities.slice(0, 5).map(opportunity => ({
+            title: opportunity.title,
+            priority: opportunity.impact,
+            description: `~${Math.round(opportunity.savingsMs)}ms, ${Math.round(opportunity.savingsBytes / 1024)} KB`
+          }))
+        ],
+        reports: lighthouseReportLinks(reports, [
+          { label: 'Detailed report', path: reportPath },
+          ...(filmstrip ? [{ label: 'Filmstrip', path: path.join(reportsDirectory, filmstrip.html) }] : [])
+        ])
+      });
+      
+      // Assert the category scores against the analysis thresholds
+      expect(errors, 'Category scores under the thresholds').toEqual([]);
+      
     } catch (error) {
       console.error(`Error running detailed analysis for ${pageConfig.url}:`, error);
       throw error;
-    } finally {
-      // Always close the page, context, and browser to clean up resources
-      await page.close();
-      await context.close();
-      await browser.close();
     }
   });
 }
@@ -24,9 +24,9 @@
  * 
  * How It Works:
  * 1. Loads test URLs from env.json and thresholds from treshholds.json
- * 2. Launches a browser with a debugging port for Lighthouse
- * 3. Navigates to each page and runs Lighthouse audits
- * 4. Extracts and analyzes performance metrics
+ * 2. Opens an audit session (debugging port, browser launch, cleanup) per page
+ * 3. Navigates to each page and runs Lighthouse audits (LIGHTHOUSE_RUNS times)
+ * 4. Extracts performance metrics and combines multiple runs into a median
  * 5. Compares results with recommended thresholds
  * 6. Identifies top improvement opportunities
  * 
@@ -34,22 +34,22 @@
  * @version 1.0
  */
 
-const { test } = require('@playwright/test');
-const { playAudit } = require('playwright-lighthouse');
-const fs = require('fs');
+const { test, expect } = require('@playwright/test');
 const path = require('path');
 const { 
-  findAvailablePort, 
-  launchBrowserWithDebugPort, 
-  navigateWithRetry,
   ensureReportsDirectory,
   loadConfig,
-  saveMetricsToHistory,
-  configurePlayAudit,
-  extractMetricsFromLighthouse,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  buildPagesToTest,
+  getGroupBudgets,
+  pageGroupAnnotation,
+  logAggregatedMetrics,
   getRecommendedThresholds,
   logMetricsComparison 
 } = require('../../../utils');
+const { runAuditSession } = require('../../helpers/audit-session');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
 
 // Create reports directory if it doesn't exist
 const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'performance'));
@@ -58,59 +58,34 @@ const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..',
 const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
 const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
 
-const performanceThresholds = loadConfig(thresholdsPath, 'performanceBudgets');
-const urls = loadConfig(envPath, 'prod_urls');
+const thresholdsConfig = loadConfig(thresholdsPath);
+const urls = loadEnvironmentUrls(envPath);
 
-// Convert the URLs object to an array of objects with name and url properties
-if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
-  throw new Error(
-    `Invalid or missing URL configuration. Expected an object map at property "prod_urls" in ${envPath}. ` +
-    `Example: {"prod_urls": {"homepage": "https://example.com/", "about": "https://example.com/about"}}. ` +
-    `Create/repair test_data/env.json (you can copy from test_data/env.template.json).`
-  );
-}
-
-const pagesToTest = Object.entries(urls).map(([name, url]) => ({ name, url }));
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`performance audit: ${pageConfig.name}`, async () => {
+  test(`performance audit: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async () => {
     // Increase timeout for Lighthouse tests (5 minutes)
     test.setTimeout(300000);
     
-    // Find an available port and launch browser
-    const debugPort = await findAvailablePort();
-    console.log(`Using debugging port ${debugPort} for ${pageConfig.name}`);
-    
-    // Launch browser with debugging port
-    const { browser } = await launchBrowserWithDebugPort(debugPort);
-    
-    // Create a new browser context
-    const context = await browser.newContext();
-    const page = await context.newPage();
+    // Budgets of the page's group override the global performance budgets
+    const performanceThresholds = getGroupBudgets(thresholdsConfig, pageConfig.group, 'performanceBudgets');
     
     try {
-      // Navigate to the page
       console.log(`Testing performance for: ${pageConfig.url}`);
       
-      // Use a simple test page if environment variable is set
-      if (process.env.USE_SIMPLE_PAGE === 'true') {
-        await page.setContent('<html><body><h1>Simple Test Page</h1></body></html>');
-        console.log('Using simple test page instead of the actual website');
-      } else {
-        // Navigate to the URL with robust error handling
-        console.log('Navigating to page...');
-        await navigateWithRetry(page, pageConfig.url);
-      }
-      
-      console.log(`Starting Lighthouse audit with port ${debugPort}...`);
-      
-      console.log('Preparing for Lighthouse audit...');
-      
-      // Configure Lighthouse audit with thresholds matching current scores
-      const auditOptions = configurePlayAudit({
-        page,
-        debugPort,
+      // Launch, navigate, audit and clean up in one audit session
+      const { lhr, metrics, aggregate, reports, errors } = await runAuditSession({
+        url: pageConfig.url,
+        // Use a simple test page if environment variable is set
+        navigate: process.env.USE_SIMPLE_PAGE === 'true'
+          ? async page => {
+            await page.setContent('<html><body><h1>Simple Test Page</h1></body></html>');
+            console.log('Using simple test page instead of the actual website');
+          }
+          : undefined,
         thresholds: {
           performance: performanceThresholds.performance,
           accessibility: performanceThresholds.accessibility,
@@ -118,23 +93,21 @@ for (const pageConfig of pagesToTest) {
           seo: performanceThresholds.seo,
           pwa: performanceThresholds.pwa
         },
+        ignoreError: true, // Asserted after the results are attached
         reportName: `${pageConfig.name}-audit`,
         reportsDirectory,
         mobile: false, // Use desktop mode for this test
+        device: pageConfig.device, // Device of a DEVICE_MATRIX run (overrides mobile)
         categories: ['performance'],
         extraSettings: {
           maxWaitForLoad: 30000 // Reduced from 45000
         }
       });
       
-      console.log('Running Lighthouse audit with minimal configuration...');
-      const { lhr } = await playAudit(auditOptions);
-      
-      // Extract and log key metrics using the utility function
-      const metrics = extractMetricsFromLighthouse(lhr);
-      
+      // Log key metrics (median across runs when LIGHTHOUSE_RUNS > 1)
       console.log(`\nPerformance Metrics for ${pageConfig.name}:`);
       console.table(metrics);
+      logAggregatedMetrics(aggregate, pageConfig.name);
       
       // Compare metrics with recommended thresholds and log the results
       const recommendedThresholds = getRecommendedThresholds();
@@ -152,14 +125,26 @@ for (const pageConfig of pagesToTest) {
           console.log(`- ${opportunity.title}: ${opportunity.description}`);
         });
       }
+      
+      // Show the metrics, opportunities and Lighthouse report in the per-spec HTML report
+      await attachAuditResults({
+        url: pageConfig.url,
+        metrics,
+        recommendations: [
+          ...errors.map(error => ({ title: error, priority: 'fail' })),
+          ...opportunities.map(opportunity => ({
+            title: opportunity.title,
+            description: opportunity.displayValue
+          }))
+        ],
+        reports: lighthouseReportLinks(reports)
+      });
+      
+      // Assert the category scores (median across runs) against the thresholds
+      expect(errors, 'Category scores under the thresholds').toEqual([]);
     } catch (error) {
       console.error(`Error running Lighthouse audit for ${pageConfig.url}:`, error);
       throw error;
-    } finally {
-      // Always close the page, context, and browser to clean up resources
-      await page.close();
-      await context.close();
-      await browser.close();
     }
   });
 }
@@ -0,0 +1,136 @@
+/**
+ * Third-Party Blocking Test Suite
+ * ==============================
+ *
+ * Purpose:
+ * This test suite measures how much faster each page gets without selected scripts,
+ * to give hard numbers when discussing whether a vendor should be removed.
+ *
+ * Test Objectives:
+ * 1. Audit every page with all requests (baseline)
+ * 2. Audit it again per blocking experiment, with the matching requests blocked
+ * 3. Report the metric deltas side by side
+ *
+ * How It Works:
+ * 1. Reads the blocking experiments from third_party.blockingExperiments in
+ *    treshholds.json, or a single ad hoc experiment from BLOCK_URL_PATTERNS
+ * 2. Runs the Lighthouse performance audit without and with blocked URL patterns,
+ *    using the same number of runs (LIGHTHOUSE_RUNS) for both
+ * 3. Compares the median metrics and saves a JSON report per page
+ *
+ * The suite only reports; it does not fail on the size of the deltas.
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const {
+  ensureReportsDirectory,
+  loadConfig,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  buildPagesToTest,
+  pageGroupAnnotation
+} = require('../../../utils');
+const { runAuditSession } = require('../../helpers/audit-session');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { attachAuditResults } = require('../../helpers/audit-results');
+const {
+  getBlockingExperiments,
+  compareBlockedMetrics,
+  logBlockedMetricsComparison
+} = require('../../helpers/third-party');
+
+// Create reports directory if it doesn't exist
+const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'third-party-blocking'));
+
+// Load configuration from JSON files
+const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
+const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
+
+const experiments = getBlockingExperiments(loadConfig(thresholdsPath, 'third_party') || {});
+const urls = loadEnvironmentUrls(envPath);
+
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
+
+// Run tests for each URL of the target environment
+for (const { name: pageName, url: pageUrl, group, device } of pagesToTest) {
+  test(`third-party blocking for ${pageName}`, { annotation: pageGroupAnnotation({ group, device }) }, async () => {
+    test.skip(experiments.length === 0, 'No blocking experiments configured (third_party.blockingExperiments or BLOCK_URL_PATTERNS)');
+
+    // Every experiment is another full audit, so allow 5 minutes per audit
+    test.setTimeout(300000 * (experiments.length + 1));
+
+    const audit = (reportName, blockedUrlPatterns) => runAuditSession({
+      url: pageUrl,
+      thresholds: { performance: 0 },
+      reportName,
+      reportsDirectory,
+      mobile: false,
+      device,
+      categories: ['performance'],
+      blockedUrlPatterns
+    });
+
+    try {
+      console.log(`Auditing ${pageName} with all requests: ${pageUrl}`);
+      const baseline = await audit(`${pageName}-baseline`);
+
+      const results = [];
+      const blockedReports = [];
+      for (const experiment of experiments) {
+        console.log(`Auditing ${pageName} without ${experiment.urlPatterns.join(', ')}`);
+        const blocked = await audit(`${pageName}-${experiment.name}`, experiment.urlPatterns);
+        blockedReports.push(...blocked.reports.filter(report => report.html).map(report => ({
+          label: `Lighthouse report without ${experiment.name}${blocked.reports.length > 1 ? ` (run ${report.run})` : ''}`,
+          path: report.html
+        })));
+
+        const comparison = compareBlockedMetrics(baseline.metrics, blocked.metrics);
+        logBlockedMetricsComparison(comparison, experiment, pageName);
+        results.push({ ...experiment, metrics: blocked.metrics, comparison });
+      }
+
+      // Save the side-by-side report
+      const reportPath = path.join(reportsDirectory, `${pageName}-blocking.json`);
+      fs.writeFileSync(reportPath, JSON.stringify({
+        url: pageUrl,
+        group,
+        device,
+        timestamp: new Date().toISOString(),
+        runs: baseline.aggregate.runs,
+        baseline: baseline.metrics,
+        experiments: results,
+        runContext: getRunContext(baseline.lhr)
+      }, null, 2));
+      console.log(`Blocking report saved to: ${reportPath}`);
+
+      // Show the metric changes per experiment in the per-spec HTML report
+      await attachAuditResults({
+        url: pageUrl,
+        metrics: baseline.metrics,
+        recommendations: results.flatMap(experiment => experiment.comparison
+          .filter(item => item.improved)
+          .map(item => ({
+            title: `Without ${experiment.name}: ${item.metric} ${item.deltaPercent.toFixed(1)}%`,
+            description: `${Number(item.baseline.toFixed(3))} → ${Number(item.blocked.toFixed(3))}${item.unit ? ` ${item.unit}` : ''}`
+          }))),
+        reports: [
+          ...baseline.reports.filter(report => report.html).map(report => ({
+            label: `Baseline Lighthouse report${baseline.reports.length > 1 ? ` (run ${report.run})` : ''}`,
+            path: report.html
+          })),
+          ...blockedReports,
+          { label: 'Blocking report', path: reportPath }
+        ]
+      });
+    } catch (error) {
+      console.error(`Error running blocking experiments for ${pageName}:`, error);
+      throw error;
+    }
+  });
+}
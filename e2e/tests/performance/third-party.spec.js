@@ -0,0 +1,137 @@
+/**
+ * Third-Party Impact Test Suite
+ * ============================
+ *
+ * Purpose:
+ * This test suite shows what the third parties on each page (analytics, chat widgets,
+ * tag managers, ...) cost, and catches third-party origins that were added without
+ * being approved.
+ *
+ * Test Objectives:
+ * 1. Group network requests and main-thread time by third-party entity
+ * 2. Report bytes, blocking time and script evaluation time per entity
+ * 3. Track the third-party cost in history for trend analysis
+ * 4. Fail when a third-party origin is not on the allowlist (third_party in treshholds.json)
+ *
+ * How It Works:
+ * 1. Runs a Lighthouse performance audit per page in an audit session
+ * 2. Groups the network-requests, third-party-summary and bootup-time details by entity
+ * 3. Saves a JSON report per page and the totals and entities to the history
+ *    ("-third-party" suffix)
+ * 4. Checks every third-party origin against the allowlist
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const {
+  ensureReportsDirectory,
+  loadConfig,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  buildPagesToTest,
+  pageGroupAnnotation,
+  saveMetricsToHistory
+} = require('../../../utils');
+const { runAuditSession } = require('../../helpers/audit-session');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
+const {
+  extractThirdPartySummary,
+  findUnlistedThirdParties,
+  logThirdPartySummary
+} = require('../../helpers/third-party');
+
+// Create reports directory if it doesn't exist
+const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'third-party'));
+
+// Load configuration from JSON files
+const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
+const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
+
+const thirdPartyConfig = loadConfig(thresholdsPath, 'third_party') || {};
+const urls = loadEnvironmentUrls(envPath);
+
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
+
+// Run tests for each URL of the target environment
+for (const { name: pageName, url: pageUrl, group, device } of pagesToTest) {
+  test(`third-party impact for ${pageName}`, { annotation: pageGroupAnnotation({ group, device }) }, async () => {
+    // Increase timeout for Lighthouse tests (5 minutes)
+    test.setTimeout(300000);
+
+    console.log(`Analyzing third parties for: ${pageName} at ${pageUrl}`);
+
+    try {
+      const { lhr, reports } = await runAuditSession({
+        url: pageUrl,
+        runs: 1,
+        thresholds: { performance: 0 },
+        reportName: `third-party-${pageName}`,
+        reportsDirectory,
+        mobile: false,
+        device,
+        categories: ['performance']
+      });
+
+      const thirdParties = extractThirdPartySummary(lhr);
+      const unlisted = findUnlistedThirdParties(thirdParties, thirdPartyConfig.allowlist);
+      logThirdPartySummary(thirdParties, unlisted, pageName);
+
+      // Save the per-page report
+      const reportPath = path.join(reportsDirectory, `${pageName}-third-party.json`);
+      fs.writeFileSync(reportPath, JSON.stringify({
+        url: pageUrl,
+        group,
+        device,
+        timestamp: new Date().toISOString(),
+        ...thirdParties,
+        unlisted,
+        runContext: getRunContext(lhr)
+      }, null, 2));
+      console.log(`Third-party report saved to: ${reportPath}`);
+
+      // Track the third-party cost over time
+      saveMetricsToHistory({
+        thirdPartyRequests: thirdParties.totals.requests,
+        thirdPartyTransferSize: thirdParties.totals.transferSize,
+        thirdPartyBlockingTime: thirdParties.totals.blockingTime,
+        thirdPartyMainThreadTime: thirdParties.totals.mainThreadTime,
+        thirdPartyScriptEvaluation: thirdParties.totals.scriptEvaluation,
+        pageName,
+        url: pageUrl,
+        group,
+        device,
+        entities: thirdParties.entities
+      }, pageName, reportsDirectory, '-third-party');
+
+      // Show the third-party totals and unlisted origins in the per-spec HTML report
+      await attachAuditResults({
+        url: pageUrl,
+        metrics: {
+          thirdPartyRequests: thirdParties.totals.requests,
+          thirdPartyTransferSize: thirdParties.totals.transferSize,
+          thirdPartyBlockingTime: thirdParties.totals.blockingTime,
+          thirdPartyMainThreadTime: thirdParties.totals.mainThreadTime
+        },
+        recommendations: unlisted.map(item => ({
+          title: `Unlisted third-party origin: ${item.origin}`,
+          priority: thirdPartyConfig.failOnUnlistedOrigins ? 'fail' : 'warn',
+          description: [item.entity, item.category].filter(Boolean).join(', ') || null
+        })),
+        reports: lighthouseReportLinks(reports, [{ label: 'Third-party report', path: reportPath }])
+      });
+
+      if (thirdPartyConfig.failOnUnlistedOrigins) {
+        expect(unlisted.map(item => item.origin), 'Third-party origins not on the allowlist').toEqual([]);
+      }
+    } catch (error) {
+      console.error(`Error analyzing third parties for ${pageName}:`, error);
+      throw error;
+    }
+  });
+}
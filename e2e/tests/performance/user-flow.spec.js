@@ -0,0 +1,99 @@
+/**
+ * User Flow Performance Test Suite
+ * ===============================
+ *
+ * Purpose:
+ * This test suite audits multi-step journeys instead of single cold page loads.
+ * Many performance problems only appear while a user interacts with the site
+ * (logging in, opening content, submitting a form), so every step of a journey
+ * gets its own Lighthouse navigation, timespan or snapshot report.
+ *
+ * Test Objectives:
+ * 1. Run the journeys defined in e2e/config/user-flows.js
+ * 2. Produce a Lighthouse user flow report and a report for every step
+ * 3. Compare the category scores of navigation steps with the budgets
+ * 4. Track step metrics history for trend analysis
+ *
+ * How It Works:
+ * 1. Loads journeys and thresholds from the configuration files
+ * 2. Opens an audit session (debugging port, browser launch, cleanup) per journey
+ * 3. Runs every step with Playwright while Lighthouse records it
+ * 4. Writes the flow report (<journey>-flow.html/json) and per-step reports
+ * 5. Saves the step metrics to the journey history file
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const {
+  ensureReportsDirectory,
+  loadConfig,
+  saveMetricsToHistory
+} = require('../../../utils');
+const { runUserFlow, logUserFlowSummary } = require('../../helpers/user-flow');
+const { availableJourneys } = require('../../config/user-flows');
+const { attachAuditResults } = require('../../helpers/audit-results');
+
+// Create reports directory if it doesn't exist
+const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'user-flows'));
+
+// Load configuration from JSON files
+const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
+const performanceBudgets = loadConfig(thresholdsPath, 'performanceBudgets');
+
+// Run each journey available in the target environment
+for (const journey of availableJourneys) {
+  test(`user flow audit: ${journey.name}`, async () => {
+    // Increase timeout for multi-step Lighthouse tests (10 minutes)
+    test.setTimeout(600000);
+
+    console.log(`Running user flow ${journey.name}: ${journey.description}`);
+
+    try {
+      const result = await runUserFlow(journey, {
+        reportsDirectory,
+        thresholds: {
+          performance: performanceBudgets.performance,
+          accessibility: performanceBudgets.accessibility,
+          'best-practices': performanceBudgets['best-practices'],
+          seo: performanceBudgets.seo
+        },
+        mobile: false,
+        categories: ['performance', 'accessibility', 'best-practices', 'seo'],
+        ignoreError: true
+      });
+
+      logUserFlowSummary(result, journey.name);
+
+      // Save the metrics of every step to the journey history file
+      saveMetricsToHistory({
+        journey: journey.name,
+        steps: result.steps.map(({ name, type, metrics, scores }) => ({ name, type, metrics, scores }))
+      }, journey.name, reportsDirectory, '-flow');
+
+      // Show the step metrics, threshold errors and reports in the per-spec HTML report
+      await attachAuditResults({
+        metrics: Object.fromEntries(result.steps.flatMap(step =>
+          Object.entries(step.metrics).map(([metric, value]) => [`${step.name}: ${metric}`, value]))),
+        scores: Object.fromEntries(result.steps.flatMap(step =>
+          Object.entries(step.scores).map(([category, score]) => [`${step.name}: ${category}`, score]))),
+        recommendations: result.errors.map(error => ({ title: error, priority: 'fail' })),
+        reports: [
+          { label: 'Flow report', path: result.reports.flowReportPath },
+          ...result.steps.map((step, index) => ({
+            label: `Step ${index + 1}: ${step.name}`,
+            path: result.reports.stepReports[index]?.find(reportPath => reportPath.endsWith('.html'))
+          }))
+        ]
+      });
+
+      // Assert navigation steps against the category budgets
+      expect(result.errors, 'User flow steps under the category thresholds').toEqual([]);
+    } catch (error) {
+      console.error(`Error running user flow ${journey.name}:`, error);
+      throw error;
+    }
+  });
+}
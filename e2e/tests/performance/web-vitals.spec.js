@@ -0,0 +1,173 @@
+/**
+ * In-Page Web Vitals Test Suite
+ * ============================
+ *
+ * Purpose:
+ * This test suite measures Web Vitals inside the page while Playwright loads it and
+ * interacts with it, the way real-user monitoring sees them. Unlike the Lighthouse
+ * suites it reports INP and tells which element was the LCP and which nodes shifted.
+ *
+ * Test Objectives:
+ * 1. Measure LCP, CLS, INP, FCP and TTFB during page load and typical interactions
+ * 2. Attribute LCP to its element, CLS to the shifted nodes and INP to the slowest interaction
+ * 3. Compare LCP, CLS and INP with the budgets of the page's group
+ * 4. Track the metrics in the history files for trend and regression analysis
+ *
+ * How It Works:
+ * 1. Installs a PerformanceObserver-based collector before the page loads
+ * 2. Navigates to the page and interacts with it (scroll, click, keyboard)
+ * 3. Collects the metrics and their attribution from the page
+ * 4. Saves them to the history with the "-web-vitals" suffix and asserts the budgets
+ *
+ * With CAPTURE_TRACE=1 a performance trace of the load and the interactions is saved
+ * as <page>-web-vitals.trace.json and its main-thread long tasks are broken down by
+ * script and function.
+ *
+ * Web Vitals attribution relies on Chromium's Event Timing and LCP APIs, so the tests
+ * only run in the chromium project.
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const {
+  ensureReportsDirectory,
+  loadConfig,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  buildPagesToTest,
+  getGroupBudgets,
+  pageGroupAnnotation,
+  applyDeviceProfile,
+  navigateWithRetry,
+  saveMetricsToHistory,
+  loadMetricsHistory,
+  detectMetricRegressions,
+  logRegressionReport
+} = require('../../../utils');
+const {
+  installWebVitalsCollector,
+  collectWebVitals,
+  logWebVitals
+} = require('../../helpers/web-vitals');
+const {
+  isTraceCaptureEnabled,
+  startTraceRecording,
+  stopTraceRecording,
+  summarizeLongTasks,
+  logLongTaskSummary
+} = require('../../helpers/trace-analysis');
+const { attachAuditResults, regressionRecommendations } = require('../../helpers/audit-results');
+
+// Create reports directory if it doesn't exist
+const reportsDirectory = ensureReportsDirectory(path.join(__dirname, '..', '..', '..', 'lighthouse-reports', 'web-vitals'));
+
+// Load configuration from JSON files
+const thresholdsPath = path.join(__dirname, '..', '..', '..', 'test_data', 'treshholds.json');
+const envPath = path.join(__dirname, '..', '..', '..', 'test_data', 'env.json');
+
+const thresholdsConfig = loadConfig(thresholdsPath);
+const regressionBudgets = thresholdsConfig.regression_budgets;
+const urls = loadEnvironmentUrls(envPath);
+
+// Convert the URLs object to an array of objects with name, url and page group
+const pagesToTest = buildPagesToTest(urls, loadPageGroups(envPath));
+
+/**
+ * Interact with the page the way a visitor would, without leaving it
+ *
+ * @param {Object} page - Playwright page object
+ */
+async function interactWithPage(page) {
+  for (let i = 0; i < 3; i++) {
+    await page.mouse.wheel(0, 600);
+    await page.waitForTimeout(300);
+  }
+
+  // Click a heading (not a link) so the page does not navigate away
+  const heading = page.locator('h1, h2').first();
+  if (await heading.count() > 0 && await heading.isVisible()) {
+    await heading.click({ timeout: 5000 }).catch(() => {});
+  }
+
+  await page.keyboard.press('Tab');
+  await page.waitForTimeout(500);
+}
+
+// Run tests for each URL of the target environment
+for (const { name: pageName, url: pageUrl, group, device } of pagesToTest) {
+  test(`in-page web vitals for ${pageName}`, { annotation: pageGroupAnnotation({ group, device }) }, async ({ page, browserName }) => {
+    test.skip(browserName !== 'chromium', 'Web Vitals attribution needs Chromium');
+    test.setTimeout(120000);
+
+    // Budgets of the page's group override the global performance budgets
+    const performanceBudgets = getGroupBudgets(thresholdsConfig, group, 'performanceBudgets');
+
+    console.log(`Measuring in-page Web Vitals for: ${pageName} at ${pageUrl}`);
+
+    const captureTrace = isTraceCaptureEnabled();
+
+    await applyDeviceProfile(page, device);
+    await installWebVitalsCollector(page);
+    if (captureTrace) {
+      await startTraceRecording(page);
+    }
+    await navigateWithRetry(page, pageUrl);
+    await page.waitForLoadState('load');
+    await interactWithPage(page);
+
+    const webVitals = await collectWebVitals(page);
+    const { metrics, attribution } = webVitals;
+    logWebVitals(webVitals, pageName);
+
+    let longTasks;
+    const tracePath = path.join(reportsDirectory, `${pageName}-web-vitals.trace.json`);
+    if (captureTrace) {
+      const trace = await stopTraceRecording(page, tracePath);
+      longTasks = summarizeLongTasks(trace);
+      logLongTaskSummary(longTasks, pageName);
+    }
+
+    // Compare with the rolling baseline before the current run joins the history
+    const regressionCheck = detectMetricRegressions(
+      metrics,
+      loadMetricsHistory(pageName, reportsDirectory, '-web-vitals'),
+      regressionBudgets
+    );
+    logRegressionReport(regressionCheck, pageName);
+
+    saveMetricsToHistory({
+      ...metrics,
+      pageName,
+      url: pageUrl,
+      group,
+      device,
+      attribution,
+      ...(longTasks ? { longTasks } : {})
+    }, pageName, reportsDirectory, '-web-vitals');
+
+    // Show the metrics and regressions in the per-spec HTML report
+    await attachAuditResults({
+      url: pageUrl,
+      metrics,
+      recommendations: regressionRecommendations(regressionCheck),
+      reports: captureTrace ? [{ label: 'Performance trace', path: tracePath }] : []
+    });
+
+    // Assert the field-style metrics against the budgets
+    expect(metrics.largestContentfulPaint, 'Largest Contentful Paint not measured').not.toBeNull();
+    expect(metrics.largestContentfulPaint, `LCP element: ${attribution.largestContentfulPaint?.element}`)
+      .toBeLessThan(performanceBudgets['largest-contentful-paint']);
+    expect(metrics.cumulativeLayoutShift, `Shifted nodes: ${attribution.cumulativeLayoutShift.sources.map(source => source.selector).join(', ')}`)
+      .toBeLessThan(performanceBudgets['cumulative-layout-shift']);
+    if (metrics.interactionToNextPaint !== null) {
+      expect(metrics.interactionToNextPaint, `Slowest interaction: ${attribution.interactionToNextPaint?.type} on ${attribution.interactionToNextPaint?.target}`)
+        .toBeLessThan(performanceBudgets['interaction-to-next-paint']);
+    }
+
+    // Assert no metric regressed beyond its tolerance against the history baseline
+    expect(regressionCheck.failures.map(item => item.metric), 'Metrics regressed against history baseline').toEqual([]);
+  });
+}
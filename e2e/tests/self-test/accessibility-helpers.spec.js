@@ -0,0 +1,113 @@
+/**
+ * Accessibility Helpers Self-Test
+ * ==============================
+ *
+ * Purpose:
+ * This test suite checks the accessibility helpers against the local fixture site
+ * (e2e/fixtures/site), whose pages contain known defects. The expected findings are
+ * exact, so a change to a helper that alters its results fails here instead of
+ * silently changing the audits of the live site.
+ *
+ * Covered Helpers:
+ * 1. calculateContrastRatio / checkContrastCompliance / collectTextElementColors
+ * 2. detectKeyboardTrap
+ * 3. extractAccessibilityMetrics / generateAccessibilityRecommendations (image alt text)
+ *
+ * The fixture server is started by the `webServer` option in playwright.config.js.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  calculateContrastRatio,
+  checkContrastCompliance,
+  collectTextElementColors,
+  detectKeyboardTrap,
+  extractAccessibilityMetrics,
+  generateAccessibilityRecommendations
+} = require('../../helpers/accessibility-helpers');
+const { runAuditSession } = require('../../helpers/audit-session');
+
+const white = { r: 255, g: 255, b: 255 };
+const black = { r: 0, g: 0, b: 0 };
+
+test.describe('calculateContrastRatio', () => {
+  test('returns 21:1 for black on white and 1:1 for identical colors', () => {
+    expect(calculateContrastRatio(black, white)).toBeCloseTo(21, 5);
+    expect(calculateContrastRatio(white, white)).toBeCloseTo(1, 5);
+  });
+
+  test('does not depend on the order of the colors', () => {
+    const gray = { r: 118, g: 118, b: 118 };
+    expect(calculateContrastRatio(gray, white)).toBe(calculateContrastRatio(white, gray));
+    expect(calculateContrastRatio(gray, white).toFixed(2)).toBe('4.54');
+  });
+});
+
+test('color contrast helpers report the known contrast defects', async ({ page }) => {
+  await page.goto('/contrast.html');
+
+  const results = checkContrastCompliance(await collectTextElementColors(page));
+
+  expect(results.map(({ text, contrastRatio, isLargeText, wcagLevel }) => ({ text, contrastRatio, isLargeText, wcagLevel }))).toEqual([
+    { text: 'Black text on white', contrastRatio: '21.00', isLargeText: false, wcagLevel: 'AAA' },
+    { text: 'Light gray text on white', contrastRatio: '2.32', isLargeText: false, wcagLevel: 'Fail' },
+    { text: 'Large gray text on white', contrastRatio: '3.03', isLargeText: true, wcagLevel: 'AA' },
+    { text: 'Mid gray text on white', contrastRatio: '4.54', isLargeText: false, wcagLevel: 'AA' },
+    { text: 'Dark gray text on dark background', contrastRatio: '1.30', isLargeText: false, wcagLevel: 'Fail' }
+  ]);
+});
+
+test('keyboard trap detection reports the trapped field', async ({ page }) => {
+  await page.goto('/keyboard-trap.html');
+
+  const { focusedElements, potentialKeyboardTrap, keyboardTrapElement } = await detectKeyboardTrap(page, 10);
+
+  expect(potentialKeyboardTrap).toBe(true);
+  expect(keyboardTrapElement).toMatchObject({ tagName: 'input', id: 'trap' });
+  expect(focusedElements.map(element => element.id)).toEqual(['before-trap', 'trap', 'trap', 'trap', 'trap']);
+});
+
+test('keyboard trap detection passes a page without traps', async ({ page }) => {
+  await page.goto('/');
+
+  const { focusedElements, potentialKeyboardTrap, keyboardTrapElement } = await detectKeyboardTrap(page, 7);
+
+  expect(potentialKeyboardTrap).toBe(false);
+  expect(keyboardTrapElement).toBeNull();
+  expect(focusedElements.map(element => element.text)).toEqual([
+    'Skip to main content',
+    'Color contrast',
+    'Missing alt text',
+    'Heading skips',
+    'Keyboard trap',
+    'Broken JSON-LD',
+    'Meta tags'
+  ]);
+});
+
+test('accessibility metrics report the images without alt text', async ({ baseURL }, testInfo) => {
+  test.setTimeout(180000);
+
+  const { lhr } = await runAuditSession({
+    url: `${baseURL}/missing-alt.html`,
+    auth: false,
+    runs: 1,
+    reportName: 'missing-alt',
+    reportsDirectory: testInfo.outputPath('lighthouse'),
+    categories: ['accessibility'],
+    thresholds: { accessibility: 0 }
+  });
+
+  const metrics = extractAccessibilityMetrics(lhr);
+  const offendingImages = metrics['image-alt'].details.items.map(item => item.node.snippet);
+
+  expect(metrics['image-alt'].score).toBe(0);
+  expect(offendingImages).toHaveLength(2);
+  expect(offendingImages[0]).toContain('id="no-alt-1"');
+  expect(offendingImages[1]).toContain('id="no-alt-2"');
+  expect(generateAccessibilityRecommendations(metrics).map(rec => rec.title)).toContain('Add alt text to images');
+});
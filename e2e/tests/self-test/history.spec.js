@@ -0,0 +1,146 @@
+/**
+ * Metrics History Self-Test
+ * =========================
+ *
+ * Purpose:
+ * This test suite checks the history files that regression detection and the trend
+ * dashboard read. Several child processes append at the same time, like the
+ * Playwright workers of a run, so lost entries or a broken lock fail here.
+ *
+ * Covered Helpers:
+ * 1. appendHistoryEntry (file lock, concurrent appends, maxEntries and maxAgeDays)
+ * 2. loadMetricsHistory (`.json` history files from before JSON Lines, incomplete lines)
+ *
+ * The tests only need Node, no browser or fixture page.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { test, expect } = require('@playwright/test');
+const { appendHistoryEntry, loadMetricsHistory } = require('../../../utils');
+
+const UTILS_PATH = path.join(__dirname, '..', '..', '..', 'utils.js');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Append entries to a history file from several child processes at once
+ *
+ * @param {string} historyPath - Path of the history file
+ * @param {number} workers - Number of child processes
+ * @param {number} entries - Entries appended by every process
+ * @param {Object} [retention={}] - Retention rules passed to appendHistoryEntry
+ */
+async function appendFromWorkers(historyPath, workers, entries, retention = {}) {
+  const script = `
+    const { appendHistoryEntry } = require(${JSON.stringify(UTILS_PATH)});
+    const [historyPath, worker, entries, retention] = process.argv.slice(1);
+    for (let index = 0; index < Number(entries); index++) {
+      appendHistoryEntry(historyPath, { timestamp: new Date().toISOString(), worker: Number(worker), index }, JSON.parse(retention));
+    }
+  `;
+  await Promise.all(Array.from({ length: workers }, (_, worker) =>
+    promisify(execFile)(process.execPath, ['-e', script, historyPath, String(worker), String(entries), JSON.stringify(retention)])
+  ));
+}
+
+const readLines = historyPath => fs.readFileSync(historyPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('appendHistoryEntry loses no entries of parallel workers', async ({}, testInfo) => {
+  const historyPath = testInfo.outputPath('home-history.jsonl');
+
+  await appendFromWorkers(historyPath, 4, 25);
+
+  const entries = readLines(historyPath);
+  expect(entries).toHaveLength(100);
+  for (let worker = 0; worker < 4; worker++) {
+    // Every worker's entries are complete and in the order they were appended
+    expect(entries.filter(entry => entry.worker === worker).map(entry => entry.index))
+      .toEqual(Array.from({ length: 25 }, (_, index) => index));
+  }
+  expect(fs.readdirSync(testInfo.outputPath())).toEqual(['home-history.jsonl']);
+});
+
+test('appendHistoryEntry keeps parallel workers within maxEntries', async ({}, testInfo) => {
+  const historyPath = testInfo.outputPath('home-history.jsonl');
+
+  await appendFromWorkers(historyPath, 4, 25, { maxEntries: 20 });
+
+  // Files are compacted back to maxEntries once they are 20% over it
+  const entries = readLines(historyPath);
+  expect(entries.length).toBeGreaterThanOrEqual(20);
+  expect(entries.length).toBeLessThanOrEqual(24);
+  // Compaction drops the oldest entries, so every worker keeps a consecutive run of its
+  // latest entries and the last entry appended is the last entry of a worker
+  for (let worker = 0; worker < 4; worker++) {
+    const indexes = entries.filter(entry => entry.worker === worker).map(entry => entry.index);
+    expect(indexes.every((index, position) => position === 0 || index === indexes[position - 1] + 1)).toBe(true);
+  }
+  expect(entries[entries.length - 1].index).toBe(24);
+});
+
+test('appendHistoryEntry compacts a full file only 20% over maxEntries', async ({}, testInfo) => {
+  const historyPath = testInfo.outputPath('home-history.jsonl');
+  const lineCounts = [];
+
+  for (let index = 0; index < 16; index++) {
+    appendHistoryEntry(historyPath, { timestamp: new Date().toISOString(), index }, { maxEntries: 10 });
+    lineCounts.push(readLines(historyPath).length);
+  }
+
+  expect(lineCounts).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 10, 11, 12, 10]);
+  expect(readLines(historyPath).map(entry => entry.index)).toEqual([6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+});
+
+test('appendHistoryEntry drops entries older than maxAgeDays', async ({}, testInfo) => {
+  const historyPath = testInfo.outputPath('home-history.jsonl');
+  const timestamp = daysAgo => new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+  fs.writeFileSync(historyPath, [40, 35, 10].map(daysAgo => `${JSON.stringify({ timestamp: timestamp(daysAgo), daysAgo })}\n`).join(''));
+
+  appendHistoryEntry(historyPath, { timestamp: timestamp(0), daysAgo: 0 }, { maxAgeDays: 30 });
+
+  expect(readLines(historyPath).map(entry => entry.daysAgo)).toEqual([10, 0]);
+});
+
+test('appendHistoryEntry takes over a lock left behind by a crashed worker', async ({}, testInfo) => {
+  const historyPath = testInfo.outputPath('home-history.jsonl');
+  const staleTime = new Date(Date.now() - 60000);
+  fs.writeFileSync(`${historyPath}.lock`, '');
+  fs.utimesSync(`${historyPath}.lock`, staleTime, staleTime);
+
+  await appendFromWorkers(historyPath, 3, 10);
+
+  expect(readLines(historyPath)).toHaveLength(30);
+  expect(fs.readdirSync(testInfo.outputPath())).toEqual(['home-history.jsonl']);
+});
+
+test('loadMetricsHistory merges the .json history from before JSON Lines', async ({}, testInfo) => {
+  const reportsDirectory = testInfo.outputPath();
+  const historyPath = path.join(reportsDirectory, 'home-history-3g.jsonl');
+  const legacyPath = path.join(reportsDirectory, 'home-history-3g.json');
+  fs.writeFileSync(legacyPath, JSON.stringify([{ timestamp: '2024-01-01T00:00:00.000Z', run: 1 }, { timestamp: '2024-01-02T00:00:00.000Z', run: 2 }]));
+  fs.writeFileSync(historyPath, `${JSON.stringify({ timestamp: '2024-01-03T00:00:00.000Z', run: 3 })}\n`);
+
+  expect(loadMetricsHistory('home', reportsDirectory, '-3g').map(entry => entry.run)).toEqual([1, 2, 3]);
+
+  // The next append converts the file to JSON Lines and removes the .json file
+  appendHistoryEntry(historyPath, { timestamp: '2024-01-04T00:00:00.000Z', run: 4 });
+  expect(fs.existsSync(legacyPath)).toBe(false);
+  expect(readLines(historyPath).map(entry => entry.run)).toEqual([1, 2, 3, 4]);
+  expect(loadMetricsHistory('about', reportsDirectory)).toEqual([]);
+});
+
+test('loadMetricsHistory skips the incomplete line of a concurrent write', async ({}, testInfo) => {
+  const reportsDirectory = testInfo.outputPath();
+  fs.writeFileSync(
+    path.join(reportsDirectory, 'home-history.jsonl'),
+    `${JSON.stringify({ timestamp: '2024-01-03T00:00:00.000Z', run: 3 })}\n{"timestamp": "2024-01-0`
+  );
+
+  expect(loadMetricsHistory('home', reportsDirectory).map(entry => entry.run)).toEqual([3]);
+});
@@ -0,0 +1,154 @@
+/**
+ * Site-Wide Opportunity Ranking Self-Test
+ * =======================================
+ *
+ * Purpose:
+ * This test suite checks the site-wide opportunity ranking against the synthetic
+ * opportunities of three pages, so the summed savings and the order of both
+ * rankings are known exactly.
+ *
+ * Covered Helpers:
+ * 1. loadPageOpportunities (detailed reports in a directory)
+ * 2. aggregateOpportunities (ranking by page count, then time and byte savings)
+ *
+ * The tests only need Node, no browser or fixture page.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { loadPageOpportunities, aggregateOpportunities } = require('../../helpers/opportunities');
+
+const HERO = 'https://example.com/hero.jpg';
+const LOGO = 'https://example.com/logo.png';
+const STYLES = 'https://example.com/styles.css';
+const APP = 'https://example.com/app.js';
+
+const pageOpportunities = [
+  {
+    page: 'home',
+    url: 'https://example.com/',
+    device: 'desktop',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    opportunities: [
+      {
+        id: 'uses-responsive-images', title: 'Properly size images', savingsMs: 600, savingsBytes: 200000,
+        resources: [{ url: HERO, wastedMs: 500, wastedBytes: 150000 }, { url: LOGO, wastedMs: 100, wastedBytes: 50000 }]
+      },
+      {
+        id: 'render-blocking-resources', title: 'Eliminate render-blocking resources', savingsMs: 300, savingsBytes: 0,
+        resources: [{ url: STYLES, wastedMs: 300 }, { url: APP, wastedMs: 150 }]
+      }
+    ]
+  },
+  {
+    page: 'blog',
+    url: 'https://example.com/blog',
+    device: 'desktop',
+    timestamp: '2024-05-01T10:01:00.000Z',
+    opportunities: [
+      {
+        id: 'uses-responsive-images', title: 'Properly size images', savingsMs: 400, savingsBytes: 100000,
+        resources: [{ url: HERO, wastedMs: 400, wastedBytes: 100000 }]
+      },
+      {
+        id: 'unused-javascript', title: 'Reduce unused JavaScript', savingsMs: 900, savingsBytes: 300000,
+        resources: [{ url: APP, wastedMs: 900, wastedBytes: 300000 }]
+      }
+    ]
+  },
+  {
+    page: 'about',
+    url: 'https://example.com/about',
+    device: 'desktop',
+    timestamp: '2024-05-01T10:02:00.000Z',
+    opportunities: [
+      {
+        id: 'uses-responsive-images', title: 'Properly size images', savingsMs: 200, savingsBytes: 50000,
+        resources: [{ url: HERO, wastedMs: 200, wastedBytes: 50000 }]
+      },
+      {
+        id: 'render-blocking-resources', title: 'Eliminate render-blocking resources', savingsMs: 100, savingsBytes: 0,
+        resources: [{ url: STYLES, wastedMs: 100, wastedBytes: 0 }]
+      },
+      // Opportunities without an id are keyed by their title
+      { title: 'Custom check', savingsMs: 50 }
+    ]
+  }
+];
+
+test('aggregateOpportunities ranks the opportunities by pages, then savings', () => {
+  const ranking = aggregateOpportunities(pageOpportunities);
+
+  expect(ranking.pages).toEqual([
+    { page: 'home', url: 'https://example.com/', device: 'desktop', timestamp: '2024-05-01T10:00:00.000Z' },
+    { page: 'blog', url: 'https://example.com/blog', device: 'desktop', timestamp: '2024-05-01T10:01:00.000Z' },
+    { page: 'about', url: 'https://example.com/about', device: 'desktop', timestamp: '2024-05-01T10:02:00.000Z' }
+  ]);
+  expect(ranking.opportunities).toEqual([
+    {
+      id: 'uses-responsive-images', title: 'Properly size images', pages: ['home', 'blog', 'about'],
+      totalSavingsMs: 1200, totalSavingsBytes: 350000, maxSavingsMs: 600, pageCount: 3
+    },
+    {
+      id: 'render-blocking-resources', title: 'Eliminate render-blocking resources', pages: ['home', 'about'],
+      totalSavingsMs: 400, totalSavingsBytes: 0, maxSavingsMs: 300, pageCount: 2
+    },
+    {
+      id: 'unused-javascript', title: 'Reduce unused JavaScript', pages: ['blog'],
+      totalSavingsMs: 900, totalSavingsBytes: 300000, maxSavingsMs: 900, pageCount: 1
+    },
+    {
+      id: undefined, title: 'Custom check', pages: ['about'],
+      totalSavingsMs: 50, totalSavingsBytes: 0, maxSavingsMs: 50, pageCount: 1
+    }
+  ]);
+});
+
+test('aggregateOpportunities ranks the affected resources by pages, then wasted time', () => {
+  const ranking = aggregateOpportunities(pageOpportunities);
+
+  expect(ranking.resources).toEqual([
+    {
+      url: HERO, pages: ['about', 'blog', 'home'], opportunities: ['uses-responsive-images'],
+      totalWastedMs: 1100, totalWastedBytes: 300000, pageCount: 3
+    },
+    {
+      url: APP, pages: ['blog', 'home'], opportunities: ['render-blocking-resources', 'unused-javascript'],
+      totalWastedMs: 1050, totalWastedBytes: 300000, pageCount: 2
+    },
+    {
+      url: STYLES, pages: ['about', 'home'], opportunities: ['render-blocking-resources'],
+      totalWastedMs: 400, totalWastedBytes: 0, pageCount: 2
+    },
+    {
+      url: LOGO, pages: ['home'], opportunities: ['uses-responsive-images'],
+      totalWastedMs: 100, totalWastedBytes: 50000, pageCount: 1
+    }
+  ]);
+});
+
+test('loadPageOpportunities reads only the detailed reports', async ({}, testInfo) => {
+  const reportsDirectory = testInfo.outputPath('performance');
+  fs.mkdirSync(reportsDirectory, { recursive: true });
+  pageOpportunities.slice(0, 2).forEach(({ page, url, device, timestamp, opportunities }) => {
+    fs.writeFileSync(
+      path.join(reportsDirectory, `${page}-detailed-report.json`),
+      JSON.stringify({ url, device, timestamp, opportunities, diagnostics: [] })
+    );
+  });
+  fs.writeFileSync(path.join(reportsDirectory, 'site-opportunities.json'), '{}');
+  fs.writeFileSync(path.join(reportsDirectory, 'contact-detailed-report.json'), JSON.stringify({ url: 'https://example.com/contact' }));
+
+  const loaded = loadPageOpportunities(reportsDirectory);
+
+  // Sorted by file name; reports without opportunities count as pages without any
+  expect(loaded.map(({ page }) => page)).toEqual(['blog', 'contact', 'home']);
+  expect(loaded[0]).toEqual(pageOpportunities[1]);
+  expect(loaded[1].opportunities).toEqual([]);
+  expect(loadPageOpportunities(testInfo.outputPath('missing'))).toEqual([]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Resource Budget Helpers Self-Test
+ * =================================
+ *
+ * Purpose:
+ * This test suite checks the resource budget helpers against a small synthetic
+ * Lighthouse result, so the byte and request counts that the budgets are asserted
+ * against are known exactly.
+ *
+ * Covered Helpers:
+ * 1. extractResourceSummary (resource types, first-/third-party split)
+ * 2. checkResourceBudgets (byte and request budgets)
+ *
+ * The tests only need Node, no browser or fixture page.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const { extractResourceSummary, checkResourceBudgets } = require('../../../utils');
+
+const lhr = {
+  entities: [
+    { name: 'example.com', isFirstParty: true },
+    { name: 'Google Analytics', isFirstParty: false },
+    { name: 'Google Fonts', isFirstParty: false }
+  ],
+  audits: {
+    'resource-summary': {
+      details: {
+        items: [
+          { resourceType: 'total', transferSize: 500000, requestCount: 12 },
+          { resourceType: 'document', transferSize: 20000, requestCount: 1 },
+          { resourceType: 'script', transferSize: 300000, requestCount: 5 },
+          { resourceType: 'stylesheet', transferSize: 40000, requestCount: 2 },
+          { resourceType: 'image', transferSize: 100000, requestCount: 2 },
+          { resourceType: 'font', transferSize: 40000, requestCount: 2 },
+          { resourceType: 'third-party', transferSize: 120000, requestCount: 4 }
+        ]
+      }
+    },
+    'network-requests': {
+      details: {
+        items: [
+          { url: 'https://example.com/', resourceType: 'Document', transferSize: 20000, entity: 'example.com' },
+          { url: 'https://example.com/app.js', resourceType: 'Script', transferSize: 200000, entity: 'example.com' },
+          { url: 'https://www.google-analytics.com/analytics.js', resourceType: 'Script', transferSize: 60000, entity: 'Google Analytics' },
+          { url: 'https://www.google-analytics.com/collect', resourceType: 'Ping', transferSize: 0, entity: 'Google Analytics' },
+          { url: 'https://fonts.gstatic.com/a.woff2', resourceType: 'Font', transferSize: 40000, entity: 'Google Fonts' },
+          { url: 'https://fonts.googleapis.com/css', resourceType: 'Stylesheet', transferSize: 20000, entity: 'Google Fonts' },
+          { url: 'data:image/png;base64,AAAA', resourceType: 'Image', transferSize: 0 }
+        ]
+      }
+    }
+  }
+};
+
+test('extractResourceSummary splits resource types into first- and third-party traffic', () => {
+  const summary = extractResourceSummary(lhr);
+
+  expect(summary.total).toEqual({ bytes: 500000, requests: 12 });
+  expect(summary['third-party']).toEqual({ bytes: 120000, requests: 4 });
+  expect(summary['first-party']).toEqual({ bytes: 380000, requests: 8 });
+  expect(summary.script).toEqual({ bytes: 300000, requests: 5, thirdPartyBytes: 60000, thirdPartyRequests: 1 });
+  expect(summary.stylesheet).toEqual({ bytes: 40000, requests: 2, thirdPartyBytes: 20000, thirdPartyRequests: 1 });
+  expect(summary.font).toEqual({ bytes: 40000, requests: 2, thirdPartyBytes: 40000, thirdPartyRequests: 1 });
+  // Unknown resource types count as other, requests without an entity as first-party
+  expect(summary.other).toEqual({ bytes: 0, requests: 0, thirdPartyBytes: 0, thirdPartyRequests: 1 });
+  expect(summary.image).toEqual({ bytes: 100000, requests: 2, thirdPartyBytes: 0, thirdPartyRequests: 0 });
+  expect(summary.media).toEqual({ bytes: 0, requests: 0, thirdPartyBytes: 0, thirdPartyRequests: 0 });
+});
+
+test('extractResourceSummary works without network-requests', () => {
+  const summary = extractResourceSummary({ audits: { 'resource-summary': lhr.audits['resource-summary'] } });
+
+  expect(summary.script).toEqual({ bytes: 300000, requests: 5 });
+  expect(summary['first-party']).toEqual({ bytes: 380000, requests: 8 });
+});
+
+test('checkResourceBudgets reports every exceeded byte and request budget', () => {
+  const summary = extractResourceSummary(lhr);
+
+  const violations = checkResourceBudgets(summary, {
+    total: { bytes: 600000, requests: 10 },
+    script: { bytes: 250000 },
+    image: { requests: 2 },
+    'third-party': { bytes: 100000, requests: 4 },
+    video: { bytes: 0 }
+  });
+
+  expect(violations).toEqual([
+    { resourceType: 'total', measure: 'requests', actual: 12, budget: 10 },
+    { resourceType: 'script', measure: 'bytes', actual: 300000, budget: 250000 },
+    { resourceType: 'third-party', measure: 'bytes', actual: 120000, budget: 100000 }
+  ]);
+  expect(checkResourceBudgets(summary)).toEqual([]);
+});
@@ -0,0 +1,89 @@
+/**
+ * SEO Helpers Self-Test
+ * ====================
+ *
+ * Purpose:
+ * This test suite checks the SEO helpers against the local fixture site
+ * (e2e/fixtures/site), whose pages contain known defects. The expected findings are
+ * exact, so a change to a helper that alters its results fails here instead of
+ * silently changing the audits of the live site.
+ *
+ * Covered Helpers:
+ * 1. analyzeHeadingStructure (heading skips, missing leading H1, empty headings)
+ * 2. extractMetaTags (name, property, http-equiv and charset meta tags, title)
+ * 3. extractJsonLdData (valid and broken JSON-LD blocks)
+ *
+ * The fixture server is started by the `webServer` option in playwright.config.js.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const { analyzeHeadingStructure } = require('../../helpers/test-helpers');
+const { extractMetaTags, extractJsonLdData } = require('../../../seo_utils');
+
+test('analyzeHeadingStructure reports heading skips', async ({ page }) => {
+  await page.goto('/heading-skip.html');
+
+  const headings = await analyzeHeadingStructure(page);
+
+  expect(headings.headingCount).toBe(6);
+  expect(headings.h1Count).toBe(1);
+  expect(headings.hasProperStructure).toBe(false);
+  expect(headings.hierarchyIssues).toEqual([
+    'First heading is not H1 (found H2)',
+    'Heading level skipped from H1 to H3',
+    'Heading level skipped from H4 to H6'
+  ]);
+  expect(headings.headingData.filter(heading => heading.isEmpty)).toEqual([
+    { level: 2, text: '', isEmpty: true }
+  ]);
+});
+
+test('analyzeHeadingStructure passes a proper heading structure', async ({ page }) => {
+  await page.goto('/');
+
+  const headings = await analyzeHeadingStructure(page);
+
+  expect(headings.hierarchyIssues).toEqual([]);
+  expect(headings.hasProperStructure).toBe(true);
+});
+
+test('extractMetaTags extracts all meta tags and the title', async ({ page }) => {
+  await page.goto('/meta-tags.html');
+
+  expect(await extractMetaTags(page)).toEqual({
+    meta_charset: { charset: 'utf-8' },
+    meta_viewport: { name: 'viewport', content: 'width=device-width, initial-scale=1' },
+    meta_description: { name: 'description', content: 'Meta tag fixture page' },
+    meta_robots: { name: 'robots', content: 'noindex, nofollow' },
+    meta_og_title: { property: 'og:title', content: 'Meta Tags Fixture' },
+    meta_og_type: { property: 'og:type', content: 'website' },
+    meta_x_ua_compatible: { 'http-equiv': 'X-UA-Compatible', content: 'IE=edge' },
+    title: { content: 'Meta Tags Fixture' }
+  });
+});
+
+test('extractJsonLdData reports broken JSON-LD blocks', async ({ page }) => {
+  await page.goto('/broken-json-ld.html');
+
+  const structuredData = await extractJsonLdData(page);
+
+  expect(structuredData).toHaveLength(2);
+  expect(structuredData[0]).toEqual({
+    index: 0,
+    data: {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: 'Fixture Organization',
+      url: 'https://example.com'
+    }
+  });
+  expect(structuredData[1]).toMatchObject({
+    index: 1,
+    error: expect.stringMatching(/^Invalid JSON: /),
+    rawContent: expect.stringContaining('"headline": "Broken article",')
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Third-Party Helpers Self-Test
+ * =============================
+ *
+ * Purpose:
+ * This test suite checks the third-party helpers against a small synthetic
+ * Lighthouse result with a first-party entity, two third-party entities and a
+ * data: URL, so the attributed requests, bytes and main-thread time are known exactly.
+ *
+ * Covered Helpers:
+ * 1. extractThirdPartySummary (requests, bytes, blocking and script time per entity)
+ * 2. findUnlistedThirdParties (entity names, host names, `*.` wildcards, null origins)
+ * 3. compareBlockedMetrics (deltas and metric direction of a blocking experiment)
+ *
+ * The tests only need Node, no browser or fixture page.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  extractThirdPartySummary,
+  findUnlistedThirdParties,
+  compareBlockedMetrics
+} = require('../../helpers/third-party');
+
+const lhr = {
+  entities: [
+    { name: 'example.com', isFirstParty: true, category: 'unknown' },
+    { name: 'Google Analytics', isFirstParty: false, category: 'analytics' },
+    { name: 'Chat Widget', isFirstParty: false, category: 'customer-success' }
+  ],
+  audits: {
+    'network-requests': {
+      details: {
+        items: [
+          { url: 'https://example.com/app.js', transferSize: 200000, entity: 'example.com' },
+          { url: 'https://www.google-analytics.com/analytics.js', transferSize: 50000, entity: 'Google Analytics' },
+          { url: 'https://region1.google-analytics.com/collect', transferSize: 1000, entity: 'Google Analytics' },
+          { url: 'https://widget.chat.io/loader.js', transferSize: 30000, entity: 'Chat Widget' },
+          { url: 'https://cdn.chat.io/widget.js', transferSize: 90000, entity: 'Chat Widget' },
+          { url: 'data:image/gif;base64,R0lGODlhAQABAAAAACw=', transferSize: 0, entity: 'Chat Widget' }
+        ]
+      }
+    },
+    'third-party-summary': {
+      details: {
+        items: [
+          { entity: 'Google Analytics', mainThreadTime: 120, blockingTime: 40 },
+          { entity: 'Chat Widget', mainThreadTime: 300, blockingTime: 150 }
+        ]
+      }
+    },
+    'bootup-time': {
+      details: {
+        items: [
+          { url: 'https://example.com/app.js', scripting: 400 },
+          { url: 'https://www.google-analytics.com/analytics.js', scripting: 80 },
+          { url: 'https://cdn.chat.io/widget.js', scripting: 200 },
+          { url: 'https://widget.chat.io/loader.js', scripting: 25 }
+        ]
+      }
+    }
+  }
+};
+
+test('extractThirdPartySummary attributes requests and main-thread time per entity', () => {
+  const summary = extractThirdPartySummary(lhr);
+
+  // Sorted by blocking time; the data: URL counts as a request without an origin
+  expect(summary.entities).toEqual([
+    {
+      entity: 'Chat Widget',
+      category: 'customer-success',
+      origins: ['https://cdn.chat.io', 'https://widget.chat.io'],
+      requests: 3,
+      transferSize: 120000,
+      mainThreadTime: 300,
+      blockingTime: 150,
+      scriptEvaluation: 225
+    },
+    {
+      entity: 'Google Analytics',
+      category: 'analytics',
+      origins: ['https://region1.google-analytics.com', 'https://www.google-analytics.com'],
+      requests: 2,
+      transferSize: 51000,
+      mainThreadTime: 120,
+      blockingTime: 40,
+      scriptEvaluation: 80
+    }
+  ]);
+  expect(summary.totals).toEqual({
+    entities: 2,
+    requests: 5,
+    transferSize: 171000,
+    mainThreadTime: 420,
+    blockingTime: 190,
+    scriptEvaluation: 305
+  });
+});
+
+test('extractThirdPartySummary reports nothing for a first-party page', () => {
+  const summary = extractThirdPartySummary({
+    entities: [lhr.entities[0]],
+    audits: { 'network-requests': { details: { items: [lhr.audits['network-requests'].details.items[0]] } } }
+  });
+
+  expect(summary.entities).toEqual([]);
+  expect(summary.totals.requests).toBe(0);
+});
+
+test('findUnlistedThirdParties matches entity names, host names and wildcards', () => {
+  const summary = extractThirdPartySummary(lhr);
+
+  expect(findUnlistedThirdParties(summary)).toEqual([
+    { origin: 'https://cdn.chat.io', entity: 'Chat Widget', category: 'customer-success' },
+    { origin: 'https://widget.chat.io', entity: 'Chat Widget', category: 'customer-success' },
+    { origin: 'https://region1.google-analytics.com', entity: 'Google Analytics', category: 'analytics' },
+    { origin: 'https://www.google-analytics.com', entity: 'Google Analytics', category: 'analytics' }
+  ]);
+  expect(findUnlistedThirdParties(summary, ['Google Analytics', 'widget.chat.io'])).toEqual([
+    { origin: 'https://cdn.chat.io', entity: 'Chat Widget', category: 'customer-success' }
+  ]);
+  expect(findUnlistedThirdParties(summary, ['*.chat.io', 'www.google-analytics.com'])).toEqual([
+    { origin: 'https://region1.google-analytics.com', entity: 'Google Analytics', category: 'analytics' }
+  ]);
+});
+
+test('findUnlistedThirdParties never allows an origin without a host', () => {
+  const summary = {
+    entities: [{ entity: 'Inline', category: 'unknown', origins: ['null'] }]
+  };
+
+  expect(findUnlistedThirdParties(summary, ['*.example.com', 'null'])).toEqual([
+    { origin: 'null', entity: 'Inline', category: 'unknown' }
+  ]);
+  expect(findUnlistedThirdParties(summary, ['Inline'])).toEqual([]);
+});
+
+test('compareBlockedMetrics compares the metrics in the direction of the schema', () => {
+  const baseline = { performance: 80, largestContentfulPaint: 3000, cumulativeLayoutShift: 0.1, speedIndex: 2000, url: 'https://example.com/' };
+  const blocked = { performance: 92, largestContentfulPaint: 2400, cumulativeLayoutShift: 0.1, totalBlockingTime: 100 };
+
+  // Only metrics measured in both runs are compared; the default schema is metrics_schema.json
+  expect(compareBlockedMetrics(baseline, blocked)).toEqual([
+    { metric: 'performance', unit: '%', baseline: 80, blocked: 92, delta: 12, deltaPercent: 15, improved: true },
+    { metric: 'largestContentfulPaint', unit: 'ms', baseline: 3000, blocked: 2400, delta: -600, deltaPercent: -20, improved: true },
+    { metric: 'cumulativeLayoutShift', unit: '', baseline: 0.1, blocked: 0.1, delta: 0, deltaPercent: 0, improved: false }
+  ]);
+});
+
+test('compareBlockedMetrics treats metrics missing from the schema as lower is better', () => {
+  const schema = { coreMetrics: { score: { unit: '%', higherIsBetter: true } } };
+
+  expect(compareBlockedMetrics({ score: 50, customTiming: 0 }, { score: 40, customTiming: 20 }, schema)).toEqual([
+    { metric: 'score', unit: '%', baseline: 50, blocked: 40, delta: -10, deltaPercent: -20, improved: false },
+    { metric: 'customTiming', unit: '', baseline: 0, blocked: 20, delta: 20, deltaPercent: 0, improved: false }
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * Long-Task Analysis Self-Test
+ * ============================
+ *
+ * Purpose:
+ * This test suite checks the long-task breakdown against a small synthetic Chrome
+ * trace with a page renderer, an out-of-process renderer, nested tasks and nested
+ * script events, so the attributed blocking time of every script is known exactly.
+ *
+ * Covered Helpers:
+ * 1. summarizeLongTasks (main-thread detection, task nesting, script attribution, options)
+ *
+ * The tests only need Node, no browser or fixture page.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const { summarizeLongTasks } = require('../../helpers/trace-analysis');
+
+const APP_SCRIPT = 'https://example.com/app.js';
+const ANALYTICS_SCRIPT = 'https://www.google-analytics.com/analytics.js';
+
+// Times in microseconds, like in a real trace
+const functionCall = (ts, dur, functionName, url = APP_SCRIPT) => ({
+  name: 'FunctionCall', ph: 'X', pid: 1, tid: 1, ts, dur,
+  args: { data: { url, functionName, lineNumber: 10, columnNumber: 2 } }
+});
+const task = (ts, dur, pid = 1, name = 'RunTask') => ({ name, ph: 'X', pid, tid: 1, ts, dur });
+
+const pageEvents = [
+  { name: 'thread_name', ph: 'M', pid: 1, tid: 1, args: { name: 'CrRendererMain' } },
+  { name: 'thread_name', ph: 'M', pid: 2, tid: 1, args: { name: 'CrRendererMain' } },
+  { name: 'TracingStartedInBrowser', ph: 'I', pid: 9, tid: 1, ts: 900000, args: { data: { frames: [{ frame: 'F1', processId: 1 }] } } },
+  { name: 'navigationStart', ph: 'R', pid: 1, tid: 1, ts: 1000000 },
+
+  // 120ms task: render runs 90ms (with a nested call), the analytics script 10ms
+  task(1100000, 120000),
+  functionCall(1100500, 90000, 'render'),
+  functionCall(1101000, 50000, 'renderChild'),
+  { name: 'EvaluateScript', ph: 'X', pid: 1, tid: 1, ts: 1195000, dur: 10000, args: { data: { url: ANALYTICS_SCRIPT } } },
+
+  // 30ms task: not a long task
+  task(1300000, 30000),
+
+  // 80ms task with a nested message loop task inside
+  task(1400000, 80000),
+  functionCall(1405000, 70000, 'render'),
+  task(1410000, 60000),
+
+  // 65ms task without script work
+  task(1600000, 65000, 1, 'ThreadControllerImpl::RunTask'),
+  { name: 'Layout', ph: 'X', pid: 1, tid: 1, ts: 1600100, dur: 64000 },
+
+  // Out-of-process renderer that does not belong to the page
+  task(1100000, 500000, 2)
+];
+
+test('summarizeLongTasks attributes the long tasks of the page to scripts', () => {
+  const summary = summarizeLongTasks({ traceEvents: pageEvents });
+
+  expect(summary).toEqual({
+    threshold: 50,
+    count: 3,
+    totalDuration: 265,
+    totalBlockingTime: 115,
+    offenders: [
+      { url: APP_SCRIPT, functionName: 'render', lineNumber: 10, columnNumber: 2, tasks: 2, duration: 200, blockingTime: 100, longestTask: 120 },
+      { url: '', functionName: '(no script)', lineNumber: null, columnNumber: null, tasks: 1, duration: 65, blockingTime: 15, longestTask: 65 }
+    ],
+    tasks: [
+      { startTime: 100, duration: 120, blockingTime: 70, url: APP_SCRIPT, functionName: 'render', lineNumber: 10, columnNumber: 2 },
+      { startTime: 400, duration: 80, blockingTime: 30, url: APP_SCRIPT, functionName: 'render', lineNumber: 10, columnNumber: 2 },
+      { startTime: 600, duration: 65, blockingTime: 15, url: '', functionName: '(no script)', lineNumber: null, columnNumber: null }
+    ]
+  });
+});
+
+test('summarizeLongTasks applies the threshold and limit options', () => {
+  const summary = summarizeLongTasks({ traceEvents: pageEvents }, { threshold: 25, limit: 1 });
+
+  // Blocking time is always the part above 50ms, whatever the threshold
+  expect(summary.threshold).toBe(25);
+  expect(summary.count).toBe(4);
+  expect(summary.totalDuration).toBe(295);
+  expect(summary.totalBlockingTime).toBe(115);
+  expect(summary.offenders.map(offender => offender.functionName)).toEqual(['render']);
+  expect(summary.tasks.map(longTask => longTask.duration)).toEqual([120]);
+});
+
+test('summarizeLongTasks uses every renderer main thread when the trace names no page', () => {
+  const events = pageEvents.filter(event => !['TracingStartedInBrowser', 'navigationStart'].includes(event.name));
+
+  const summary = summarizeLongTasks(events);
+
+  // Times are relative to the first task without a navigation start
+  expect(summary.count).toBe(4);
+  expect(summary.tasks[0]).toEqual({
+    startTime: 0, duration: 500, blockingTime: 450, url: '', functionName: '(no script)', lineNumber: null, columnNumber: null
+  });
+});
+
+test('summarizeLongTasks reports no long tasks for an empty trace', () => {
+  expect(summarizeLongTasks({})).toEqual({
+    threshold: 50, count: 0, totalDuration: 0, totalBlockingTime: 0, offenders: [], tasks: []
+  });
+});
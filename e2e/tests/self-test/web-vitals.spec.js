@@ -0,0 +1,88 @@
+/**
+ * Web Vitals Collector Self-Test
+ * =============================
+ *
+ * Purpose:
+ * This test suite checks the in-page Web Vitals collector against the fixture page
+ * e2e/fixtures/site/web-vitals.html, which has a known LCP element, a late banner
+ * that shifts the content and a button that blocks the main thread for 300ms.
+ *
+ * Covered Helpers:
+ * 1. installWebVitalsCollector / collectWebVitals (metrics and attribution)
+ * 2. computeCumulativeLayoutShift (session windows and source attribution)
+ * 3. computeInteractionToNextPaint (outlier handling)
+ *
+ * The fixture server is started by the `webServer` option in playwright.config.js.
+ * Run with: npm run test:self
+ *
+ * @author Viktor Pavlov
+ * @version 1.0
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  installWebVitalsCollector,
+  collectWebVitals,
+  computeCumulativeLayoutShift,
+  computeInteractionToNextPaint
+} = require('../../helpers/web-vitals');
+
+test('collectWebVitals attributes LCP, CLS and INP on the fixture page', async ({ page }) => {
+  await installWebVitalsCollector(page);
+  await page.goto('/web-vitals.html');
+  // Let the late banner shift the content before any input
+  await page.waitForTimeout(1000);
+  await page.click('#slow-button');
+
+  const { metrics, attribution } = await collectWebVitals(page);
+
+  expect(Object.keys(metrics)).toEqual([
+    'largestContentfulPaint',
+    'cumulativeLayoutShift',
+    'interactionToNextPaint',
+    'firstContentfulPaint',
+    'timeToFirstByte'
+  ]);
+  expect(attribution.largestContentfulPaint.element).toBe('h1#hero-title');
+  expect(metrics.cumulativeLayoutShift).toBeGreaterThan(0);
+  expect(attribution.cumulativeLayoutShift.sources.map(source => source.selector)).toContain('p#content');
+  expect(metrics.interactionToNextPaint).toBeGreaterThanOrEqual(300);
+  expect(attribution.interactionToNextPaint).toMatchObject({ target: 'button#slow-button' });
+});
+
+test('collectWebVitals reports no INP without interactions', async ({ page }) => {
+  await installWebVitalsCollector(page);
+  await page.goto('/');
+
+  const { metrics, attribution } = await collectWebVitals(page);
+
+  expect(metrics.interactionToNextPaint).toBeNull();
+  expect(attribution.interactionToNextPaint).toBeNull();
+  expect(metrics.cumulativeLayoutShift).toBe(0);
+});
+
+test('collectWebVitals requires the collector to be installed', async ({ page }) => {
+  await page.goto('/');
+
+  await expect(collectWebVitals(page)).rejects.toThrow('Web Vitals collector is not installed');
+});
+
+test('computeCumulativeLayoutShift uses the largest session window', () => {
+  const cls = computeCumulativeLayoutShift([
+    { startTime: 100, value: 0.05, sources: ['p#a'] },
+    { startTime: 600, value: 0.05, sources: ['p#a', 'p#b'] },
+    // More than 1 second later: starts a new window
+    { startTime: 3000, value: 0.2, sources: ['div#ad'] }
+  ]);
+
+  expect(cls.value).toBeCloseTo(0.2, 5);
+  expect(cls.sources).toEqual([{ selector: 'div#ad', value: 0.2, count: 1 }]);
+});
+
+test('computeInteractionToNextPaint ignores one outlier per 50 interactions', () => {
+  const interactions = Array.from({ length: 60 }, (_, index) => ({ type: 'click', duration: index }));
+
+  expect(computeInteractionToNextPaint([])).toBeNull();
+  expect(computeInteractionToNextPaint(interactions.slice(0, 10)).duration).toBe(9);
+  expect(computeInteractionToNextPaint(interactions).duration).toBe(58);
+});
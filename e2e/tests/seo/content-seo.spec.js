@@ -34,6 +34,7 @@ const {
 } = require('../../helpers/audit-helpers');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
   navigateWithRetry,
   analyzeContentQuality,
@@ -51,12 +52,12 @@ const reportsDirectory = createReportsDirectory('seo/content');
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Content SEO audit: ${pageConfig.name}`, async () => {
+  test(`Content SEO audit: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async () => {
     // Increase timeout for tests (2 minutes)
     test.setTimeout(120000);
     
     // Setup browser
-    const { browser, context, page } = await setupBrowserForAudit();
+    const { browser, context, page } = await setupBrowserForAudit({ device: pageConfig.device });
     
     try {
       // Navigate to the page
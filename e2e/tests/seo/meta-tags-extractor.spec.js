@@ -23,7 +23,10 @@ const fs = require('fs');
 const path = require('path');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
+  getDeviceContextOptions,
+  applyDeviceProfile,
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
 const {
@@ -32,6 +35,7 @@ const {
   ensureBaselineDirectory,
   extractMetaTags
 } = require('../../../seo_utils');
+const { getRunContext } = require('../../helpers/run-metadata');
 
 // Load test configuration
 const { pagesToTest } = loadTestConfig();
@@ -53,9 +57,10 @@ ensureBaselineDirectory(baselinePath);
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Extract and compare meta tags from: ${pageConfig.name}`, async ({ page }) => {
-    // Navigate to the page
+  test(`Extract and compare meta tags from: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async ({ page }) => {
+    // Navigate to the page (emulating the device of a DEVICE_MATRIX run)
     console.log(`Extracting meta tags from: ${pageConfig.url}`);
+    await applyDeviceProfile(page, pageConfig.device);
     await navigateWithRetry(page, pageConfig.url);
     
     // Wait for head to be fully loaded
@@ -134,7 +139,8 @@ for (const pageConfig of pagesToTest) {
       timestamp: new Date().toISOString(),
       metaTags,
       metaTagCount,
-      comparisonResult
+      comparisonResult,
+      runContext: getRunContext()
     }, null, 2));
     
     console.log(`Meta tags report saved to: ${reportPath}`);
@@ -161,7 +167,7 @@ test('Update all meta tag baselines', async ({ browser }) => {
     try {
       await test.step(`Update baseline for ${pageConfig.name}`, async () => {
       // Create a new context for each page
-      const context = await browser.newContext();
+      const context = await browser.newContext(getDeviceContextOptions(pageConfig.device));
       const page = await context.newPage();
       
       try {
@@ -26,7 +26,7 @@
  * @version 1.0
  */
 
-const { test } = require('@playwright/test');
+const { test, expect } = require('@playwright/test');
 const path = require('path');
 const { 
   runLighthouseAudit, 
@@ -35,33 +35,34 @@ const {
 } = require('../../helpers/audit-helpers');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
-const deviceProfiles = require('../../config/device-profiles');
+const { getDeviceProfile } = require('../../../utils');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
 
 // Load test configuration
-const { seoThresholds, pagesToTest } = loadTestConfig();
+const { pagesToTest } = loadTestConfig();
 
 // Create reports directory
 const reportsDirectory = createReportsDirectory('seo/mobile');
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`Mobile SEO audit: ${pageConfig.name}`, async () => {
+  test(`Mobile SEO audit: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async () => {
+    // Use the mobile profile, or the device of a DEVICE_MATRIX run if it is a mobile device
+    const device = pageConfig.device || 'mobile';
+    test.skip(!getDeviceProfile(device).isMobile, `Mobile SEO audit does not apply to ${device}`);
+    
     // Increase timeout for Lighthouse tests (5 minutes)
     test.setTimeout(300000);
     
-    // Setup browser for audit
-    const { browser, context, page, debugPort } = await setupBrowserForAudit();
+    // Setup browser for audit, configured for the mobile device
+    const { browser, context, page, debugPort } = await setupBrowserForAudit({ device });
     
     try {
-      // Configure for mobile device
-      await page.setViewportSize(deviceProfiles.mobile.viewport);
-      await page.setExtraHTTPHeaders({
-        'User-Agent': deviceProfiles.mobile.userAgent
-      });
-      
       // Navigate to the page
       console.log(`Testing Mobile SEO for: ${pageConfig.url}`);
       await navigateWithRetry(page, pageConfig.url);
@@ -69,17 +70,19 @@ for (const pageConfig of pagesToTest) {
       console.log(`Starting Mobile SEO audit with port ${debugPort}...`);
       
       // Run Lighthouse audit with mobile emulation
-      const { lhr } = await runLighthouseAudit(page, debugPort, {
+      const { lhr, reports, errors } = await runLighthouseAudit(page, debugPort, {
         thresholds: {
           performance: 0,
           accessibility: 0,
           'best-practices': 0,
-          seo: seoThresholds['seo-score'],
+          seo: pageConfig.seoThresholds['seo-score'],
           pwa: 0
         },
+        ignoreError: true, // Asserted after the results are attached
         reportName: `${pageConfig.name}-mobile-seo-audit`,
         reportsDirectory,
         mobile: true,
+        device,
         categories: ['seo']
       });
       
@@ -165,9 +168,23 @@ for (const pageConfig of pagesToTest) {
         timestamp: new Date().toISOString(),
         mobileSeoScore: mobileSeoMetrics['seo-score'],
         mobileMetrics: mobileSeoMetrics,
-        mobileUsabilityIssues
+        mobileUsabilityIssues,
+        runContext: getRunContext(lhr)
       });
       
+      // Show the mobile factors, issues and reports in the per-spec report
+      const { 'seo-score': mobileSeoScore, ...mobileFactors } = mobileSeoMetrics;
+      await attachAuditResults({
+        url: pageConfig.url,
+        metrics: mobileFactors,
+        scores: { seo: mobileSeoScore },
+        recommendations: [...errors.map(error => ({ title: error, priority: 'fail' })), ...mobileUsabilityIssues],
+        reports: lighthouseReportLinks(reports, [{ label: 'Detailed report (JSON)', path: reportPath }])
+      });
+      
+      // Assert the mobile SEO score against the threshold
+      expect(errors, 'Category scores under the thresholds').toEqual([]);
+      
     } catch (error) {
       console.error(`Error running Mobile SEO audit for ${pageConfig.url}:`, error);
       throw error;
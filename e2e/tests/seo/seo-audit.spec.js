@@ -12,7 +12,7 @@
  * 2. Validate meta tags, headings, and content structure
  * 3. Check mobile-friendliness and responsive design
  * 4. Verify structured data and schema markup
- * 5. Compare results against defined thresholds in treshholds.json
+ * 5. Compare the SEO score and every audit with the seo_budgets of the page group
  * 6. Generate SEO reports with recommendations
  * 
  * Key Metrics Measured:
@@ -31,15 +31,14 @@
  * 2. Launches a browser with a debugging port for Lighthouse
  * 3. Navigates to each page and runs Lighthouse SEO audits
  * 4. Extracts and analyzes SEO metrics
- * 5. Compares results with recommended thresholds
+ * 5. Compares the score and the individual audits with the page group's seo_budgets
  * 6. Identifies top SEO improvement opportunities
  * 
  * @author Viktor Pavlov
  * @version 2.0
  */
 
-const { test } = require('@playwright/test');
-const { playAudit } = require('playwright-lighthouse');
+const { test, expect } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
 const { 
@@ -47,29 +46,33 @@ const {
   setupBrowserForAudit, 
   saveAuditReport,
   extractSeoMetrics,
+  checkSeoBudgets,
   generateSeoRecommendations,
   logSeoRecommendations
 } = require('../../helpers/audit-helpers');
 const { 
   loadTestConfig, 
+  pageGroupAnnotation,
   createReportsDirectory, 
   navigateWithRetry 
 } = require('../../helpers/test-helpers');
+const { getRunContext } = require('../../helpers/run-metadata');
+const { attachAuditResults, lighthouseReportLinks } = require('../../helpers/audit-results');
 
 // Load test configuration
-const { performanceThresholds, seoThresholds, pagesToTest } = loadTestConfig();
+const { pagesToTest } = loadTestConfig();
 
 // Create reports directory
 const reportsDirectory = createReportsDirectory('seo');
 
 // Test each page
 for (const pageConfig of pagesToTest) {
-  test(`SEO audit: ${pageConfig.name}`, async () => {
+  test(`SEO audit: ${pageConfig.name}`, { annotation: pageGroupAnnotation(pageConfig) }, async () => {
     // Increase timeout for Lighthouse tests (5 minutes)
     test.setTimeout(300000);
     
     // Setup browser for audit
-    const { browser, context, page, debugPort } = await setupBrowserForAudit();
+    const { page, debugPort, close } = await setupBrowserForAudit({ device: pageConfig.device });
     
     try {
       // Navigate to the page
@@ -82,17 +85,19 @@ for (const pageConfig of pagesToTest) {
       console.log(`Starting Lighthouse SEO audit with port ${debugPort}...`);
       
       // Run Lighthouse audit
-      const { lhr } = await runLighthouseAudit(page, debugPort, {
+      const { lhr, reports, errors } = await runLighthouseAudit(page, debugPort, {
         thresholds: {
           performance: 0,  // We're not focusing on performance in this test
           accessibility: 0, // We're not focusing on accessibility in this test
           'best-practices': 0, // We're not focusing on best practices in this test
-          seo: performanceThresholds.seo, // Use the SEO threshold from config
+          seo: pageConfig.seoThresholds['seo-score'], // SEO score budget of the page group (seo_budgets)
           pwa: 0 // We're not focusing on PWA in this test
         },
+        ignoreError: true, // Asserted after the results are attached
         reportName: `${pageConfig.name}-seo-audit`,
         reportsDirectory,
         mobile: true, // Use mobile mode for SEO testing as mobile-friendliness is important for SEO
+        device: pageConfig.device, // Device of a DEVICE_MATRIX run (overrides mobile)
         categories: ['seo'], // Only focus on SEO category
         extraSettings: {
           maxWaitForLoad: 30000
@@ -118,6 +123,12 @@ for (const pageConfig of pagesToTest) {
       const recommendations = generateSeoRecommendations(seoMetrics);
       logSeoRecommendations(recommendations);
       
+      // Check the individual audits against the page group's SEO budgets
+      const budgetFailures = checkSeoBudgets(seoMetrics, pageConfig.seoThresholds);
+      budgetFailures.forEach(failure => {
+        console.log(`- SEO budget missed: ${failure.title} scored ${failure.score}, budget ${failure.budget}`);
+      });
+      
       // Save detailed SEO report
       const reportPath = path.join(reportsDirectory, `${pageConfig.name}-seo-detailed.json`);
       saveAuditReport(reportPath, {
@@ -125,19 +136,38 @@ for (const pageConfig of pagesToTest) {
         timestamp: new Date().toISOString(),
         seoScore: seoMetrics['seo-score'],
         detailedMetrics: seoMetrics,
-        recommendations
+        recommendations,
+        runContext: getRunContext(lhr)
+      });
+      
+      // Show the score, recommendations and reports in the per-spec report
+      await attachAuditResults({
+        url: pageConfig.url,
+        scores: { seo: seoMetrics['seo-score'] },
+        recommendations: [
+          ...errors.map(error => ({ title: error, priority: 'fail' })),
+          ...budgetFailures.map(failure => ({
+            title: `SEO budget missed: ${failure.title}`,
+            priority: 'fail',
+            description: `Scored ${failure.score}, budget ${failure.budget} (${failure.audit})`
+          })),
+          ...recommendations
+        ],
+        reports: lighthouseReportLinks(reports, [{ label: 'Detailed report (JSON)', path: reportPath }])
       });
       
+      // Assert the SEO score and the individual audits against the budgets
+      expect(errors, 'Category scores under the thresholds').toEqual([]);
+      expect(budgetFailures.map(failure => failure.audit), 'SEO audits under their budgets').toEqual([]);
+      
       console.log(`\nDetailed SEO report saved to: ${reportPath}`);
       
     } catch (error) {
       console.error(`Error running SEO audit for ${pageConfig.url}:`, error);
       throw error;
     } finally {
-      // Always close the page, context, and browser to clean up resources
-      await page.close();
-      await context.close();
-      await browser.close();
+      // Always close the audit session to clean up resources
+      await close();
     }
   });
 }
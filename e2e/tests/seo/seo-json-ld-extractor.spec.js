@@ -32,6 +32,7 @@ const {
   ensureBaselineDirectory,
   extractJsonLdData
 } = require('../../../seo_utils');
+const { getRunContext } = require('../../helpers/run-metadata');
 
 // Load test configuration
 const config = loadTestConfig();
@@ -144,7 +145,8 @@ for (const lessonConfig of lessonsToTest) {
       timestamp: new Date().toISOString(),
       jsonLdData,
       scriptCount: jsonLdData.length,
-      comparisonResult
+      comparisonResult,
+      runContext: getRunContext()
     }, null, 2));
     
     console.log(`JSON-LD report saved to: ${reportPath}`);
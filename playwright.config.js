@@ -2,6 +2,9 @@
 import { defineConfig, devices } from '@playwright/test';
 import path from 'path';
 import { createHtmlReporter } from './e2e/helpers/global-report-generator';
+import { getAuthContextOptions } from './e2e/helpers/auth';
+import { FIXTURE_SERVER_PORT } from './e2e/helpers/fixture-server';
+import { ensureRunId } from './e2e/helpers/run-metadata';
 
 /**
  * Read environment variables from file.
@@ -11,11 +14,30 @@ import { createHtmlReporter } from './e2e/helpers/global-report-generator';
 // import path from 'path';
 // dotenv.config({ path: path.resolve(__dirname, '.env') });
 
+/* One run id for all workers, stamped into every history entry (RUN_ID overrides it) */
+ensureRunId();
+
+/**
+ * Whether the self-test project is part of this run
+ *
+ * True without --project (all projects run) or when a --project name or pattern
+ * selects self-test, so audit runs such as --project=chromium start no fixture server.
+ */
+const projectArgs = process.argv.flatMap((arg, index) => {
+  if (arg.startsWith('--project=')) return [arg.slice('--project='.length)];
+  if (arg === '--project' && process.argv[index + 1]) return [process.argv[index + 1]];
+  return [];
+});
+const runsSelfTests = projectArgs.length === 0 || projectArgs.some(project =>
+  new RegExp(`^${project.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i').test('self-test'));
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
 export default defineConfig({
   testDir: './e2e',
+  /* Log in once (when env.json has an auth section for TEST_ENV) before any spec runs */
+  globalSetup: './e2e/helpers/auth-setup.js',
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -38,25 +60,38 @@ export default defineConfig({
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
+
+    /* Share the auth session (storage state and headers) of the target environment */
+    ...getAuthContextOptions(),
   },
 
   /* Configure projects for major browsers */
   projects: [
     {
       name: 'chromium',
+      testIgnore: /self-test/,
       use: { ...devices['Desktop Chrome'] },
     },
 
     {
       name: 'firefox',
+      testIgnore: /self-test/,
       use: { ...devices['Desktop Firefox'] },
     },
 
     {
       name: 'webkit',
+      testIgnore: /self-test/,
       use: { ...devices['Desktop Safari'] },
     },
 
+    /* Helper self-tests against the local fixture site (npm run test:self) */
+    {
+      name: 'self-test',
+      testMatch: /self-test\/.*\.spec\.js/,
+      use: { ...devices['Desktop Chrome'], baseURL: `http://127.0.0.1:${FIXTURE_SERVER_PORT}` },
+    },
+
     /* Test against mobile viewports. */
     // {
     //   name: 'Mobile Chrome',
@@ -78,11 +113,11 @@ export default defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://localhost:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Serve the local fixture site, only when the self-test project runs */
+  webServer: runsSelfTests ? {
+    command: `node e2e/helpers/fixture-server.js ${FIXTURE_SERVER_PORT}`,
+    url: `http://127.0.0.1:${FIXTURE_SERVER_PORT}`,
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 });
 
@@ -15,23 +15,44 @@
  * - findAvailablePort: Finds an available network port for browser debugging
  * - launchBrowserWithDebugPort: Launches a browser with debugging capabilities and retry logic
  * - navigateWithRetry: Navigates to URLs with robust error handling
+ * - emulateNetworkConditions: Throttles network and CPU of a Playwright page over CDP
+ * - getDeviceProfile / getDeviceContextOptions: Resolves device profiles for emulation
+ * - applyDeviceProfile: Emulates a device profile on an existing Playwright page
  * 
  * 2. Configuration & File Management
  * -------------------------------
  * - ensureReportsDirectory: Creates report directories if they don't exist
- * - loadConfig: Loads configuration from JSON files
+ * - loadConfig: Loads configuration from JSON files (validated against their schema)
+ * - resolveTestEnvironment: Resolves the target environment (TEST_ENV) for the run
+ * - loadEnvironmentUrls: Loads and validates the URL set for the target environment
+ * - loadPageGroups / buildPagesToTest: Assigns pages to page groups (landing, lesson, ...)
+ * - getDeviceMatrix: Gets the device profiles to run every page on (DEVICE_MATRIX)
+ * - getGroupBudgets: Merges group-specific budgets over the global budgets
+ * - resolveNetworkProfile: Completes a network condition profile with its defaults
  * - configurePlayAudit: Configures Lighthouse audit options with consistent settings
  * 
  * 3. Metrics & Analysis
  * -------------------
  * - extractMetricsFromLighthouse: Extracts performance metrics from Lighthouse results
+ * - getAuditRunCount: Gets the number of Lighthouse runs per page (LIGHTHOUSE_RUNS)
+ * - aggregateMetricSamples: Combines metrics of several runs into median, min, max and spread
+ * - runSampledAudit: Runs a Lighthouse audit several times and checks thresholds on the median
+ *   (optionally saving the performance trace of every run, see e2e/helpers/trace-analysis.js)
+ * - logAggregatedMetrics: Logs aggregated multi-run metrics to console
  * - extractWebVitals: Extracts detailed web vitals metrics
  * - extractOpportunitiesAndDiagnostics: Extracts improvement opportunities and diagnostics
- * - getNetworkAdjustedThresholds: Adjusts performance thresholds based on network conditions
+ * - extractResourceSummary: Extracts bytes and requests per resource type and first/third party
+ * - checkResourceBudgets: Checks the resource summary against the resource budgets
+ * - logResourceSummary: Logs the resource summary and exceeded resource budgets
+ * - getNetworkAdjustedThresholds: Adjusts performance thresholds with the budgets of a network profile
  * 
  * 4. Reporting & Recommendations
  * ---------------------------
- * - saveMetricsToHistory: Saves metrics to history files for trend analysis
+ * - saveMetricsToHistory: Saves metrics with run metadata to history files for trend analysis
+ * - appendHistoryEntry: Appends to a history file safely across workers, with retention
+ * - loadMetricsHistory: Loads the metrics history of a page
+ * - detectMetricRegressions: Compares a run with a rolling baseline from history
+ * - logRegressionReport: Logs regression check results to console
  * - generateDetailedReport: Creates comprehensive performance reports
  * - generatePerformanceRecommendations: Generates actionable recommendations
  * - logPerformanceRecommendations: Logs formatted recommendations to console
@@ -46,8 +67,13 @@
 
 const fs = require('fs');
 const path = require('path');
-const { chromium } = require('playwright');
+const { chromium, devices } = require('playwright');
+const { playAudit } = require('playwright-lighthouse');
 const net = require('net');
+const { assertValidConfig } = require('./config_validation');
+const deviceProfiles = require('./e2e/config/device-profiles');
+const { isTraceCaptureEnabled, saveTraceWithLongTasks } = require('./e2e/helpers/trace-analysis');
+const { getRunContext } = require('./e2e/helpers/run-metadata');
 
 /**
  * Find an available port for browser debugging
@@ -205,6 +231,104 @@ async function navigateWithRetry(page, url) {
   }
 }
 
+/**
+ * Throttle the network and CPU of a Playwright page over CDP
+ *
+ * Used by network profiles with throttlingMethod "cdp", where the page is measured in
+ * Playwright instead of Lighthouse. Chrome applies the conditions to this page only:
+ * - rttMs becomes the request latency, throughputKbps and uploadThroughputKbps the
+ *   download and upload bandwidth
+ * - cpuSlowdownMultiplier slows the main thread down (1 = no slowdown)
+ *
+ * Only works in Chromium.
+ *
+ * @param {object} page - Playwright page object
+ * @param {object} profile - Network profile (see resolveNetworkProfile)
+ * @returns {Promise<object>} - CDP session holding the emulation (detach it to stop throttling)
+ */
+async function emulateNetworkConditions(page, profile) {
+  const client = await page.context().newCDPSession(page);
+  const toBytesPerSecond = kbps => (kbps * 1024) / 8;
+
+  await client.send('Network.enable');
+  await client.send('Network.emulateNetworkConditions', {
+    offline: false,
+    latency: profile.rttMs,
+    downloadThroughput: toBytesPerSecond(profile.throughputKbps),
+    uploadThroughput: toBytesPerSecond(profile.uploadThroughputKbps || profile.throughputKbps)
+  });
+  if ((profile.cpuSlowdownMultiplier || 1) > 1) {
+    await client.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuSlowdownMultiplier });
+  }
+
+  return client;
+}
+
+/**
+ * Get a device profile by name
+ *
+ * Names are looked up in e2e/config/device-profiles.js first (mobile, tablet, desktop,
+ * largeDesktop) and then in Playwright's device list (e.g. "Pixel 5").
+ *
+ * @param {string} device - Device profile name
+ * @returns {object} - Device profile (viewport, deviceScaleFactor, isMobile, hasTouch, userAgent)
+ * @throws {Error} - If the device is unknown
+ */
+function getDeviceProfile(device) {
+  const profile = deviceProfiles[device] || devices[device];
+  if (!profile) {
+    throw new Error(`Unknown device "${device}". Use a profile from e2e/config/device-profiles.js (${Object.keys(deviceProfiles).join(', ')}) or a Playwright device name.`);
+  }
+  return profile;
+}
+
+/**
+ * Get the browser context options that emulate a device profile
+ *
+ * @param {string} [device] - Device profile name (no emulation when empty)
+ * @returns {object} - Options for browser.newContext()
+ */
+function getDeviceContextOptions(device) {
+  if (!device) {
+    return {};
+  }
+  const { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent } = getDeviceProfile(device);
+  return { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent };
+}
+
+/**
+ * Emulate a device profile on an already created Playwright page
+ *
+ * For specs that use the page fixture, whose context options are fixed per project.
+ * Viewport and user agent are applied in every browser; in Chromium the pixel ratio,
+ * mobile mode and touch are emulated over CDP as well.
+ *
+ * @param {object} page - Playwright page object
+ * @param {string} [device] - Device profile name (nothing happens when empty)
+ * @returns {Promise<void>}
+ */
+async function applyDeviceProfile(page, device) {
+  if (!device) {
+    return;
+  }
+  const { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent } = getDeviceProfile(device);
+
+  await page.setViewportSize(viewport);
+  await page.setExtraHTTPHeaders({ 'User-Agent': userAgent });
+
+  if (page.context().browser()?.browserType().name() === 'chromium') {
+    const client = await page.context().newCDPSession(page);
+    await client.send('Emulation.setDeviceMetricsOverride', {
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor,
+      mobile: isMobile
+    });
+    await client.send('Emulation.setTouchEmulationEnabled', { enabled: hasTouch });
+    await client.send('Emulation.setUserAgentOverride', { userAgent });
+  }
+}
+
 /**
  * Ensure reports directory exists
  * 
@@ -230,6 +354,9 @@ function ensureReportsDirectory(dirPath) {
   return dirPath;
 }
 
+// Configuration files already validated in this process
+const validatedConfigPaths = new Set();
+
 /**
  * Load configuration from JSON file
  * 
@@ -239,6 +366,8 @@ function ensureReportsDirectory(dirPath) {
  * 
  * Features:
  * - Reads and parses JSON files with proper error handling
+ * - Validates known test_data files (env.json, treshholds.json, network_conditions.json,
+ *   metrics_schema.json) once per file and reports the offending path on errors
  * - Can extract a specific property from the JSON structure if specified
  * - Returns the entire JSON object if no specific property is requested
  * - Throws meaningful errors if the file can't be read or parsed
@@ -258,6 +387,10 @@ function loadConfig(configPath, property) {
       adjustedPath = configPath.replace(/e2e[\\/]tests[\\/]test_data/, 'test_data');
     }
     const config = JSON.parse(fs.readFileSync(adjustedPath, 'utf8'));
+    if (!validatedConfigPaths.has(path.resolve(adjustedPath))) {
+      assertValidConfig(adjustedPath, config);
+      validatedConfigPaths.add(path.resolve(adjustedPath));
+    }
     return property ? config[property] : config;
   } catch (error) {
     console.error(`Error loading config from ${configPath}: ${error.message}`);
@@ -265,10 +398,439 @@ function loadConfig(configPath, property) {
   }
 }
 
+/**
+ * Resolve the target environment for the current run
+ *
+ * This function determines which URL set from env.json should be audited. The
+ * environment is chosen once per run through the TEST_ENV environment variable,
+ * so every spec file picks up the same set of pages without editing env.json.
+ *
+ * Resolution rules:
+ * - An explicit environment argument wins over TEST_ENV
+ * - Defaults to 'prod' when nothing is set
+ * - A bare name such as 'stage' maps to the 'stage_urls' property
+ * - A full property name such as 'review_app_urls' is used as-is
+ *
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {{name: string, property: string}} - Environment name and env.json property
+ */
+function resolveTestEnvironment(environment = process.env.TEST_ENV) {
+  const name = (environment || 'prod').trim();
+  const property = name.endsWith('_urls') ? name : `${name}_urls`;
+  return { name: property.replace(/_urls$/, ''), property };
+}
+
+/**
+ * Load the URL map for the target environment from env.json
+ *
+ * This function loads the URL set selected by resolveTestEnvironment and validates
+ * that it is an object map of page names to URLs. When the requested set is missing,
+ * the error lists the URL sets that env.json does define so that a typo in TEST_ENV
+ * is easy to spot.
+ * 
+ * When the environment enables site discovery (`<name>_discovery`), the discovered
+ * pages are returned together with any explicitly listed URLs, and the explicit
+ * URL set becomes optional.
+ *
+ * @param {string} envPath - Path to the env.json file
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {object} - Map of page names to URLs
+ */
+function loadEnvironmentUrls(envPath, environment) {
+  const { name, property } = resolveTestEnvironment(environment);
+  const envConfig = loadConfig(envPath);
+  const urls = envConfig[property];
+
+  // Pages discovered from the sitemap or a crawl (<name>_discovery), explicit URLs win
+  const { loadDiscoveredUrls } = require('./e2e/helpers/site-discovery');
+  const discoveredUrls = loadDiscoveredUrls(name, envPath);
+  if (discoveredUrls) {
+    return { ...discoveredUrls, ...(urls || {}) };
+  }
+
+  if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
+    const available = Object.keys(envConfig).filter(key => key.endsWith('_urls'));
+    throw new Error(
+      `Invalid or missing URL configuration for environment "${name}". ` +
+      `Expected an object map at property "${property}" in ${envPath}. ` +
+      `Available URL sets: ${available.length > 0 ? available.join(', ') : 'none'}. ` +
+      `Example: {"${property}": {"homepage": "https://example.com/", "about": "https://example.com/about"}}. ` +
+      `Create/repair test_data/env.json (you can copy from test_data/env.template.json) or set TEST_ENV to one of the available sets.`
+    );
+  }
+
+  return urls;
+}
+
+/**
+ * Load the page group definitions for the target environment from env.json
+ *
+ * Groups are defined per environment as `<name>_groups` (e.g. "prod_groups") and
+ * map a group name (landing, article, lesson, checkout, ...) either to a list of
+ * page names or to an object with `pages` and/or URL path `patterns`:
+ *
+ *   "prod_groups": {
+ *     "landing": ["homepage", "about"],
+ *     "lesson": { "patterns": ["^/lessons/"] }
+ *   }
+ *
+ * @param {string} envPath - Path to the env.json file
+ * @param {string} [environment] - Environment name (defaults to TEST_ENV or 'prod')
+ * @returns {object} - Map of group names to group definitions (empty when none are defined)
+ */
+function loadPageGroups(envPath, environment) {
+  const { name } = resolveTestEnvironment(environment);
+  const groups = loadConfig(envPath)[`${name}_groups`];
+  return groups && typeof groups === 'object' && !Array.isArray(groups) ? groups : {};
+}
+
+/**
+ * Resolve the page group of a page
+ *
+ * The first group that lists the page name or whose pattern matches the URL path
+ * wins. Pages that belong to no group are in the 'default' group, which uses the
+ * global budgets.
+ *
+ * @param {{name: string, url: string}} page - Page name and URL
+ * @param {object} groups - Group definitions (see loadPageGroups)
+ * @returns {string} - Group name
+ */
+function resolvePageGroup(page, groups) {
+  let pathname = '';
+  try {
+    pathname = new URL(page.url).pathname;
+  } catch {
+    // Not an absolute URL, only page names can match
+  }
+
+  const match = Object.entries(groups).find(([, definition]) => {
+    const { pages = [], patterns = [] } = Array.isArray(definition) ? { pages: definition } : definition;
+    return pages.includes(page.name) || patterns.some(pattern => new RegExp(pattern).test(pathname));
+  });
+
+  return match ? match[0] : 'default';
+}
+
+/**
+ * Get the device matrix of the run
+ *
+ * The DEVICE_MATRIX environment variable lists the device profiles every page is
+ * tested on, e.g. DEVICE_MATRIX=mobile,desktop. Names come from
+ * e2e/config/device-profiles.js or Playwright's device list.
+ *
+ * @returns {Array<string>} - Device profile names (empty when no matrix is set)
+ * @throws {Error} - If a device is unknown
+ */
+function getDeviceMatrix() {
+  const matrix = (process.env.DEVICE_MATRIX || '')
+    .split(',')
+    .map(device => device.trim())
+    .filter(Boolean);
+  matrix.forEach(getDeviceProfile);
+  return [...new Set(matrix)];
+}
+
+/**
+ * Build the list of pages to test with their page group
+ *
+ * With a device matrix every page is tested once per device. The device is then part
+ * of the page name (e.g. "home-mobile" or "home-pixel-5"), so reports and history files are kept apart
+ * per device, while `page` keeps the original page name.
+ *
+ * @param {object} urls - Map of page names to URLs
+ * @param {object} [groups={}] - Group definitions (see loadPageGroups)
+ * @param {Array<string>} [deviceMatrix] - Device profile names (defaults to getDeviceMatrix())
+ * @returns {Array<{name: string, page: string, url: string, group: string, device?: string}>} - Pages to test
+ */
+function buildPagesToTest(urls, groups = {}, deviceMatrix = getDeviceMatrix()) {
+  const pages = Object.entries(urls).map(([name, url]) => ({
+    name,
+    page: name,
+    url,
+    group: resolvePageGroup({ name, url }, groups)
+  }));
+
+  if (deviceMatrix.length === 0) {
+    return pages;
+  }
+  return pages.flatMap(pageConfig => deviceMatrix.map(device => ({
+    ...pageConfig,
+    name: `${pageConfig.name}-${device.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    device
+  })));
+}
+
+/**
+ * Get the budgets of a thresholds section for a page group
+ *
+ * Group budgets are defined in treshholds.json under `group_budgets.<group>.<section>`
+ * and override the matching global section (e.g. performanceBudgets or seo_budgets)
+ * key by key.
+ *
+ * @param {object} thresholdsConfig - Full contents of treshholds.json
+ * @param {string} group - Page group name
+ * @param {string} section - Thresholds section, e.g. 'performanceBudgets'
+ * @returns {object} - Budgets for the group
+ */
+function getGroupBudgets(thresholdsConfig, group, section) {
+  const overrides = thresholdsConfig.group_budgets?.[group]?.[section] || {};
+  return { ...thresholdsConfig[section], ...overrides };
+}
+
+/**
+ * Complete a network condition profile from network_conditions.json with its defaults
+ *
+ * A profile describes one reproducible test condition:
+ * - rttMs, throughputKbps (download) and uploadThroughputKbps (defaults to download)
+ * - cpuSlowdownMultiplier (default 1, no CPU slowdown)
+ * - throttlingMethod: "simulate" (Lighthouse simulation, default), "devtools" (Lighthouse
+ *   throttles the browser) or "cdp" (Playwright throttles the page over CDP and the
+ *   metrics are measured in the page)
+ * - device: device profile name (e.g. "mobile" or Playwright's "Pixel 5") for viewport,
+ *   pixel ratio and user agent
+ * - mobile: mobile emulation without a device (defaults to the device's isMobile, else true)
+ *
+ * @param {object} condition - Network condition from network_conditions.json
+ * @returns {object} - Profile with every setting filled in
+ * @throws {Error} - If the device is unknown
+ */
+function resolveNetworkProfile(condition) {
+  const descriptor = condition.device ? getDeviceProfile(condition.device) : null;
+
+  return {
+    ...condition,
+    uploadThroughputKbps: condition.uploadThroughputKbps || condition.throughputKbps,
+    cpuSlowdownMultiplier: condition.cpuSlowdownMultiplier || 1,
+    throttlingMethod: condition.throttlingMethod || 'simulate',
+    device: condition.device || null,
+    mobile: condition.mobile ?? (descriptor ? descriptor.isMobile : true)
+  };
+}
+
+/**
+ * Create the test annotation that tags a test with its page group
+ *
+ * The per-spec HTML reporter rolls results up by this annotation. Pages of a device
+ * matrix are tagged with their device as well.
+ *
+ * @param {{group?: string, device?: string}} pageConfig - Page configuration
+ * @returns {Object|Array<Object>} - Playwright test annotation(s)
+ */
+function pageGroupAnnotation(pageConfig) {
+  const annotation = { type: 'page-group', description: pageConfig.group || 'default' };
+  return pageConfig.device ? [annotation, { type: 'device', description: pageConfig.device }] : annotation;
+}
+
+// How long to wait for a history file lock, and when a lock is considered abandoned
+const HISTORY_LOCK_TIMEOUT_MS = 10000;
+const HISTORY_LOCK_STALE_MS = 30000;
+
+// History files may grow this much over maxEntries before they are compacted
+const HISTORY_COMPACTION_SLACK = 1.2;
+
+/**
+ * Remove a stale history file lock, unless another waiter is already doing so
+ * 
+ * @param {string} lockPath - Path of the lock file
+ * @param {string} takeoverPath - Path of the file that guards the takeover
+ * @param {fs.Stats} staleLock - Stats of the lock when it was found stale
+ * @returns {boolean} - True when this waiter did the takeover, false when it has to back off
+ */
+function takeOverStaleLock(lockPath, takeoverPath, staleLock) {
+  try {
+    fs.closeSync(fs.openSync(takeoverPath, 'wx'));
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    // A takeover file this old is left over from a worker that crashed during a takeover
+    try {
+      if (Date.now() - fs.statSync(takeoverPath).mtimeMs > HISTORY_LOCK_STALE_MS) {
+        fs.rmSync(takeoverPath, { force: true });
+      }
+    } catch (statError) {
+      // The takeover has finished in the meantime
+    }
+    return false;
+  }
+
+  try {
+    const lock = fs.statSync(lockPath, { throwIfNoEntry: false });
+    // Remove the lock only when it is still the stale one
+    if (lock && lock.ino === staleLock.ino && lock.mtimeMs === staleLock.mtimeMs) {
+      fs.unlinkSync(lockPath);
+    }
+  } finally {
+    fs.rmSync(takeoverPath, { force: true });
+  }
+  return true;
+}
+
+/**
+ * Run a callback while holding an exclusive lock on a history file
+ * 
+ * The lock is a `<file>.lock` file created exclusively, so it works across the
+ * Playwright worker processes. A lock older than 30 seconds is left over from a
+ * crashed worker and is removed. Only one waiter at a time may do that: it holds a
+ * `<file>.lock.takeover` file (created exclusively as well) and removes the lock only
+ * when it is still the stale one, so a fresh lock another waiter has created in the
+ * meantime is never removed. Waiters that do not get the takeover file back off and
+ * retry.
+ * 
+ * @param {string} filePath - Path of the file to lock
+ * @param {Function} callback - Synchronous function to run while the lock is held
+ * @returns {*} - Whatever the callback returns
+ * @throws {Error} - If the lock cannot be acquired within 10 seconds
+ */
+function withHistoryLock(filePath, callback) {
+  const lockPath = `${filePath}.lock`;
+  const takeoverPath = `${lockPath}.takeover`;
+  const waitBuffer = new Int32Array(new SharedArrayBuffer(4));
+  const deadline = Date.now() + HISTORY_LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      let lock;
+      try {
+        lock = fs.statSync(lockPath);
+      } catch (statError) {
+        // The lock was released in the meantime
+        continue;
+      }
+      if (Date.now() - lock.mtimeMs > HISTORY_LOCK_STALE_MS && takeOverStaleLock(lockPath, takeoverPath, lock)) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the history lock ${lockPath}`);
+      }
+      Atomics.wait(waitBuffer, 0, 0, 25);
+    }
+  }
+
+  try {
+    return callback();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Read the entries of a history file
+ * 
+ * History files are JSON Lines (`.jsonl`, one entry per line). Entries of a history
+ * file from before JSON Lines (`.json` with an array) are read first. Lines that
+ * cannot be parsed, such as a line that is still being written, are skipped.
+ * 
+ * @param {string} historyPath - Path of the `.jsonl` history file
+ * @returns {Array<object>} - History entries, oldest first
+ */
+function readHistoryFile(historyPath) {
+  const legacyPath = historyPath.replace(/\.jsonl$/, '.json');
+  let entries = [];
+
+  if (fs.existsSync(legacyPath)) {
+    try {
+      const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      entries = Array.isArray(legacy) ? legacy : [];
+    } catch (error) {
+      console.warn(`Could not read metrics history from ${legacyPath}: ${error.message}`);
+    }
+  }
+
+  if (fs.existsSync(historyPath)) {
+    fs.readFileSync(historyPath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Incomplete line of a concurrent write
+      }
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Get the retention rules of the history files
+ * 
+ * Reads `history_retention` from treshholds.json. Without it, history files are
+ * kept completely.
+ * 
+ * @returns {{maxEntries: (number|undefined), maxGlobalEntries: (number|undefined), maxAgeDays: (number|undefined)}} - Retention rules
+ */
+function getHistoryRetention() {
+  const thresholdsPath = path.join(__dirname, 'test_data', 'treshholds.json');
+  return (fs.existsSync(thresholdsPath) && loadConfig(thresholdsPath, 'history_retention')) || {};
+}
+
+/**
+ * Append an entry to a history file and apply the retention rules
+ * 
+ * The entry is appended as one line while the file lock is held. The file is
+ * compacted (rewritten with only the retained entries) when it holds more than
+ * 20% over maxEntries entries, when its oldest entry is older than maxAgeDays, or
+ * when a `.json` history file from before JSON Lines still exists, which is merged
+ * in and removed. The slack keeps a full file from being rewritten on every append:
+ * compaction trims it back to maxEntries, so it happens once every maxEntries / 5
+ * appends. Compaction writes a temporary file and renames it, so readers never see
+ * a partly written file.
+ * 
+ * @param {string} historyPath - Path of the `.jsonl` history file
+ * @param {object} entry - History entry
+ * @param {object} [retention={}] - Retention rules ({ maxEntries, maxAgeDays })
+ */
+function appendHistoryEntry(historyPath, entry, retention = {}) {
+  const { maxEntries, maxAgeDays } = retention;
+  const legacyPath = historyPath.replace(/\.jsonl$/, '.json');
+
+  withHistoryLock(historyPath, () => {
+    fs.appendFileSync(historyPath, `${JSON.stringify(entry)}\n`);
+
+    const hasLegacyFile = fs.existsSync(legacyPath);
+    if (!maxEntries && !maxAgeDays && !hasLegacyFile) {
+      return;
+    }
+
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+    const isExpired = item => Date.parse(item.timestamp) < cutoff;
+    if (!hasLegacyFile) {
+      // Count the lines and check the oldest entry without parsing the whole file
+      const lines = fs.readFileSync(historyPath, 'utf8').split('\n').filter(line => line.trim());
+      const isOverLimit = maxEntries && lines.length > Math.ceil(maxEntries * HISTORY_COMPACTION_SLACK);
+      let oldest = null;
+      try {
+        oldest = JSON.parse(lines[0]);
+      } catch (error) {
+        // Incomplete line of a concurrent write
+      }
+      if (!isOverLimit && !(oldest && isExpired(oldest))) {
+        return;
+      }
+    }
+
+    const retained = readHistoryFile(historyPath)
+      .filter(item => !isExpired(item))
+      .slice(maxEntries ? -maxEntries : 0);
+    const temporaryPath = `${historyPath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, retained.map(item => `${JSON.stringify(item)}\n`).join(''));
+    fs.renameSync(temporaryPath, historyPath);
+    if (hasLegacyFile) {
+      fs.unlinkSync(legacyPath);
+    }
+  });
+}
+
 /**
  * Save metrics to history files
  * 
- * This function persists performance metrics to JSON history files for trend analysis
+ * This function persists performance metrics to history files for trend analysis
  * and historical comparison. It maintains two separate history files:
  * 
  * 1. Global history file: Contains metrics for all pages tested over time
@@ -279,9 +841,18 @@ function loadConfig(configPath, property) {
  *    - Allows tracking how a specific page's performance evolves
  *    - Useful for measuring the impact of changes to a particular page
  * 
- * Each metrics entry is timestamped to enable time-based analysis and visualization.
- * The optional suffix parameter allows creating separate history files for different
- * test conditions (e.g., different network conditions, device types, etc.).
+ * Each metrics entry is timestamped and carries a `metadata` object with the context
+ * of the run it belongs to (run id, git commit and branch, environment, Lighthouse and
+ * browser version, config hash, see getRunContext in e2e/helpers/run-metadata.js)
+ * and the device and network condition it was measured
+ * with. The optional suffix parameter allows creating separate history files for
+ * different test conditions (e.g., different network conditions, device types, etc.).
+ * 
+ * The files are JSON Lines (`<page>-history<suffix>.jsonl`) written with
+ * appendHistoryEntry, so parallel workers can save at the same time without losing
+ * entries. The retention rules of `history_retention` in treshholds.json keep them
+ * bounded: maxEntries per page file, maxGlobalEntries for the global file, which holds
+ * the entries of all pages (10 × maxEntries by default), and maxAgeDays for both.
  * 
  * @param {object} metrics - Performance metrics to save
  * @param {string} pageName - Name of the page tested
@@ -290,25 +861,202 @@ function loadConfig(configPath, property) {
  */
 function saveMetricsToHistory(metrics, pageName, reportsDirectory, suffix = '') {
   const timestamp = new Date().toISOString();
-  const metricsWithTimestamp = { timestamp, ...metrics };
+  const metricsWithTimestamp = {
+    timestamp,
+    ...metrics,
+    metadata: {
+      ...getRunContext(),
+      device: metrics.device || null,
+      network: metrics.networkCondition || null
+    }
+  };
+  const retention = getHistoryRetention();
   
   // Save to global history file
-  const globalHistoryPath = path.join(reportsDirectory, `performance-history${suffix}.json`);
-  let globalHistory = [];
-  if (fs.existsSync(globalHistoryPath)) {
-    globalHistory = JSON.parse(fs.readFileSync(globalHistoryPath, 'utf8'));
-  }
-  globalHistory.push(metricsWithTimestamp);
-  fs.writeFileSync(globalHistoryPath, JSON.stringify(globalHistory, null, 2));
+  const globalHistoryPath = path.join(reportsDirectory, `performance-history${suffix}.jsonl`);
+  appendHistoryEntry(globalHistoryPath, metricsWithTimestamp, {
+    maxEntries: retention.maxGlobalEntries || (retention.maxEntries ? retention.maxEntries * 10 : undefined),
+    maxAgeDays: retention.maxAgeDays
+  });
   
   // Save to page-specific history file
-  const pageHistoryPath = path.join(reportsDirectory, `${pageName}-history${suffix}.json`);
-  let pageHistory = [];
-  if (fs.existsSync(pageHistoryPath)) {
-    pageHistory = JSON.parse(fs.readFileSync(pageHistoryPath, 'utf8'));
+  const pageHistoryPath = path.join(reportsDirectory, `${pageName}-history${suffix}.jsonl`);
+  appendHistoryEntry(pageHistoryPath, metricsWithTimestamp, retention);
+}
+
+/**
+ * Load the metrics history of a page
+ *
+ * This function reads back the page-specific history file written by
+ * saveMetricsToHistory. It is the input for regression detection and any other
+ * trend analysis that needs previous runs of the same page and test condition.
+ *
+ * A missing history file is not an error: the first run of a page simply has no
+ * history, so an empty array is returned in that case.
+ *
+ * @param {string} pageName - Name of the page tested
+ * @param {string} reportsDirectory - Directory the history files are saved in
+ * @param {string} [suffix=''] - Optional suffix of the history file name (e.g. '-3g')
+ * @returns {Array<object>} - History entries, oldest first
+ */
+function loadMetricsHistory(pageName, reportsDirectory, suffix = '') {
+  return readHistoryFile(path.join(reportsDirectory, `${pageName}-history${suffix}.jsonl`));
+}
+
+/**
+ * Detect metric regressions against a rolling baseline from history
+ *
+ * Performance budgets only catch absolute failures. This function catches gradual
+ * drift by comparing the current run with the median of the last N runs of the
+ * same page and test condition.
+ *
+ * How it works:
+ * 1. Takes the last `baselineRuns` history entries of the target environment
+ *    (TEST_ENV) as the baseline window, so a stage run is never compared with the
+ *    prod history of a page with the same name. Entries from before the environment
+ *    was recorded in `metadata.environment` count as the default environment (prod)
+ * 2. Skips the check when fewer than `minimumRuns` entries are available
+ * 3. Computes the median of every metric that has a tolerance configured
+ * 4. Measures how much worse the current value is, using the metric direction
+ *    (higherIsBetter) from metrics_schema.json
+ * 5. Flags a regression when the worsening exceeds the allowed tolerance, which is
+ *    the larger of `percent` of the baseline and the `absolute` delta
+ *
+ * Each regression carries a severity of 'fail' or 'warn', taken from the metric's
+ * own `action` or from the global `action` of the regression configuration.
+ *
+ * History entries may store metrics flat (e.g. `largestContentfulPaint: 2100`) or
+ * as the detailed report structure (`coreMetrics.largestContentfulPaint.value`);
+ * both are supported.
+ *
+ * @param {object} currentMetrics - Metrics of the current run (extractMetricsFromLighthouse format)
+ * @param {Array<object>} history - Previous history entries, oldest first
+ * @param {object} regressionConfig - The regression_budgets section of treshholds.json
+ * @param {object} [schema=null] - Optional metrics schema to use for metric direction
+ * @returns {object} - Regression check result with failures, warnings and per-metric comparisons
+ */
+function detectMetricRegressions(currentMetrics, history, regressionConfig, schema = null) {
+  const {
+    enabled = true,
+    baselineRuns = 5,
+    minimumRuns = 3,
+    action = 'fail',
+    tolerances = {}
+  } = regressionConfig || {};
+
+  const result = {
+    checked: false,
+    baselineRuns: 0,
+    comparisons: [],
+    failures: [],
+    warnings: []
+  };
+
+  if (!enabled) {
+    result.reason = 'Regression detection is disabled';
+    return result;
+  }
+
+  const environment = resolveTestEnvironment().name;
+  const window = (history || [])
+    .filter(entry => (entry?.metadata?.environment?.name || 'prod') === environment)
+    .slice(-baselineRuns);
+  result.baselineRuns = window.length;
+  if (window.length < minimumRuns) {
+    result.reason = `Not enough history for a baseline (${window.length}/${minimumRuns} runs)`;
+    return result;
   }
-  pageHistory.push(metricsWithTimestamp);
-  fs.writeFileSync(pageHistoryPath, JSON.stringify(pageHistory, null, 2));
+
+  if (!schema) {
+    const schemaPath = path.join(__dirname, 'test_data', 'metrics_schema.json');
+    if (fs.existsSync(schemaPath)) {
+      schema = loadConfig(schemaPath);
+    }
+  }
+
+  const readValue = (entry, metric) => {
+    const value = entry?.[metric] ?? entry?.coreMetrics?.[metric];
+    const numeric = typeof value === 'object' && value !== null ? value.value : value;
+    return typeof numeric === 'number' && Number.isFinite(numeric) ? numeric : null;
+  };
+
+  const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  };
+
+  result.checked = true;
+
+  Object.entries(tolerances).forEach(([metric, tolerance]) => {
+    const current = readValue(currentMetrics, metric);
+    const baselineValues = window.map(entry => readValue(entry, metric)).filter(value => value !== null);
+    if (current === null || baselineValues.length === 0) {
+      return;
+    }
+
+    const baseline = median(baselineValues);
+    const metadata = schema?.coreMetrics?.[metric] || schema?.additionalMetrics?.[metric];
+    const higherIsBetter = metadata ? metadata.higherIsBetter : false;
+
+    // Positive values always mean "worse than the baseline"
+    const worsening = higherIsBetter ? baseline - current : current - baseline;
+    const allowed = Math.max(
+      Math.abs(baseline) * ((tolerance.percent || 0) / 100),
+      tolerance.absolute || 0
+    );
+
+    const comparison = {
+      metric,
+      current,
+      baseline,
+      delta: current - baseline,
+      deltaPercent: baseline !== 0 ? ((current - baseline) / Math.abs(baseline)) * 100 : 0,
+      allowed,
+      regressed: worsening > allowed,
+      severity: tolerance.action || action
+    };
+
+    result.comparisons.push(comparison);
+    if (comparison.regressed) {
+      (comparison.severity === 'warn' ? result.warnings : result.failures).push(comparison);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Log a regression check result to console
+ *
+ * Prints a table comparing the current run with the rolling baseline, followed by
+ * the metrics that regressed beyond their tolerance. Failures are marked with ❌ and
+ * warnings with ⚠️ so that drift is visible even when it does not fail the run.
+ *
+ * @param {object} regressionResult - Result of detectMetricRegressions
+ * @param {string} pageName - Name of the page tested
+ */
+function logRegressionReport(regressionResult, pageName) {
+  if (!regressionResult.checked) {
+    console.log(`\nRegression check skipped for ${pageName}: ${regressionResult.reason}`);
+    return;
+  }
+
+  console.log(`\nRegression check for ${pageName} (median of last ${regressionResult.baselineRuns} runs):`);
+  console.table(regressionResult.comparisons.map(item => ({
+    Metric: item.metric,
+    Current: Number(item.current.toFixed(3)),
+    Baseline: Number(item.baseline.toFixed(3)),
+    Change: `${item.deltaPercent >= 0 ? '+' : ''}${item.deltaPercent.toFixed(1)}%`,
+    Status: !item.regressed ? 'OK ✅' : (item.severity === 'warn' ? 'DRIFT ⚠️' : 'REGRESSION ❌')
+  })));
+
+  regressionResult.warnings.forEach(item => {
+    console.warn(`⚠️ ${item.metric} drifted from ${item.baseline.toFixed(2)} to ${item.current.toFixed(2)} (allowed change: ${item.allowed.toFixed(2)})`);
+  });
+  regressionResult.failures.forEach(item => {
+    console.error(`❌ ${item.metric} regressed from ${item.baseline.toFixed(2)} to ${item.current.toFixed(2)} (allowed change: ${item.allowed.toFixed(2)})`);
+  });
 }
 
 /**
@@ -329,6 +1077,8 @@ function saveMetricsToHistory(metrics, pageName, reportsDirectory, suffix = '')
  * 2. Network Throttling:
  *    - Configures CPU and network throttling parameters
  *    - Can simulate various network conditions (4G, 3G, etc.)
+ *    - Uses Lighthouse's simulated throttling, or real DevTools throttling with
+ *      throttlingMethod "devtools" (which also applies the upload bandwidth)
  *    - Defaults to no throttling for baseline performance measurement
  * 
  * 3. Audit Categories:
@@ -339,6 +1089,10 @@ function saveMetricsToHistory(metrics, pageName, reportsDirectory, suffix = '')
  *    - Configures output formats (HTML and JSON)
  *    - Sets report naming and directory location
  * 
+ * 5. Request Blocking:
+ *    - Blocks requests matching URL patterns (`*` is a wildcard) during the audit
+ *    - Used to measure a page without selected third-party scripts
+ * 
  * This function significantly simplifies Lighthouse configuration and ensures
  * consistent settings across all tests, making results comparable and reliable.
  * 
@@ -352,9 +1106,13 @@ function saveMetricsToHistory(metrics, pageName, reportsDirectory, suffix = '')
  * @param {number} [options.networkSettings.rttMs] - Round trip time in milliseconds
  * @param {number} [options.networkSettings.throughputKbps] - Throughput in Kbps
  * @param {number} [options.networkSettings.cpuSlowdownMultiplier] - CPU slowdown multiplier
+ * @param {number} [options.networkSettings.uploadThroughputKbps] - Upload throughput in Kbps (devtools only)
+ * @param {string} [options.networkSettings.throttlingMethod='simulate'] - Lighthouse throttling method ('simulate' or 'devtools')
  * @param {boolean} [options.mobile=false] - Whether to use mobile emulation
+ * @param {string} [options.device] - Device profile whose screen and user agent are emulated (overrides mobile, see getDeviceProfile)
  * @param {string[]} [options.categories] - Categories to include in the audit
  * @param {object} [options.extraSettings] - Additional Lighthouse settings
+ * @param {string[]} [options.blockedUrlPatterns] - URL patterns of requests to block during the audit
  * @returns {object} - Configured playAudit options
  */
 function configurePlayAudit(options) {
@@ -366,12 +1124,23 @@ function configurePlayAudit(options) {
     reportsDirectory,
     networkSettings,
     mobile = false,
+    device,
     categories,
-    extraSettings = {}
+    extraSettings = {},
+    blockedUrlPatterns = []
   } = options;
 
-  // Default screen emulation settings
-  const screenEmulation = mobile ? {
+  const descriptor = device ? getDeviceProfile(device) : null;
+  const isMobile = descriptor ? descriptor.isMobile : mobile;
+
+  // Screen emulation of the device, or the default mobile/desktop screen
+  const screenEmulation = descriptor ? {
+    mobile: descriptor.isMobile,
+    width: descriptor.viewport.width,
+    height: descriptor.viewport.height,
+    deviceScaleFactor: descriptor.deviceScaleFactor,
+    disabled: false
+  } : mobile ? {
     mobile: true,
     width: 375,
     height: 667,
@@ -384,14 +1153,17 @@ function configurePlayAudit(options) {
     disabled: false
   };
 
-  // Default throttling settings
+  // Default throttling settings (devtools throttling uses the request* and *ThroughputKbps values)
+  const throttlingMethod = networkSettings?.throttlingMethod || 'simulate';
   const throttling = networkSettings ? {
     rttMs: networkSettings.rttMs || 0,
     throughputKbps: networkSettings.throughputKbps || 10 * 1024,
     cpuSlowdownMultiplier: networkSettings.cpuSlowdownMultiplier || 1,
-    requestLatencyMs: 0,
-    downloadThroughputKbps: 0,
-    uploadThroughputKbps: 0
+    requestLatencyMs: throttlingMethod === 'devtools' ? networkSettings.rttMs || 0 : 0,
+    downloadThroughputKbps: throttlingMethod === 'devtools' ? networkSettings.throughputKbps || 10 * 1024 : 0,
+    uploadThroughputKbps: throttlingMethod === 'devtools'
+      ? networkSettings.uploadThroughputKbps || networkSettings.throughputKbps || 10 * 1024
+      : 0
   } : {
     rttMs: 0,
     throughputKbps: 10 * 1024,
@@ -406,9 +1178,11 @@ function configurePlayAudit(options) {
     extends: 'lighthouse:default',
     settings: {
       maxWaitForLoad: 30000,
-      formFactor: mobile ? 'mobile' : 'desktop',
+      formFactor: isMobile ? 'mobile' : 'desktop',
       screenEmulation,
+      throttlingMethod,
       throttling,
+      ...(descriptor ? { emulatedUserAgent: descriptor.userAgent } : {}),
       ...extraSettings
     }
   };
@@ -418,6 +1192,11 @@ function configurePlayAudit(options) {
     config.settings.onlyCategories = categories;
   }
 
+  // Block requests matching the patterns (e.g. '*.hotjar.com/*')
+  if (blockedUrlPatterns.length > 0) {
+    config.settings.blockedUrlPatterns = blockedUrlPatterns;
+  }
+
   // Return the complete playAudit configuration
   return {
     page,
@@ -479,7 +1258,7 @@ function extractMetricsFromLighthouse(lhr, includeAll = false, schema = null) {
         schemaPath = path.join(__dirname, 'test_data', 'metrics_schema.json');
       }
       if (fs.existsSync(schemaPath)) {
-        schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+        schema = loadConfig(schemaPath);
       }
     } catch (error) {
       console.warn('Could not load metrics schema:', error.message);
@@ -553,38 +1332,223 @@ function extractMetricsFromLighthouse(lhr, includeAll = false, schema = null) {
 }
 
 /**
- * Get performance thresholds adjusted for different network conditions
- * 
- * This function dynamically adjusts performance thresholds based on simulated network conditions.
- * It recognizes that performance expectations should vary depending on connection quality,
- * making tests more realistic and preventing false failures under constrained conditions.
+ * Get the number of Lighthouse runs per page
+ *
+ * Lighthouse results vary from run to run, so a single noisy run should not decide
+ * whether a budget passes. The number of runs per page is set for the whole run
+ * with the LIGHTHOUSE_RUNS environment variable (e.g. LIGHTHOUSE_RUNS=5).
+ *
+ * @param {number} [defaultRuns=1] - Number of runs when LIGHTHOUSE_RUNS is not set
+ * @returns {number} - Number of Lighthouse runs per page
+ */
+function getAuditRunCount(defaultRuns = 1) {
+  const runs = parseInt(process.env.LIGHTHOUSE_RUNS, 10);
+  return Number.isInteger(runs) && runs > 0 ? runs : defaultRuns;
+}
+
+/**
+ * Aggregate metrics from several Lighthouse runs
+ *
+ * This function combines the metrics of multiple runs of the same page into
+ * summary statistics. The median is the value assertions should be made against,
+ * while min, max and spread (max - min) show how noisy the measurement was.
+ *
+ * Only numeric metrics are aggregated; metrics in the schema-enriched format
+ * ({ value, description, ... }) are aggregated by their value.
+ *
+ * @param {Array<object>} samples - Metrics objects from extractMetricsFromLighthouse, one per run
+ * @returns {object} - Object containing runs, median, min, max and spread per metric
+ */
+function aggregateMetricSamples(samples) {
+  const aggregate = { runs: samples.length, median: {}, min: {}, max: {}, spread: {} };
+  const metricNames = new Set(samples.flatMap(sample => Object.keys(sample)));
+
+  metricNames.forEach(metric => {
+    const values = samples
+      .map(sample => (typeof sample[metric] === 'object' && sample[metric] !== null ? sample[metric].value : sample[metric]))
+      .filter(value => typeof value === 'number' && Number.isFinite(value))
+      .sort((a, b) => a - b);
+
+    if (values.length === 0) {
+      return;
+    }
+
+    const middle = Math.floor(values.length / 2);
+    aggregate.median[metric] = values.length % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle];
+    aggregate.min[metric] = values[0];
+    aggregate.max[metric] = values[values.length - 1];
+    aggregate.spread[metric] = values[values.length - 1] - values[0];
+  });
+
+  return aggregate;
+}
+
+/**
+ * Run a Lighthouse audit several times and aggregate the results
+ *
+ * This function runs playAudit once per sample on the same page and combines the
+ * extracted metrics into a median, min, max and spread. Category thresholds are
+ * checked against the median score instead of each individual run, so one noisy
+ * run no longer fails the test on its own.
+ *
+ * Behaviour details:
+ * - With more than one run, each run writes its own report (`<name>-run-<n>`)
+ * - The representative run is the one whose performance score is closest to the
+ *   median; its lhr is returned for opportunities, diagnostics and other details
+ * - Threshold failures throw the same way playAudit does, unless the audit
+ *   options set ignoreError; the failures are returned as errors either way, so a
+ *   spec can record the results before it asserts them
+ * - With captureTrace, the performance trace of every run is saved next to its
+ *   report (`<name>.trace.json`) and its long tasks are summarized; the summary of
+ *   the representative run is returned as longTasks. Lighthouse only records a
+ *   trace when the performance category is audited.
+ *
+ * @param {object} auditOptions - Options created by configurePlayAudit
+ * @param {object} [options] - Sampling options
+ * @param {number} [options.runs] - Number of runs (defaults to getAuditRunCount())
+ * @param {Function} [options.extractMetrics] - Metrics extractor applied to every lhr
+ * @param {boolean} [options.captureTrace] - Save the traces (defaults to the CAPTURE_TRACE environment variable)
+ * @returns {Promise<object>} - Object containing the representative lhr, all lhrs, median metrics, the aggregate,
+ *   traces, longTasks, reports (the html/json report paths of every run, the representative run marked)
+ *   and errors (the missed category thresholds)
+ */
+async function runSampledAudit(auditOptions, options = {}) {
+  const {
+    runs = getAuditRunCount(),
+    extractMetrics = lhr => extractMetricsFromLighthouse(lhr),
+    captureTrace = isTraceCaptureEnabled()
+  } = options;
+
+  const lhrs = [];
+  const traces = [];
+  const reports = [];
+  for (let run = 1; run <= runs; run++) {
+    const runOptions = {
+      ...auditOptions,
+      ignoreError: true,
+      reports: runs > 1
+        ? { ...auditOptions.reports, name: `${auditOptions.reports.name}-run-${run}` }
+        : auditOptions.reports
+    };
+
+    if (runs > 1) {
+      console.log(`Lighthouse run ${run}/${runs}...`);
+    }
+    const { lhr, artifacts } = await playAudit(runOptions);
+    lhrs.push(lhr);
+
+    const { directory, name, formats } = runOptions.reports;
+    reports.push({
+      run,
+      ...Object.fromEntries(Object.keys(formats)
+        .filter(format => formats[format])
+        .map(format => [format, path.join(directory, `${name}.${format}`)]))
+    });
+
+    if (captureTrace && artifacts?.Trace) {
+      const trace = saveTraceWithLongTasks(artifacts.Trace, path.join(directory, `${name}.trace.json`));
+      console.log(`Performance trace saved to: ${trace.tracePath}`);
+      traces.push(trace);
+    } else if (captureTrace) {
+      console.warn('No performance trace recorded (the trace is only recorded with the performance category)');
+      traces.push(null);
+    }
+  }
+
+  const samples = lhrs.map(extractMetrics);
+  const aggregate = aggregateMetricSamples(samples);
+
+  // Pick the run closest to the median performance score as the representative run
+  const medianPerformance = aggregateMetricSamples(lhrs.map(lhr => ({
+    performance: (lhr.categories.performance?.score || 0) * 100
+  }))).median.performance;
+  const representativeIndex = lhrs.reduce((bestIndex, lhr, index) => {
+    const distance = Math.abs((lhr.categories.performance?.score || 0) * 100 - medianPerformance);
+    const bestDistance = Math.abs((lhrs[bestIndex].categories.performance?.score || 0) * 100 - medianPerformance);
+    return distance < bestDistance ? index : bestIndex;
+  }, 0);
+
+  // Check category thresholds against the median score of every audited category
+  const categoryScores = aggregateMetricSamples(lhrs.map(lhr => Object.fromEntries(
+    Object.entries(lhr.categories).map(([id, category]) => [id, (category.score || 0) * 100])
+  ))).median;
+  const errors = Object.entries(auditOptions.thresholds || {})
+    .filter(([category, threshold]) => categoryScores[category] !== undefined && categoryScores[category] < threshold)
+    .map(([category, threshold]) => `${category} record is ${categoryScores[category]} and is under the ${threshold} threshold`);
+
+  if (errors.length > 0 && auditOptions.ignoreError !== true) {
+    throw new Error(
+      `playwright lighthouse - ${errors.length === 1 ? 'A threshold is' : 'Some thresholds are'} not matching the expectation` +
+      `${runs > 1 ? ` (median of ${runs} runs)` : ''}.\n\n${errors.join('\n')}`
+    );
+  }
+
+  return {
+    lhr: lhrs[representativeIndex],
+    lhrs,
+    metrics: aggregate.median,
+    aggregate,
+    traces,
+    longTasks: traces[representativeIndex]?.longTasks || null,
+    reports: reports.map((report, index) => ({ ...report, representative: index === representativeIndex })),
+    errors
+  };
+}
+
+/**
+ * Log aggregated metrics of a multi-run audit to console
+ *
+ * Prints median, min, max and spread per metric in a table. Nothing is printed for
+ * single-run audits, where the regular metrics output already says everything.
+ *
+ * @param {object} aggregate - Aggregate created by aggregateMetricSamples
+ * @param {string} label - Label for the table heading (e.g. page name)
+ */
+function logAggregatedMetrics(aggregate, label) {
+  if (aggregate.runs < 2) {
+    return;
+  }
+
+  console.log(`\nMetrics across ${aggregate.runs} runs for ${label}:`);
+  console.table(Object.keys(aggregate.median).reduce((table, metric) => {
+    table[metric] = {
+      median: aggregate.median[metric],
+      min: aggregate.min[metric],
+      max: aggregate.max[metric],
+      spread: aggregate.spread[metric]
+    };
+    return table;
+  }, {}));
+}
+
+/**
+ * Get performance thresholds adjusted for a network condition profile
  * 
- * Network condition adjustments:
+ * Performance expectations depend on connection quality, so every profile in
+ * network_conditions.json declares how the base budgets change under its conditions.
+ * This keeps tests meaningful under constrained networks and prevents failures caused
+ * by the simulated conditions rather than actual performance issues.
  * 
- * 1. 4G Network:
- *    - Performance score threshold reduced to 80% of base
- *    - Time-based metrics (FCP, LCP, TBT) reduced by 20%
- *    - Maintains reasonable expectations for decent mobile connections
+ * A profile can declare, per metric:
  * 
- * 2. 3G Network:
- *    - Performance score threshold reduced to 60% of base
- *    - Time-based metrics increased by 20% (more lenient)
- *    - Reflects significantly slower but still common connection speeds
+ * 1. budgetScaling: Factors applied to the base budget
+ *    - e.g. { "performance": 0.6, "largest-contentful-paint": 1.2 }
+ *    - Metrics without a factor keep the base budget
+ *    - Category scores are capped at 100
  * 
- * 3. Slow-3G Network:
- *    - Performance score threshold reduced to 40% of base
- *    - Time-based metrics increased by 50% (much more lenient)
- *    - Represents challenging network conditions in developing regions
+ * 2. budgets: Explicit budgets that replace the (scaled) base budget
+ *    - e.g. { "largest-contentful-paint": 4000 }
  * 
- * This approach ensures that performance testing remains meaningful across different
- * network conditions and prevents tests from failing due to simulated network constraints
- * rather than actual performance issues.
+ * Every profile must declare at least one of them; config validation rejects profiles
+ * without, so a new profile never silently falls back to the base budgets.
  * 
- * @param {string} networkType - Network condition type (e.g., '4G', '3G', 'Slow-3G')
+ * @param {object} networkProfile - Network condition profile (name, budgetScaling, budgets)
  * @param {object} performanceBudgets - Base performance budgets
- * @returns {object} - Adjusted thresholds for the specified network condition
+ * @returns {object} - Adjusted thresholds for the network condition
  */
-function getNetworkAdjustedThresholds(networkType, performanceBudgets) {
+function getNetworkAdjustedThresholds(networkProfile, performanceBudgets) {
+  const { budgetScaling = {}, budgets = {} } = networkProfile;
+
   // Use the base thresholds from performance budgets
   const baseThresholds = {
     performance: performanceBudgets.performance,
@@ -595,36 +1559,14 @@ function getNetworkAdjustedThresholds(networkType, performanceBudgets) {
     'speed-index': performanceBudgets['speed-index'],
     'interactive': performanceBudgets['interactive']
   };
-  
-  // Adjust thresholds based on network conditions
-  switch(networkType) {
-    case '4G':
-      return {
-        ...baseThresholds,
-        performance: Math.max(10, baseThresholds.performance * 0.8), // 80% of base performance
-        'first-contentful-paint': baseThresholds['first-contentful-paint'] * 0.8,
-        'largest-contentful-paint': baseThresholds['largest-contentful-paint'] * 0.8,
-        'total-blocking-time': baseThresholds['total-blocking-time'] * 0.8
-      };
-    case '3G':
-      return {
-        ...baseThresholds,
-        performance: Math.max(10, baseThresholds.performance * 0.6), // 60% of base performance
-        'first-contentful-paint': baseThresholds['first-contentful-paint'] * 1.2,
-        'largest-contentful-paint': baseThresholds['largest-contentful-paint'] * 1.2,
-        'total-blocking-time': baseThresholds['total-blocking-time'] * 1.2
-      };
-    case 'Slow-3G':
-      return {
-        ...baseThresholds,
-        performance: Math.max(4, baseThresholds.performance * 0.4), // 40% of base performance
-        'first-contentful-paint': baseThresholds['first-contentful-paint'] * 1.5,
-        'largest-contentful-paint': baseThresholds['largest-contentful-paint'] * 1.5,
-        'total-blocking-time': baseThresholds['total-blocking-time'] * 1.5
-      };
-    default:
-      return baseThresholds;
-  }
+
+  // Scale the base thresholds, then apply explicit budgets
+  const scaledThresholds = Object.fromEntries(Object.entries(baseThresholds).map(([metric, value]) => {
+    const scaled = value * (budgetScaling[metric] ?? 1);
+    return [metric, metric === 'performance' ? Math.min(100, scaled) : scaled];
+  }));
+
+  return { ...scaledThresholds, ...budgets };
 }
 
 /**
@@ -697,8 +1639,10 @@ function extractWebVitals(lhr) {
  * 
  * 1. Opportunities:
  *    - Specific, actionable suggestions to improve performance
- *    - Sorted by potential impact (highest impact first)
- *    - Includes title, description, score, and estimated impact
+ *    - Only opportunities with estimated savings, ranked by the estimated time
+ *      savings (savingsMs), then by the byte savings (savingsBytes)
+ *    - Includes id, title, description, score, estimated impact and the affected
+ *      resources (URL with its wasted ms and bytes, largest first)
  *    - Examples: "Properly size images", "Eliminate render-blocking resources"
  * 
  * 2. Diagnostics:
@@ -720,17 +1664,31 @@ function extractWebVitals(lhr) {
  * @returns {object} - Object containing opportunities and diagnostics
  */
 function extractOpportunitiesAndDiagnostics(lhr, limit = 10) {
-  // Extract opportunities (things that could be improved)
+  // Extract opportunities (things that could be improved), ranked by estimated savings
   const opportunities = Object.values(lhr.audits || {})
     .filter(audit => audit.details?.type === 'opportunity')
-    .sort((a, b) => (b.numericValue || 0) - (a.numericValue || 0))
-    .slice(0, limit)
     .map(o => ({
+      id: o.id,
       title: o.title,
       description: o.description,
       score: o.score,
-      impact: o.displayValue
-    }));
+      impact: o.displayValue,
+      savingsMs: o.details.overallSavingsMs || 0,
+      savingsBytes: o.details.overallSavingsBytes || 0,
+      resources: (o.details.items || [])
+        .filter(item => typeof item.url === 'string')
+        .map(item => ({
+          url: item.url,
+          wastedMs: item.wastedMs || 0,
+          wastedBytes: item.wastedBytes || 0,
+          totalBytes: item.totalBytes || 0
+        }))
+        .sort((a, b) => (b.wastedMs - a.wastedMs) || (b.wastedBytes - a.wastedBytes))
+        .slice(0, limit)
+    }))
+    .filter(o => o.savingsMs > 0 || o.savingsBytes > 0)
+    .sort((a, b) => (b.savingsMs - a.savingsMs) || (b.savingsBytes - a.savingsBytes))
+    .slice(0, limit);
 
   // Extract diagnostics (additional information)
   const diagnostics = Object.values(lhr.audits || {})
@@ -754,6 +1712,135 @@ function extractOpportunitiesAndDiagnostics(lhr, limit = 10) {
   };
 }
 
+// Resource types reported by the Lighthouse resource-summary audit
+const RESOURCE_TYPES = ['document', 'script', 'stylesheet', 'image', 'media', 'font', 'other'];
+
+/**
+ * Extract transferred bytes and request counts per resource type
+ * 
+ * This function turns the Lighthouse `resource-summary` and `network-requests` details
+ * into numbers that can be budgeted like timing metrics:
+ * 
+ * 1. Per resource type (document, script, stylesheet, image, media, font, other) and
+ *    in total, taken from `resource-summary`
+ * 2. Third-party versus first-party traffic. Third-party totals come from
+ *    `resource-summary`; first-party is the rest of the total
+ * 3. The third-party share of every resource type, computed from `network-requests`
+ *    with the entity classification of the report (`lhr.entities`)
+ * 
+ * Every entry has the shape { bytes, requests }. Resource types additionally carry
+ * { thirdPartyBytes, thirdPartyRequests } when `network-requests` is available.
+ * 
+ * @param {object} lhr - Lighthouse results object
+ * @returns {object} - Resource summary keyed by total, resource type, first-party and third-party
+ */
+function extractResourceSummary(lhr) {
+  const summaryItems = lhr.audits['resource-summary']?.details?.items || [];
+  const readRow = type => {
+    const row = summaryItems.find(item => item.resourceType === type);
+    return { bytes: row?.transferSize || 0, requests: row?.requestCount || 0 };
+  };
+
+  const summary = { total: readRow('total') };
+  RESOURCE_TYPES.forEach(type => {
+    summary[type] = readRow(type);
+  });
+  summary['third-party'] = readRow('third-party');
+  summary['first-party'] = {
+    bytes: Math.max(0, summary.total.bytes - summary['third-party'].bytes),
+    requests: Math.max(0, summary.total.requests - summary['third-party'].requests)
+  };
+
+  // Split every resource type into first- and third-party traffic
+  const requests = lhr.audits['network-requests']?.details?.items;
+  if (requests) {
+    const firstPartyEntities = new Set(
+      (lhr.entities || []).filter(entity => entity.isFirstParty).map(entity => entity.name)
+    );
+    const typeNames = {
+      Document: 'document',
+      Script: 'script',
+      Stylesheet: 'stylesheet',
+      Image: 'image',
+      Media: 'media',
+      Font: 'font'
+    };
+
+    RESOURCE_TYPES.forEach(type => {
+      summary[type].thirdPartyBytes = 0;
+      summary[type].thirdPartyRequests = 0;
+    });
+    requests
+      .filter(request => request.entity && !firstPartyEntities.has(request.entity))
+      .forEach(request => {
+        const type = typeNames[request.resourceType] || 'other';
+        summary[type].thirdPartyBytes += request.transferSize || 0;
+        summary[type].thirdPartyRequests += 1;
+      });
+  }
+
+  return summary;
+}
+
+/**
+ * Check a resource summary against resource budgets
+ * 
+ * Budgets are keyed like the summary (total, a resource type, first-party or
+ * third-party) and may limit `bytes` (transferred bytes) and/or `requests`.
+ * 
+ * @param {object} resourceSummary - Result of extractResourceSummary
+ * @param {object} [resourceBudgets={}] - Resource budgets (resource_budgets in treshholds.json)
+ * @returns {Array<object>} - Exceeded budgets ({ resourceType, measure, actual, budget }), empty when all pass
+ */
+function checkResourceBudgets(resourceSummary, resourceBudgets = {}) {
+  const violations = [];
+
+  Object.entries(resourceBudgets).forEach(([resourceType, budget]) => {
+    const actual = resourceSummary[resourceType];
+    if (!actual) {
+      return;
+    }
+    ['bytes', 'requests'].forEach(measure => {
+      if (typeof budget[measure] === 'number' && actual[measure] > budget[measure]) {
+        violations.push({ resourceType, measure, actual: actual[measure], budget: budget[measure] });
+      }
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Log a resource summary and its budget violations to console
+ * 
+ * @param {object} resourceSummary - Result of extractResourceSummary
+ * @param {object} [resourceBudgets={}] - Resource budgets
+ * @param {string} pageName - Name of the page tested
+ */
+function logResourceSummary(resourceSummary, resourceBudgets = {}, pageName) {
+  const violations = checkResourceBudgets(resourceSummary, resourceBudgets);
+  const formatKb = bytes => Number((bytes / 1024).toFixed(1));
+
+  console.log(`\nResource summary for ${pageName}:`);
+  console.table(Object.fromEntries(
+    Object.entries(resourceSummary).map(([resourceType, entry]) => [resourceType, {
+      'KB': formatKb(entry.bytes),
+      'Budget KB': typeof resourceBudgets[resourceType]?.bytes === 'number' ? formatKb(resourceBudgets[resourceType].bytes) : '-',
+      'Requests': entry.requests,
+      'Budget requests': resourceBudgets[resourceType]?.requests ?? '-',
+      ...(entry.thirdPartyBytes !== undefined ? {
+        'Third-party KB': formatKb(entry.thirdPartyBytes),
+        'Third-party requests': entry.thirdPartyRequests
+      } : {})
+    }])
+  ));
+
+  violations.forEach(({ resourceType, measure, actual, budget }) => {
+    const format = value => (measure === 'bytes' ? `${formatKb(value)} KB` : `${value} requests`);
+    console.log(`❌ ${resourceType}: ${format(actual)} exceeds the budget of ${format(budget)}`);
+  });
+}
+
 /**
  * Generate a detailed performance report
  * 
@@ -786,20 +1873,39 @@ function extractOpportunitiesAndDiagnostics(lhr, limit = 10) {
  * 6. Summary Statistics:
  *    - Count of passed audits for context
  * 
+ * 7. Resources:
+ *    - Transferred bytes and request counts per resource type and first/third party
+ * 
+ * 8. Long Tasks (when a trace was captured):
+ *    - Main-thread long tasks and their top offenders by script URL and function
+ * 
+ * 9. Filmstrip (when saved with saveFilmstrip from e2e/helpers/filmstrip.js):
+ *    - Frames of the load as image files next to the report, with FCP/LCP markers
+ * 
+ * 10. Run Context:
+ *    - Commit, environment, Lighthouse and Chrome version, throttling settings and
+ *      config hash the report was produced with (getRunContext)
+ * 
  * This consolidated report format makes it easy to analyze results, generate visualizations,
  * or create custom reports for different stakeholders (developers, managers, etc.).
  * 
  * @param {object} lhr - Lighthouse results object
  * @param {object} pageConfig - Page configuration object
+ * @param {object} [attachments={}] - Optional report attachments
+ * @param {object} [attachments.longTasks] - Long-task summary of the audit's trace (summarizeLongTasks)
+ * @param {object} [attachments.filmstrip] - Saved filmstrip of the load (saveFilmstrip)
  * @returns {object} - Detailed report object
  */
-function generateDetailedReport(lhr, pageConfig) {
+function generateDetailedReport(lhr, pageConfig, attachments = {}) {
+  const { longTasks, filmstrip } = attachments;
   const coreMetrics = extractMetricsFromLighthouse(lhr, true);
   const webVitals = extractWebVitals(lhr);
   const { opportunities, diagnostics, passedAuditsCount } = extractOpportunitiesAndDiagnostics(lhr);
 
   return {
     url: pageConfig.url,
+    ...(pageConfig.group ? { group: pageConfig.group } : {}),
+    ...(pageConfig.device ? { device: pageConfig.device } : {}),
     timestamp: new Date().toISOString(),
     coreMetrics,
     webVitals: Object.fromEntries(
@@ -811,7 +1917,11 @@ function generateDetailedReport(lhr, pageConfig) {
     ),
     opportunities: opportunities.slice(0, 10),
     diagnostics: diagnostics.slice(0, 10),
-    passedAuditsCount
+    ...(longTasks ? { longTasks } : {}),
+    ...(filmstrip ? { filmstrip } : {}),
+    passedAuditsCount,
+    resources: extractResourceSummary(lhr),
+    runContext: getRunContext(lhr)
   };
 }
 
@@ -1122,14 +2232,38 @@ module.exports = {
   findAvailablePort,
   launchBrowserWithDebugPort,
   navigateWithRetry,
+  emulateNetworkConditions,
+  getDeviceProfile,
+  getDeviceContextOptions,
+  applyDeviceProfile,
   ensureReportsDirectory,
   loadConfig,
+  resolveTestEnvironment,
+  loadEnvironmentUrls,
+  loadPageGroups,
+  resolvePageGroup,
+  getDeviceMatrix,
+  buildPagesToTest,
+  getGroupBudgets,
+  resolveNetworkProfile,
+  pageGroupAnnotation,
   saveMetricsToHistory,
+  appendHistoryEntry,
+  loadMetricsHistory,
+  detectMetricRegressions,
+  logRegressionReport,
   configurePlayAudit,
   extractMetricsFromLighthouse,
+  getAuditRunCount,
+  aggregateMetricSamples,
+  runSampledAudit,
+  logAggregatedMetrics,
   getNetworkAdjustedThresholds,
   extractWebVitals,
   extractOpportunitiesAndDiagnostics,
+  extractResourceSummary,
+  checkResourceBudgets,
+  logResourceSummary,
   generateDetailedReport,
   generatePerformanceRecommendations,
   logPerformanceRecommendations,